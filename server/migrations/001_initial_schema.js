@@ -0,0 +1,34 @@
+// Expenses and monthly budgets, as the app first shipped.
+// IF NOT EXISTS keeps this safe on databases created before migrations existed.
+module.exports = {
+  up: async (schema) => {
+    await schema.exec(`
+      CREATE TABLE IF NOT EXISTS expenses (
+        id ${schema.types.id},
+        description TEXT NOT NULL,
+        amount REAL NOT NULL,
+        category TEXT NOT NULL,
+        date TEXT NOT NULL,
+        created_at ${schema.types.createdAt}
+      )
+    `);
+
+    await schema.exec(`
+      CREATE TABLE IF NOT EXISTS budgets (
+        id ${schema.types.id},
+        month TEXT NOT NULL UNIQUE,
+        amount REAL NOT NULL,
+        created_at ${schema.types.createdAt}
+      )
+    `);
+
+    await schema.exec('CREATE INDEX IF NOT EXISTS idx_expenses_date ON expenses(date)');
+    await schema.exec('CREATE INDEX IF NOT EXISTS idx_expenses_category ON expenses(category)');
+    await schema.exec('CREATE INDEX IF NOT EXISTS idx_budgets_month ON budgets(month)');
+  },
+
+  down: async (schema) => {
+    await schema.exec('DROP TABLE IF EXISTS budgets');
+    await schema.exec('DROP TABLE IF EXISTS expenses');
+  }
+};
@@ -0,0 +1,67 @@
+// User accounts and sessions; expenses and budgets get an owner
+module.exports = {
+  up: async (schema) => {
+    await schema.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id ${schema.types.id},
+        name TEXT NOT NULL,
+        email TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        created_at ${schema.types.createdAt}
+      )
+    `);
+
+    await schema.exec(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        token TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        expires_at TEXT NOT NULL,
+        created_at ${schema.types.createdAt}
+      )
+    `);
+
+    // Rows from before accounts keep a NULL owner until the first user registers
+    await schema.addColumn('expenses', 'user_id', 'INTEGER REFERENCES users(id) ON DELETE CASCADE');
+    await schema.addColumn('budgets', 'user_id', 'INTEGER REFERENCES users(id) ON DELETE CASCADE');
+
+    // budgets.month was UNIQUE, which allows a single budget per month across all users
+    if (schema.dialect === 'postgres') {
+      await schema.exec('ALTER TABLE budgets DROP CONSTRAINT IF EXISTS budgets_month_key');
+    } else {
+      // SQLite cannot drop a constraint, so the table is rebuilt
+      const [table] = await schema.query("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'budgets'");
+      if (/month TEXT NOT NULL UNIQUE/.test(table.sql)) {
+        await schema.exec('ALTER TABLE budgets RENAME TO budgets_legacy');
+        await schema.exec('DROP INDEX IF EXISTS idx_budgets_month');
+        await schema.exec(`
+          CREATE TABLE budgets (
+            id ${schema.types.id},
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            month TEXT NOT NULL,
+            amount REAL NOT NULL,
+            created_at ${schema.types.createdAt}
+          )
+        `);
+        await schema.exec(`
+          INSERT INTO budgets (id, user_id, month, amount, created_at)
+          SELECT id, user_id, month, amount, created_at FROM budgets_legacy
+        `);
+        await schema.exec('DROP TABLE budgets_legacy');
+        await schema.exec('CREATE INDEX IF NOT EXISTS idx_budgets_month ON budgets(month)');
+      }
+    }
+
+    await schema.exec('CREATE INDEX IF NOT EXISTS idx_expenses_user ON expenses(user_id, date)');
+    await schema.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_budgets_user_month ON budgets(user_id, month)');
+    await schema.exec('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)');
+  },
+
+  down: async (schema) => {
+    await schema.exec('DROP INDEX IF EXISTS idx_expenses_user');
+    await schema.exec('DROP INDEX IF EXISTS idx_budgets_user_month');
+    await schema.dropColumn('expenses', 'user_id');
+    await schema.dropColumn('budgets', 'user_id');
+    await schema.exec('DROP TABLE IF EXISTS sessions');
+    await schema.exec('DROP TABLE IF EXISTS users');
+  }
+};
@@ -0,0 +1,14 @@
+// Offline sync tracks the client-generated id and the last modification of each expense
+module.exports = {
+  up: async (schema) => {
+    await schema.addColumn('expenses', 'client_id', 'TEXT');
+    await schema.addColumn('expenses', 'updated_at', 'TEXT');
+    await schema.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_expenses_client_id ON expenses(user_id, client_id)');
+  },
+
+  down: async (schema) => {
+    await schema.exec('DROP INDEX IF EXISTS idx_expenses_client_id');
+    await schema.dropColumn('expenses', 'client_id');
+    await schema.dropColumn('expenses', 'updated_at');
+  }
+};
@@ -0,0 +1,30 @@
+// Recurring expense rules; the expenses generated from a rule point back to it
+module.exports = {
+  up: async (schema) => {
+    await schema.exec(`
+      CREATE TABLE IF NOT EXISTS recurring_expenses (
+        id ${schema.types.id},
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        description TEXT NOT NULL,
+        amount REAL NOT NULL,
+        category TEXT NOT NULL,
+        frequency TEXT NOT NULL,
+        start_date TEXT NOT NULL,
+        end_date TEXT,
+        day_of_month INTEGER,
+        generated_until TEXT,
+        created_at ${schema.types.createdAt}
+      )
+    `);
+
+    await schema.addColumn('expenses', 'recurring_id', 'INTEGER REFERENCES recurring_expenses(id) ON DELETE SET NULL');
+    await schema.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_expenses_recurring ON expenses(recurring_id, date)');
+    await schema.exec('CREATE INDEX IF NOT EXISTS idx_recurring_user ON recurring_expenses(user_id)');
+  },
+
+  down: async (schema) => {
+    await schema.exec('DROP INDEX IF EXISTS idx_expenses_recurring');
+    await schema.dropColumn('expenses', 'recurring_id');
+    await schema.exec('DROP TABLE IF EXISTS recurring_expenses');
+  }
+};
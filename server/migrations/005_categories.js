@@ -0,0 +1,41 @@
+const { ensureCategories } = require('../src/db');
+
+// User-defined categories, seeded with the defaults and with any category already in use
+module.exports = {
+  up: async (schema) => {
+    await schema.exec(`
+      CREATE TABLE IF NOT EXISTS categories (
+        id ${schema.types.id},
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        slug TEXT NOT NULL,
+        name TEXT NOT NULL,
+        color TEXT NOT NULL,
+        icon TEXT NOT NULL,
+        created_at ${schema.types.createdAt},
+        UNIQUE (user_id, slug)
+      )
+    `);
+
+    // Every category in use needs a definition before the foreign key can be added
+    await ensureCategories(schema);
+
+    // SQLite does not enforce foreign keys (see db.js), so the API checks categories itself
+    if (schema.dialect === 'postgres') {
+      await schema.exec(`
+        DO $$ BEGIN
+          IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'fk_expenses_category') THEN
+            ALTER TABLE expenses ADD CONSTRAINT fk_expenses_category
+              FOREIGN KEY (user_id, category) REFERENCES categories(user_id, slug) ON UPDATE CASCADE;
+          END IF;
+        END $$
+      `);
+    }
+  },
+
+  down: async (schema) => {
+    if (schema.dialect === 'postgres') {
+      await schema.exec('ALTER TABLE expenses DROP CONSTRAINT IF EXISTS fk_expenses_category');
+    }
+    await schema.exec('DROP TABLE IF EXISTS categories');
+  }
+};
@@ -0,0 +1,20 @@
+// Spending limits per category and month
+module.exports = {
+  up: async (schema) => {
+    await schema.exec(`
+      CREATE TABLE IF NOT EXISTS category_budgets (
+        id ${schema.types.id},
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        month TEXT NOT NULL,
+        category TEXT NOT NULL,
+        amount REAL NOT NULL,
+        created_at ${schema.types.createdAt},
+        UNIQUE (user_id, month, category)
+      )
+    `);
+  },
+
+  down: async (schema) => {
+    await schema.exec('DROP TABLE IF EXISTS category_budgets');
+  }
+};
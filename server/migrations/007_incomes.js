@@ -0,0 +1,23 @@
+// Money coming in (salary, freelance work, refunds), kept apart from expenses
+module.exports = {
+  up: async (schema) => {
+    await schema.exec(`
+      CREATE TABLE IF NOT EXISTS incomes (
+        id ${schema.types.id},
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        description TEXT NOT NULL,
+        amount REAL NOT NULL,
+        source TEXT NOT NULL,
+        date TEXT NOT NULL,
+        updated_at TEXT,
+        created_at ${schema.types.createdAt}
+      )
+    `);
+
+    await schema.exec('CREATE INDEX IF NOT EXISTS idx_incomes_user ON incomes(user_id, date)');
+  },
+
+  down: async (schema) => {
+    await schema.exec('DROP TABLE IF EXISTS incomes');
+  }
+};
@@ -0,0 +1,30 @@
+// Amounts carry a currency code; exchange rates convert them to each user's base currency.
+// Rates are stored against the euro (1 EUR = rate units), like the ECB reference rates.
+module.exports = {
+  up: async (schema) => {
+    await schema.addColumn('users', 'base_currency', "TEXT NOT NULL DEFAULT 'EUR'");
+    await schema.addColumn('expenses', 'currency', "TEXT NOT NULL DEFAULT 'EUR'");
+    await schema.addColumn('incomes', 'currency', "TEXT NOT NULL DEFAULT 'EUR'");
+    await schema.addColumn('recurring_expenses', 'currency', "TEXT NOT NULL DEFAULT 'EUR'");
+
+    await schema.exec(`
+      CREATE TABLE IF NOT EXISTS exchange_rates (
+        id ${schema.types.id},
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        currency TEXT NOT NULL,
+        date TEXT NOT NULL,
+        rate REAL NOT NULL,
+        created_at ${schema.types.createdAt},
+        UNIQUE (user_id, currency, date)
+      )
+    `);
+  },
+
+  down: async (schema) => {
+    await schema.exec('DROP TABLE IF EXISTS exchange_rates');
+    await schema.dropColumn('recurring_expenses', 'currency');
+    await schema.dropColumn('incomes', 'currency');
+    await schema.dropColumn('expenses', 'currency');
+    await schema.dropColumn('users', 'base_currency');
+  }
+};
@@ -0,0 +1,24 @@
+// Receipts attached to expenses. The files live on disk (see src/attachments.js);
+// rows keep the original name and where the file was stored.
+module.exports = {
+  up: async (schema) => {
+    await schema.exec(`
+      CREATE TABLE IF NOT EXISTS attachments (
+        id ${schema.types.id},
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        expense_id INTEGER NOT NULL REFERENCES expenses(id) ON DELETE CASCADE,
+        filename TEXT NOT NULL,
+        stored_name TEXT NOT NULL,
+        mime_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        created_at ${schema.types.createdAt}
+      )
+    `);
+
+    await schema.exec('CREATE INDEX IF NOT EXISTS idx_attachments_expense ON attachments(expense_id)');
+  },
+
+  down: async (schema) => {
+    await schema.exec('DROP TABLE IF EXISTS attachments');
+  }
+};
@@ -0,0 +1,14 @@
+// IRS deduction class of an expense (see src/irs.js) and the invoice that supports it
+module.exports = {
+  up: async (schema) => {
+    await schema.addColumn('expenses', 'irs_class', 'TEXT');
+    await schema.addColumn('expenses', 'nif', 'TEXT');
+    await schema.addColumn('expenses', 'invoice_number', 'TEXT');
+  },
+
+  down: async (schema) => {
+    await schema.dropColumn('expenses', 'invoice_number');
+    await schema.dropColumn('expenses', 'nif');
+    await schema.dropColumn('expenses', 'irs_class');
+  }
+};
@@ -0,0 +1,54 @@
+// Household members sharing an account's expenses: who paid each expense, how it is split
+// between members, and settlements of what they owe each other
+module.exports = {
+  up: async (schema) => {
+    await schema.exec(`
+      CREATE TABLE IF NOT EXISTS household_members (
+        id ${schema.types.id},
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        is_owner INTEGER NOT NULL DEFAULT 0,
+        created_at ${schema.types.createdAt},
+        UNIQUE (user_id, name)
+      )
+    `);
+
+    // No payer means the account owner paid; no split type means the expense is not shared
+    await schema.addColumn('expenses', 'payer_id', 'INTEGER');
+    await schema.addColumn('expenses', 'split_type', 'TEXT');
+
+    // value is the percentage or exact amount entered; share is each member's part of the amount
+    await schema.exec(`
+      CREATE TABLE IF NOT EXISTS expense_splits (
+        id ${schema.types.id},
+        expense_id INTEGER NOT NULL REFERENCES expenses(id) ON DELETE CASCADE,
+        member_id INTEGER NOT NULL REFERENCES household_members(id) ON DELETE CASCADE,
+        value REAL,
+        share REAL NOT NULL
+      )
+    `);
+    await schema.exec('CREATE INDEX IF NOT EXISTS idx_expense_splits_expense ON expense_splits(expense_id)');
+
+    await schema.exec(`
+      CREATE TABLE IF NOT EXISTS settlements (
+        id ${schema.types.id},
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        from_member_id INTEGER NOT NULL REFERENCES household_members(id) ON DELETE CASCADE,
+        to_member_id INTEGER NOT NULL REFERENCES household_members(id) ON DELETE CASCADE,
+        amount REAL NOT NULL,
+        currency TEXT NOT NULL DEFAULT 'EUR',
+        date TEXT NOT NULL,
+        note TEXT,
+        created_at ${schema.types.createdAt}
+      )
+    `);
+  },
+
+  down: async (schema) => {
+    await schema.exec('DROP TABLE IF EXISTS settlements');
+    await schema.exec('DROP TABLE IF EXISTS expense_splits');
+    await schema.dropColumn('expenses', 'split_type');
+    await schema.dropColumn('expenses', 'payer_id');
+    await schema.exec('DROP TABLE IF EXISTS household_members');
+  }
+};
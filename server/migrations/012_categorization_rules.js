@@ -0,0 +1,25 @@
+// Rules that pick the category of expenses entered or imported without one. A rule matches
+// on the description (text it contains, or a regular expression) and/or an amount range.
+module.exports = {
+  up: async (schema) => {
+    await schema.exec(`
+      CREATE TABLE IF NOT EXISTS categorization_rules (
+        id ${schema.types.id},
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        match_type TEXT NOT NULL,
+        pattern TEXT,
+        min_amount REAL,
+        max_amount REAL,
+        category TEXT NOT NULL,
+        priority INTEGER NOT NULL DEFAULT 0,
+        created_at ${schema.types.createdAt}
+      )
+    `);
+
+    await schema.exec('CREATE INDEX IF NOT EXISTS idx_categorization_rules_user ON categorization_rules(user_id)');
+  },
+
+  down: async (schema) => {
+    await schema.exec('DROP TABLE IF EXISTS categorization_rules');
+  }
+};
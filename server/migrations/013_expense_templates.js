@@ -0,0 +1,23 @@
+// Saved expenses ("Cafe 0,80 EUR, Alimentacao") that add an expense in one tap
+module.exports = {
+  up: async (schema) => {
+    await schema.exec(`
+      CREATE TABLE IF NOT EXISTS expense_templates (
+        id ${schema.types.id},
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        description TEXT NOT NULL,
+        amount REAL NOT NULL,
+        currency TEXT NOT NULL DEFAULT 'EUR',
+        category TEXT NOT NULL,
+        created_at ${schema.types.createdAt}
+      )
+    `);
+
+    await schema.exec('CREATE INDEX IF NOT EXISTS idx_expense_templates_user ON expense_templates(user_id)');
+  },
+
+  down: async (schema) => {
+    await schema.exec('DROP TABLE IF EXISTS expense_templates');
+  }
+};
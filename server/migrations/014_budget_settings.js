@@ -0,0 +1,20 @@
+// Budget policies per user: a default monthly budget for months without one of their own,
+// and whether what is left (or overspent) in a month carries over to the next
+module.exports = {
+  up: async (schema) => {
+    await schema.exec(`
+      CREATE TABLE IF NOT EXISTS budget_settings (
+        id ${schema.types.id},
+        user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+        default_amount REAL,
+        rollover TEXT NOT NULL DEFAULT 'none',
+        rollover_from TEXT,
+        created_at ${schema.types.createdAt}
+      )
+    `);
+  },
+
+  down: async (schema) => {
+    await schema.exec('DROP TABLE IF EXISTS budget_settings');
+  }
+};
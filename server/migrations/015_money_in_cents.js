@@ -0,0 +1,31 @@
+// Money columns hold integer cents instead of floating point amounts, so totals add up
+// exactly. Split values become hundredths too: cents for exact splits, hundredths of a
+// percent for percentage splits. Exchange rates stay REAL.
+const MONEY_COLUMNS = [
+  ['expenses', 'amount'],
+  ['incomes', 'amount'],
+  ['budgets', 'amount'],
+  ['category_budgets', 'amount'],
+  ['recurring_expenses', 'amount'],
+  ['expense_splits', 'value'],
+  ['expense_splits', 'share'],
+  ['settlements', 'amount'],
+  ['categorization_rules', 'min_amount'],
+  ['categorization_rules', 'max_amount'],
+  ['expense_templates', 'amount'],
+  ['budget_settings', 'default_amount']
+];
+
+module.exports = {
+  up: async (schema) => {
+    for (const [table, column] of MONEY_COLUMNS) {
+      await schema.changeColumnType(table, column, schema.types.cents, `CAST(ROUND(${column} * 100) AS ${schema.types.cents})`);
+    }
+  },
+
+  down: async (schema) => {
+    for (const [table, column] of MONEY_COLUMNS) {
+      await schema.changeColumnType(table, column, 'REAL', `${column} / 100.0`);
+    }
+  }
+};
@@ -0,0 +1,13 @@
+// Deleted expenses go to a trash first: deleted_at is when, NULL while the expense is
+// in use. They are removed for good after a while (see src/trash.js).
+module.exports = {
+  up: async (schema) => {
+    await schema.addColumn('expenses', 'deleted_at', 'TEXT');
+    await schema.exec('CREATE INDEX IF NOT EXISTS idx_expenses_deleted ON expenses(user_id, deleted_at)');
+  },
+
+  down: async (schema) => {
+    await schema.exec('DROP INDEX IF EXISTS idx_expenses_deleted');
+    await schema.dropColumn('expenses', 'deleted_at');
+  }
+};
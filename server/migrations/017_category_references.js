@@ -0,0 +1,32 @@
+// SQLite runs with foreign keys off (see db.js), so the expenses -> categories foreign key
+// from 005_categories.js is enforced there with triggers: an expense needs a defined
+// category and a category in use cannot be deleted.
+module.exports = {
+  up: async (schema) => {
+    if (schema.dialect !== 'sqlite') return;
+
+    const unknownCategory = `
+      WHEN NEW.user_id IS NOT NULL AND NOT EXISTS (
+        SELECT 1 FROM categories WHERE categories.user_id = NEW.user_id AND categories.slug = NEW.category
+      )
+      BEGIN SELECT RAISE(ABORT, 'Categoria desconhecida'); END
+    `;
+    await schema.exec(`CREATE TRIGGER IF NOT EXISTS expenses_category_insert BEFORE INSERT ON expenses ${unknownCategory}`);
+    await schema.exec(
+      `CREATE TRIGGER IF NOT EXISTS expenses_category_update BEFORE UPDATE OF user_id, category ON expenses ${unknownCategory}`
+    );
+    await schema.exec(`
+      CREATE TRIGGER IF NOT EXISTS categories_in_use_delete BEFORE DELETE ON categories
+      WHEN EXISTS (SELECT 1 FROM expenses WHERE expenses.user_id = OLD.user_id AND expenses.category = OLD.slug)
+      BEGIN SELECT RAISE(ABORT, 'Categoria em uso'); END
+    `);
+  },
+
+  down: async (schema) => {
+    if (schema.dialect !== 'sqlite') return;
+
+    await schema.exec('DROP TRIGGER IF EXISTS categories_in_use_delete');
+    await schema.exec('DROP TRIGGER IF EXISTS expenses_category_update');
+    await schema.exec('DROP TRIGGER IF EXISTS expenses_category_insert');
+  }
+};
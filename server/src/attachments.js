@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const db = require('./db');
+
+// Receipts are kept on local disk, one folder per user
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '../data/attachments');
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const MAX_FILES = 5;
+
+// Images and PDFs, with the extension files are stored under
+const ALLOWED_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'application/pdf': '.pdf'
+};
+
+const filePath = (attachment) => path.join(UPLOAD_DIR, String(attachment.user_id), attachment.stored_name);
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const dir = path.join(UPLOAD_DIR, String(req.user.id));
+    fs.mkdir(dir, { recursive: true }, (error) => cb(error, dir));
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${crypto.randomBytes(16).toString('hex')}${ALLOWED_TYPES[file.mimetype]}`);
+  }
+});
+
+const uploader = multer({
+  storage,
+  // Browsers send file names as UTF-8 ("Fatura farmácia.pdf")
+  defParamCharset: 'utf8',
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_TYPES[file.mimetype]) return cb(null, true);
+    cb(Object.assign(new Error('Tipo de ficheiro nao suportado (imagens ou PDF)'), { invalid: true }));
+  }
+}).array('files', MAX_FILES);
+
+// Messages for upload errors caused by the request rather than the server
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: `Ficheiro demasiado grande (maximo ${MAX_FILE_SIZE / 1024 / 1024} MB)`,
+  LIMIT_FILE_COUNT: `Maximo de ${MAX_FILES} ficheiros de cada vez`,
+  LIMIT_UNEXPECTED_FILE: `Envie os ficheiros no campo "files" (maximo ${MAX_FILES})`
+};
+
+// Receive the files of a multipart request into req.files.
+// Rejects with error.invalid set when the request itself is at fault.
+const receive = (req, res) => new Promise((resolve, reject) => {
+  uploader(req, res, (error) => {
+    if (!error) return resolve(req.files || []);
+    if (UPLOAD_ERRORS[error.code]) return reject(Object.assign(new Error(UPLOAD_ERRORS[error.code]), { invalid: true }));
+    reject(error);
+  });
+});
+
+// Delete stored files, ignoring any already gone
+const removeFiles = async (attachments) => {
+  await Promise.all(attachments.map((attachment) => fs.promises.unlink(filePath(attachment)).catch((error) => {
+    if (error.code !== 'ENOENT') console.error('Erro ao apagar anexo:', error.message);
+  })));
+};
+
+// Attachments of some expenses as expense id => [attachment], oldest first
+const listByExpense = async (userId, expenseIds) => {
+  const byExpense = new Map();
+  if (expenseIds.length === 0) return byExpense;
+
+  const rows = await db.query(
+    `SELECT id, expense_id, filename, mime_type, size, created_at FROM attachments
+      WHERE user_id = ? AND expense_id IN (${expenseIds.map(() => '?').join(', ')}) ORDER BY id`,
+    [userId, ...expenseIds]
+  );
+  for (const row of rows) {
+    if (!byExpense.has(row.expense_id)) byExpense.set(row.expense_id, []);
+    byExpense.get(row.expense_id).push(row);
+  }
+  return byExpense;
+};
+
+// Add each expense's attachments to rows from the expenses table
+const withAttachments = async (userId, expenses) => {
+  const byExpense = await listByExpense(userId, expenses.map((expense) => expense.id));
+  return expenses.map((expense) => ({ ...expense, attachments: byExpense.get(expense.id) || [] }));
+};
+
+module.exports = {
+  UPLOAD_DIR,
+  MAX_FILE_SIZE,
+  MAX_FILES,
+  ALLOWED_TYPES,
+  filePath,
+  receive,
+  removeFiles,
+  withAttachments
+};
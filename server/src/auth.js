@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const db = require('./db');
+
+// Sessions stay valid for 30 days
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Hash a password with scrypt, stored as "salt:hash"
+const hashPassword = (password) => new Promise((resolve, reject) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  crypto.scrypt(password, salt, 64, (error, derivedKey) => {
+    if (error) return reject(error);
+    resolve(`${salt}:${derivedKey.toString('hex')}`);
+  });
+});
+
+// Compare a password against a stored scrypt hash
+const verifyPassword = (password, stored) => new Promise((resolve, reject) => {
+  const [salt, hash] = (stored || '').split(':');
+  if (!salt || !hash) return resolve(false);
+
+  crypto.scrypt(password, salt, 64, (error, derivedKey) => {
+    if (error) return reject(error);
+    const expected = Buffer.from(hash, 'hex');
+    resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+  });
+});
+
+// Create a session token for a user. Sessions that have expired are cleared at the same time.
+const createSession = async (userId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+  const expiresAt = new Date(now + SESSION_TTL_MS).toISOString();
+
+  await db.run('DELETE FROM sessions WHERE expires_at <= ?', [new Date(now).toISOString()]);
+  await db.run('INSERT INTO sessions (token, user_id, expires_at) VALUES (?, ?, ?)', [token, userId, expiresAt]);
+  return token;
+};
+
+// Remove a session token
+const destroySession = async (token) => {
+  await db.run('DELETE FROM sessions WHERE token = ?', [token]);
+};
+
+// Read the bearer token from the Authorization header
+const getToken = (req) => {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+};
+
+// Middleware: require a valid session and expose the user as req.user
+const requireAuth = async (req, res, next) => {
+  try {
+    const token = getToken(req);
+    if (!token) {
+      return res.status(401).json({ error: 'Autenticacao necessaria' });
+    }
+
+    const users = await db.query(`
+      SELECT users.id, users.name, users.email, users.base_currency
+      FROM sessions
+      JOIN users ON users.id = sessions.user_id
+      WHERE sessions.token = ? AND sessions.expires_at > ?
+    `, [token, new Date().toISOString()]);
+
+    if (users.length === 0) {
+      return res.status(401).json({ error: 'Sessao invalida ou expirada' });
+    }
+
+    req.user = users[0];
+    req.token = token;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  createSession,
+  destroySession,
+  requireAuth
+};
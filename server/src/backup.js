@@ -0,0 +1,558 @@
+const db = require('./db');
+const { DEFAULT_CATEGORIES, FALLBACK_CATEGORY, INCOME_SOURCES } = require('./categories');
+const { FREQUENCIES } = require('./recurring');
+const { CURRENCY_PATTERN, REFERENCE_CURRENCY } = require('./currency');
+const { removeFiles } = require('./attachments');
+const { IRS_CLASS_IDS } = require('./irs');
+const { SPLIT_TYPES } = require('./household');
+const { MATCH_TYPES } = require('./categorization');
+const { ROLLOVER_MODES, getBudgetSettings } = require('./budgets');
+const { toCents, withDecimals } = require('./money');
+
+// Bump when the snapshot layout changes; older versions must stay restorable.
+// 2: adds incomes
+// 3: adds currencies, exchange rates and the base currency
+// 4: adds the IRS class, NIF and invoice number of expenses
+// 5: adds household members, expense payers and splits, and settlements (members by name)
+// 6: adds categorization rules
+// 7: adds expense templates
+// 8: adds the budget policies (default budget and rollover)
+// 9: amounts are decimal strings ("12.34") instead of numbers
+const BACKUP_VERSION = 9;
+const RESTORE_MODES = ['merge', 'replace'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+// Amounts are decimal strings, or numbers in snapshots from before version 9
+const isPositiveAmount = (value) => toCents(value) > 0;
+const isAmount = (value) => (toCents(value) ?? -1) >= 0;
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+// Records from before version 3 have no currency and are in euros
+const hasCurrency = (record) => record.currency === undefined || CURRENCY_PATTERN.test(record.currency);
+const hasIrsClass = (expense) => expense.irs_class == null || IRS_CLASS_IDS.includes(expense.irs_class);
+const isAmountOrNull = (value) => value == null || isAmount(value);
+const hasSplit = (expense) => expense.split_type == null || (SPLIT_TYPES.includes(expense.split_type)
+  && Array.isArray(expense.splits)
+  && expense.splits.every((split) => isText(split?.member) && isPositiveAmount(split.share)));
+
+// Member id for a name, as a subquery (members are restored by name)
+const MEMBER_ID = '(SELECT id FROM household_members WHERE user_id = ? AND name = ?)';
+
+// Build a snapshot of everything a user owns (receipt files and the trash are not included)
+const createBackup = async (userId) => {
+  const users = await db.query('SELECT base_currency FROM users WHERE id = ?', [userId]);
+  const categories = await db.query(
+    'SELECT slug, name, color, icon FROM categories WHERE user_id = ? ORDER BY id',
+    [userId]
+  );
+  const expenses = await db.query(`
+    SELECT expenses.id, description, amount, currency, category, date, irs_class, nif, invoice_number,
+      payer.name as payer, split_type, recurring_id, updated_at
+    FROM expenses
+    LEFT JOIN household_members payer ON payer.id = expenses.payer_id
+    WHERE expenses.user_id = ? AND expenses.deleted_at IS NULL ORDER BY date, expenses.id
+  `, [userId]);
+  const splits = await db.query(`
+    SELECT expense_splits.expense_id, household_members.name as member, expense_splits.value, expense_splits.share
+    FROM expense_splits
+    JOIN household_members ON household_members.id = expense_splits.member_id
+    WHERE household_members.user_id = ? ORDER BY expense_splits.id
+  `, [userId]);
+  const members = await db.query(
+    'SELECT name, is_owner FROM household_members WHERE user_id = ? ORDER BY id',
+    [userId]
+  );
+  const settlements = await db.query(`
+    SELECT payer.name as "from", payee.name as "to", settlements.amount, settlements.currency, settlements.date,
+      settlements.note
+    FROM settlements
+    JOIN household_members payer ON payer.id = settlements.from_member_id
+    JOIN household_members payee ON payee.id = settlements.to_member_id
+    WHERE settlements.user_id = ? ORDER BY settlements.date, settlements.id
+  `, [userId]);
+  const incomes = await db.query(
+    'SELECT description, amount, currency, source, date FROM incomes WHERE user_id = ? ORDER BY date, id',
+    [userId]
+  );
+  const budgets = await db.query('SELECT month, amount FROM budgets WHERE user_id = ? ORDER BY month', [userId]);
+  const categoryBudgets = await db.query(
+    'SELECT month, category, amount FROM category_budgets WHERE user_id = ? ORDER BY month, category',
+    [userId]
+  );
+  const recurringExpenses = await db.query(`
+    SELECT id, description, amount, currency, category, frequency, start_date, end_date, day_of_month, generated_until
+    FROM recurring_expenses WHERE user_id = ? ORDER BY id
+  `, [userId]);
+  const exchangeRates = await db.query(
+    'SELECT currency, date, rate FROM exchange_rates WHERE user_id = ? ORDER BY currency, date',
+    [userId]
+  );
+  const categorizationRules = await db.query(`
+    SELECT match_type, pattern, min_amount, max_amount, category, priority
+    FROM categorization_rules WHERE user_id = ? ORDER BY priority DESC, id
+  `, [userId]);
+  const budgetSettings = await getBudgetSettings(userId);
+  const templates = await db.query(
+    'SELECT name, description, amount, currency, category FROM expense_templates WHERE user_id = ? ORDER BY id',
+    [userId]
+  );
+
+  return {
+    app: 'gestao-gastos',
+    version: BACKUP_VERSION,
+    exported_at: new Date().toISOString(),
+    base_currency: users[0]?.base_currency || REFERENCE_CURRENCY,
+    categories,
+    household_members: members.map((member) => ({ name: member.name, is_owner: Boolean(member.is_owner) })),
+    expenses: expenses.map((expense) => (expense.split_type ? {
+      ...withDecimals(expense),
+      splits: splits.filter((split) => split.expense_id === expense.id)
+        .map(({ member, value, share }) => withDecimals({ member, value, share }, ['value', 'share']))
+    } : withDecimals(expense))),
+    incomes: incomes.map((income) => withDecimals(income)),
+    budgets: budgets.map((budget) => withDecimals(budget)),
+    budget_settings: withDecimals(budgetSettings, ['default_amount']),
+    category_budgets: categoryBudgets.map((limit) => withDecimals(limit)),
+    recurring_expenses: recurringExpenses.map((rule) => withDecimals(rule)),
+    exchange_rates: exchangeRates,
+    settlements: settlements.map((settlement) => withDecimals(settlement)),
+    categorization_rules: categorizationRules.map((rule) => withDecimals(rule, ['min_amount', 'max_amount'])),
+    expense_templates: templates.map((template) => withDecimals(template))
+  };
+};
+
+// Check a snapshot before restoring it. Returns an error message, or null when valid.
+// Sections other than expenses may be missing (e.g. snapshots built from the browser).
+const validateBackup = (backup) => {
+  if (!backup || typeof backup !== 'object' || backup.app !== 'gestao-gastos') {
+    return 'Ficheiro de copia de seguranca invalido';
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1 || backup.version > BACKUP_VERSION) {
+    return `Versao de copia de seguranca nao suportada (${backup.version})`;
+  }
+
+  if (backup.base_currency !== undefined && !CURRENCY_PATTERN.test(backup.base_currency)) {
+    return 'Moeda base invalida';
+  }
+
+  const settings = backup.budget_settings;
+  if (settings !== undefined && settings !== null && !(typeof settings === 'object'
+    && ROLLOVER_MODES.includes(settings.rollover) && isAmountOrNull(settings.default_amount)
+    && (settings.rollover_from == null || MONTH_PATTERN.test(settings.rollover_from)))) {
+    return 'Politica de orcamento invalida';
+  }
+
+  const sections = [
+    'categories', 'expenses', 'incomes', 'budgets', 'category_budgets', 'recurring_expenses', 'exchange_rates',
+    'household_members', 'settlements', 'categorization_rules', 'expense_templates'
+  ];
+  for (const section of sections) {
+    if (backup[section] !== undefined && !Array.isArray(backup[section])) {
+      return `Seccao invalida: ${section}`;
+    }
+  }
+  if (!Array.isArray(backup.expenses)) {
+    return 'Seccao em falta: expenses';
+  }
+
+  const checks = {
+    categories: (c) => isText(c.slug) && isText(c.name),
+    expenses: (e) => isText(e.description) && isPositiveAmount(e.amount) && hasCurrency(e) && hasIrsClass(e)
+      && hasSplit(e) && DATE_PATTERN.test(e.date) && isText(e.category),
+    incomes: (i) => isText(i.description) && isPositiveAmount(i.amount) && hasCurrency(i)
+      && DATE_PATTERN.test(i.date) && INCOME_SOURCES.includes(i.source),
+    budgets: (b) => MONTH_PATTERN.test(b.month) && isAmount(b.amount),
+    category_budgets: (b) => MONTH_PATTERN.test(b.month) && isText(b.category) && isPositiveAmount(b.amount),
+    recurring_expenses: (r) => isText(r.description) && isPositiveAmount(r.amount) && isText(r.category)
+      && hasCurrency(r) && FREQUENCIES.includes(r.frequency) && DATE_PATTERN.test(r.start_date),
+    exchange_rates: (x) => CURRENCY_PATTERN.test(x.currency) && DATE_PATTERN.test(x.date) && isPositiveNumber(x.rate),
+    household_members: (m) => isText(m.name),
+    settlements: (s) => isText(s.from) && isText(s.to) && s.from !== s.to && isPositiveAmount(s.amount)
+      && hasCurrency(s) && DATE_PATTERN.test(s.date),
+    categorization_rules: (r) => MATCH_TYPES.includes(r.match_type) && (r.match_type === 'amount' || isText(r.pattern))
+      && isAmountOrNull(r.min_amount) && isAmountOrNull(r.max_amount) && isText(r.category),
+    expense_templates: (t) => isText(t.name) && isText(t.description) && isPositiveAmount(t.amount) && hasCurrency(t)
+      && isText(t.category)
+  };
+
+  for (const [section, check] of Object.entries(checks)) {
+    const index = (backup[section] || []).findIndex((item) => !item || typeof item !== 'object' || !check(item));
+    if (index !== -1) {
+      return `Registo ${index + 1} invalido em ${section}`;
+    }
+  }
+
+  return null;
+};
+
+// A validated snapshot with its amounts in cents, as the database keeps them.
+// Split values are hundredths too (of a percent for percentage splits).
+const inCents = (backup) => {
+  const cents = (value) => (value == null ? null : toCents(value));
+  const withCents = (items = [], fields = ['amount']) => items.map((item) => ({
+    ...item,
+    ...Object.fromEntries(fields.map((field) => [field, cents(item[field])]))
+  }));
+
+  return {
+    ...backup,
+    expenses: backup.expenses.map((expense) => ({
+      ...expense,
+      amount: cents(expense.amount),
+      ...(expense.split_type && {
+        splits: expense.splits.map((split) => ({
+          ...split,
+          // Percentages may have more decimal places in older snapshots
+          value: split.value == null ? null : Math.round(Number(split.value) * 100),
+          share: cents(split.share)
+        }))
+      })
+    })),
+    incomes: withCents(backup.incomes),
+    budgets: withCents(backup.budgets),
+    budget_settings: backup.budget_settings && {
+      ...backup.budget_settings,
+      default_amount: cents(backup.budget_settings.default_amount)
+    },
+    category_budgets: withCents(backup.category_budgets),
+    recurring_expenses: withCents(backup.recurring_expenses),
+    settlements: withCents(backup.settlements),
+    categorization_rules: withCents(backup.categorization_rules, ['min_amount', 'max_amount']),
+    expense_templates: withCents(backup.expense_templates)
+  };
+};
+
+// Write a snapshot (amounts in cents) for restoreBackup.
+// Resolves to the summary and the receipts whose files are to be removed.
+const restoreRows = async (userId, backup, mode) => {
+  const {
+    categories = [],
+    expenses,
+    incomes = [],
+    budgets = [],
+    category_budgets: categoryBudgets = [],
+    recurring_expenses: recurringExpenses = [],
+    exchange_rates: exchangeRates = [],
+    household_members: members = [],
+    settlements = [],
+    categorization_rules: categorizationRules = [],
+    expense_templates: templates = []
+  } = backup;
+  const replace = mode === 'replace';
+  const now = new Date().toISOString();
+  const statements = [];
+  const summary = {
+    categories: 0,
+    expenses: 0,
+    incomes: 0,
+    budgets: 0,
+    category_budgets: 0,
+    recurring_expenses: 0,
+    exchange_rates: 0,
+    household_members: 0,
+    settlements: 0,
+    categorization_rules: 0,
+    expense_templates: 0,
+    skipped: 0
+  };
+
+  // What the user already has (nothing, once a replace has wiped it)
+  const existing = async (sql) => (replace ? [] : db.query(sql, [userId]));
+  const currentCategories = await existing('SELECT slug FROM categories WHERE user_id = ?');
+  const currentExpenses = await existing(
+    'SELECT description, amount, category, date FROM expenses WHERE user_id = ? AND deleted_at IS NULL'
+  );
+  // Occurrences of recurring rules, in the trash too: a rule has one per day
+  const currentOccurrences = await existing(
+    'SELECT recurring_id, date FROM expenses WHERE user_id = ? AND recurring_id IS NOT NULL'
+  );
+  const currentIncomes = await existing('SELECT description, amount, source, date FROM incomes WHERE user_id = ?');
+  const currentBudgets = await existing('SELECT month FROM budgets WHERE user_id = ?');
+  const currentCategoryBudgets = await existing('SELECT month, category FROM category_budgets WHERE user_id = ?');
+  const currentRates = await existing('SELECT currency, date FROM exchange_rates WHERE user_id = ?');
+  const currentMembers = await existing('SELECT name FROM household_members WHERE user_id = ?');
+  const currentSettlements = await existing(`
+    SELECT payer.name as "from", payee.name as "to", settlements.amount, settlements.date
+    FROM settlements
+    JOIN household_members payer ON payer.id = settlements.from_member_id
+    JOIN household_members payee ON payee.id = settlements.to_member_id
+    WHERE settlements.user_id = ?
+  `);
+  const currentRules = await existing(
+    'SELECT id, description, amount, frequency, start_date FROM recurring_expenses WHERE user_id = ?'
+  );
+  const currentTemplates = await existing('SELECT name FROM expense_templates WHERE user_id = ?');
+  const currentCategorizationRules = await existing(
+    'SELECT match_type, pattern, min_amount, max_amount, category FROM categorization_rules WHERE user_id = ?'
+  );
+
+  // Receipts are not part of snapshots; a replace drops them with their expenses
+  const removedAttachments = replace
+    ? await db.query('SELECT user_id, stored_name FROM attachments WHERE user_id = ?', [userId])
+    : [];
+
+  if (replace) {
+    statements.push(
+      ['DELETE FROM attachments WHERE user_id = ?', [userId]],
+      ['DELETE FROM expense_splits WHERE expense_id IN (SELECT id FROM expenses WHERE user_id = ?)', [userId]],
+      ['DELETE FROM settlements WHERE user_id = ?', [userId]],
+      ['UPDATE expenses SET recurring_id = NULL WHERE user_id = ?', [userId]],
+      ['DELETE FROM expenses WHERE user_id = ?', [userId]],
+      ['DELETE FROM incomes WHERE user_id = ?', [userId]],
+      ['DELETE FROM recurring_expenses WHERE user_id = ?', [userId]],
+      ['DELETE FROM category_budgets WHERE user_id = ?', [userId]],
+      ['DELETE FROM categorization_rules WHERE user_id = ?', [userId]],
+      ['DELETE FROM expense_templates WHERE user_id = ?', [userId]],
+      ['DELETE FROM budgets WHERE user_id = ?', [userId]],
+      ['DELETE FROM categories WHERE user_id = ?', [userId]],
+      ['DELETE FROM exchange_rates WHERE user_id = ?', [userId]],
+      ['DELETE FROM household_members WHERE user_id = ?', [userId]],
+      ['DELETE FROM budget_settings WHERE user_id = ?', [userId]]
+    );
+    // A replace also brings back the base currency the totals were in and the budget policies
+    if (backup.base_currency) {
+      statements.push(['UPDATE users SET base_currency = ? WHERE id = ?', [backup.base_currency, userId]]);
+    }
+    const settings = backup.budget_settings;
+    if (settings) {
+      statements.push([
+        'INSERT INTO budget_settings (user_id, default_amount, rollover, rollover_from) VALUES (?, ?, ?, ?)',
+        [userId, settings.default_amount ?? null, settings.rollover,
+          settings.rollover === 'none' ? null : settings.rollover_from || null]
+      ]);
+    }
+  }
+
+  // Categories, including any referenced without a definition. Snapshots from the browser
+  // have no definitions, so a replace from one starts from the defaults like a new account.
+  const defaults = replace && categories.length === 0 ? DEFAULT_CATEGORIES : [];
+  const slugs = new Set(currentCategories.map((c) => c.slug));
+  const definitions = [
+    ...categories,
+    ...defaults,
+    ...[...expenses, ...recurringExpenses, ...categoryBudgets, ...categorizationRules, ...templates]
+      .map((item) => ({ slug: item.category }))
+  ];
+  for (const category of definitions) {
+    if (slugs.has(category.slug)) continue;
+    slugs.add(category.slug);
+    statements.push([
+      'INSERT INTO categories (user_id, slug, name, color, icon) VALUES (?, ?, ?, ?, ?)',
+      [userId, category.slug, category.name || category.slug,
+        category.color || FALLBACK_CATEGORY.color, category.icon || FALLBACK_CATEGORY.icon]
+    ]);
+    if (category.name && !defaults.includes(category)) summary.categories++;
+  }
+
+  // Household members, including any referenced without a definition. Only a replace
+  // brings back the owner; merged members join the current owner's household.
+  const memberNames = new Set(currentMembers.map((m) => m.name));
+  const memberDefinitions = [
+    ...members,
+    ...expenses.flatMap((expense) => [expense.payer, ...(expense.splits || []).map((split) => split.member)])
+      .filter(Boolean).map((name) => ({ name })),
+    ...settlements.flatMap((settlement) => [{ name: settlement.from }, { name: settlement.to }])
+  ];
+  for (const member of memberDefinitions) {
+    if (memberNames.has(member.name)) continue;
+    memberNames.add(member.name);
+    statements.push([
+      'INSERT INTO household_members (user_id, name, is_owner) VALUES (?, ?, ?)',
+      [userId, member.name, replace && member.is_owner ? 1 : 0]
+    ]);
+    summary.household_members++;
+  }
+
+  // Recurring rules, remembering where each one lands so expenses keep their link
+  // (and what tells their occurrences apart: the current rule's id, or the snapshot's for a new rule)
+  const ruleIds = new Map();
+  const occurrenceRules = new Map();
+  for (const rule of recurringExpenses) {
+    const match = currentRules.find((r) => r.description === rule.description
+      && Number(r.amount) === rule.amount
+      && r.frequency === rule.frequency && r.start_date === rule.start_date);
+
+    if (match) {
+      ruleIds.set(rule.id, () => match.id);
+      occurrenceRules.set(rule.id, match.id);
+      summary.skipped++;
+      continue;
+    }
+
+    const resultIndex = statements.length;
+    ruleIds.set(rule.id, (results) => results[resultIndex].lastId);
+    occurrenceRules.set(rule.id, `snapshot ${rule.id}`);
+    statements.push([
+      `INSERT INTO recurring_expenses
+        (user_id, description, amount, currency, category, frequency, start_date, end_date, day_of_month, generated_until)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [userId, rule.description.trim(), rule.amount, rule.currency || REFERENCE_CURRENCY, rule.category, rule.frequency,
+        rule.start_date, rule.end_date || null, rule.day_of_month || null, rule.generated_until || null]
+    ]);
+    summary.recurring_expenses++;
+  }
+
+  const occurrences = new Set(currentOccurrences.map((e) => `${e.recurring_id}:${e.date}`));
+  for (const expense of expenses) {
+    const duplicate = currentExpenses.some((e) => e.date === expense.date
+      && Number(e.amount) === expense.amount
+      && e.description === expense.description && e.category === expense.category);
+
+    // An occurrence the rule already has on that day is skipped as well
+    const ruleId = ruleIds.get(expense.recurring_id);
+    const occurrence = ruleId && `${occurrenceRules.get(expense.recurring_id)}:${expense.date}`;
+    if (duplicate || occurrences.has(occurrence)) {
+      summary.skipped++;
+      continue;
+    }
+    if (occurrence) occurrences.add(occurrence);
+
+    const expenseIndex = statements.length;
+    statements.push((results) => [
+      `INSERT INTO expenses (user_id, description, amount, currency, category, date, irs_class, nif, invoice_number,
+        payer_id, split_type, recurring_id, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ${MEMBER_ID}, ?, ?, ?)`,
+      [userId, expense.description.trim(), expense.amount, expense.currency || REFERENCE_CURRENCY, expense.category,
+        expense.date, expense.irs_class || null, expense.nif || null, expense.invoice_number || null,
+        userId, expense.payer || null, expense.split_type || null, ruleId ? ruleId(results) : null, now]
+    ]);
+    for (const split of expense.split_type ? expense.splits : []) {
+      statements.push((results) => [
+        `INSERT INTO expense_splits (expense_id, member_id, value, share) VALUES (?, ${MEMBER_ID}, ?, ?)`,
+        [results[expenseIndex].lastId, userId, split.member, split.value ?? null, split.share]
+      ]);
+    }
+    summary.expenses++;
+  }
+
+  for (const income of incomes) {
+    const duplicate = currentIncomes.some((i) => i.date === income.date
+      && Number(i.amount) === income.amount
+      && i.description === income.description && i.source === income.source);
+
+    if (duplicate) {
+      summary.skipped++;
+      continue;
+    }
+
+    statements.push([
+      'INSERT INTO incomes (user_id, description, amount, currency, source, date, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [userId, income.description.trim(), income.amount, income.currency || REFERENCE_CURRENCY, income.source,
+        income.date, now]
+    ]);
+    summary.incomes++;
+  }
+
+  const budgetMonths = new Set(currentBudgets.map((b) => b.month));
+  for (const budget of budgets) {
+    if (budgetMonths.has(budget.month)) {
+      summary.skipped++;
+      continue;
+    }
+    budgetMonths.add(budget.month);
+    statements.push(['INSERT INTO budgets (user_id, month, amount) VALUES (?, ?, ?)', [userId, budget.month, budget.amount]]);
+    summary.budgets++;
+  }
+
+  const limitKeys = new Set(currentCategoryBudgets.map((b) => `${b.month}:${b.category}`));
+  for (const limit of categoryBudgets) {
+    const key = `${limit.month}:${limit.category}`;
+    if (limitKeys.has(key)) {
+      summary.skipped++;
+      continue;
+    }
+    limitKeys.add(key);
+    statements.push([
+      'INSERT INTO category_budgets (user_id, month, category, amount) VALUES (?, ?, ?, ?)',
+      [userId, limit.month, limit.category, limit.amount]
+    ]);
+    summary.category_budgets++;
+  }
+
+  const rateKeys = new Set(currentRates.map((r) => `${r.currency}:${r.date}`));
+  for (const rate of exchangeRates) {
+    const key = `${rate.currency}:${rate.date}`;
+    if (rateKeys.has(key)) {
+      summary.skipped++;
+      continue;
+    }
+    rateKeys.add(key);
+    statements.push([
+      'INSERT INTO exchange_rates (user_id, currency, date, rate) VALUES (?, ?, ?, ?)',
+      [userId, rate.currency, rate.date, rate.rate]
+    ]);
+    summary.exchange_rates++;
+  }
+
+  const settlementKeys = new Set(currentSettlements.map((s) => `${s.from}:${s.to}:${s.date}:${Number(s.amount)}`));
+  for (const settlement of settlements) {
+    const key = `${settlement.from}:${settlement.to}:${settlement.date}:${settlement.amount}`;
+    if (settlementKeys.has(key)) {
+      summary.skipped++;
+      continue;
+    }
+    settlementKeys.add(key);
+    statements.push([
+      `INSERT INTO settlements (user_id, from_member_id, to_member_id, amount, currency, date, note)
+        VALUES (?, ${MEMBER_ID}, ${MEMBER_ID}, ?, ?, ?, ?)`,
+      [userId, userId, settlement.from, userId, settlement.to, settlement.amount,
+        settlement.currency || REFERENCE_CURRENCY, settlement.date, settlement.note || null]
+    ]);
+    summary.settlements++;
+  }
+
+  const ruleKey = (rule) => [rule.match_type, rule.pattern ?? '', rule.min_amount ?? '', rule.max_amount ?? '', rule.category]
+    .join(':');
+  const categorizationRuleKeys = new Set(currentCategorizationRules.map(ruleKey));
+  for (const rule of categorizationRules) {
+    const key = ruleKey(rule);
+    if (categorizationRuleKeys.has(key)) {
+      summary.skipped++;
+      continue;
+    }
+    categorizationRuleKeys.add(key);
+    statements.push([
+      `INSERT INTO categorization_rules (user_id, match_type, pattern, min_amount, max_amount, category, priority)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [userId, rule.match_type, rule.match_type === 'amount' ? null : rule.pattern, rule.min_amount ?? null,
+        rule.max_amount ?? null, rule.category, Number.isInteger(rule.priority) ? rule.priority : 0]
+    ]);
+    summary.categorization_rules++;
+  }
+
+  const templateNames = new Set(currentTemplates.map((t) => t.name));
+  for (const template of templates) {
+    if (templateNames.has(template.name)) {
+      summary.skipped++;
+      continue;
+    }
+    templateNames.add(template.name);
+    statements.push([
+      'INSERT INTO expense_templates (user_id, name, description, amount, currency, category) VALUES (?, ?, ?, ?, ?, ?)',
+      [userId, template.name.trim(), template.description.trim(), template.amount, template.currency || REFERENCE_CURRENCY,
+        template.category]
+    ]);
+    summary.expense_templates++;
+  }
+
+  await db.runBatch(statements);
+  return { summary, removedAttachments };
+};
+
+// Load a validated snapshot for a user in one transaction.
+// "replace" wipes the user's data first; "merge" keeps it and skips records that already exist.
+const restoreBackup = async (userId, snapshot, mode) => {
+  // What is already there is read in the same transaction the snapshot is written in
+  const { summary, removedAttachments } = await db.transaction(() => restoreRows(userId, inCents(snapshot), mode));
+  await removeFiles(removedAttachments);
+  return summary;
+};
+
+module.exports = {
+  BACKUP_VERSION,
+  RESTORE_MODES,
+  createBackup,
+  validateBackup,
+  restoreBackup
+};
@@ -0,0 +1,115 @@
+const db = require('./db');
+const currency = require('./currency');
+const { listMonths } = require('./months');
+
+// What carries over from a month into the next: nothing, only what was left unspent,
+// only what was overspent (taken from the next month), or both
+const ROLLOVER_MODES = ['none', 'unspent', 'overspent', 'both'];
+
+// Policies of users who never set any: no default budget and no rollover
+const DEFAULT_SETTINGS = { default_amount: null, rollover: 'none', rollover_from: null };
+
+// A user's budget policies, the default amount in cents
+const getBudgetSettings = async (userId) => {
+  const rows = await db.query(
+    'SELECT default_amount, rollover, rollover_from FROM budget_settings WHERE user_id = ?',
+    [userId]
+  );
+  if (rows.length === 0) return DEFAULT_SETTINGS;
+
+  const [row] = rows;
+  return {
+    default_amount: row.default_amount === null ? null : Number(row.default_amount),
+    rollover: row.rollover,
+    rollover_from: row.rollover_from
+  };
+};
+
+// Create or update a user's budget policies
+const saveBudgetSettings = async (userId, { default_amount: defaultAmount, rollover, rollover_from: rolloverFrom }) => {
+  await db.run(
+    `INSERT INTO budget_settings (user_id, default_amount, rollover, rollover_from) VALUES (?, ?, ?, ?)
+      ON CONFLICT (user_id) DO UPDATE SET default_amount = excluded.default_amount,
+        rollover = excluded.rollover, rollover_from = excluded.rollover_from`,
+    [userId, defaultAmount ?? null, rollover, rollover === 'none' ? null : rolloverFrom]
+  );
+  return getBudgetSettings(userId);
+};
+
+// What a month leaves for the next one under a rollover mode
+const carryOver = (mode, left) => {
+  if (mode === 'unspent') return Math.max(left, 0);
+  if (mode === 'overspent') return Math.min(left, 0);
+  return left;
+};
+
+// The budget of each month from `from` to `to`, in cents of the user's base currency:
+// amount is the month's own budget (0 without one), base is that or the default budget,
+// carried is what rolled over from the month before and effective is base plus carried.
+// Rollover starts at rollover_from, so earlier months never carry anything.
+const getEffectiveBudgets = async (user, from, to) => {
+  const settings = await getBudgetSettings(user.id);
+  const rolling = settings.rollover !== 'none' && settings.rollover_from !== null && settings.rollover_from < to;
+  const start = rolling && settings.rollover_from < from ? settings.rollover_from : from;
+
+  const stored = await db.query(
+    'SELECT month, amount FROM budgets WHERE user_id = ? AND month >= ? AND month <= ?',
+    [user.id, start, to]
+  );
+  const ownAmounts = new Map(stored.map((row) => [row.month, Number(row.amount)]));
+
+  // Spending per month, converted with the rate of each day; only rollover needs it
+  const spent = new Map();
+  if (rolling) {
+    const rows = await db.query(`
+      SELECT date, currency, SUM(amount) as amount
+      FROM expenses
+      WHERE user_id = ? AND deleted_at IS NULL AND date >= ? AND date < ?
+      GROUP BY date, currency
+    `, [user.id, `${start}-01`, `${to}-01`]);
+    const converter = await currency.createConverter(user.id, user.base_currency);
+    for (const row of rows) {
+      const month = row.date.slice(0, 7);
+      spent.set(month, (spent.get(month) || 0) + (converter.convert(row.amount, row.currency, row.date) ?? 0));
+    }
+  }
+
+  const budgets = [];
+  let carried = 0;
+  for (const month of listMonths(start, to)) {
+    const own = ownAmounts.get(month);
+    const base = own ?? settings.default_amount ?? 0;
+    const carriedIn = rolling && month > settings.rollover_from ? carried : 0;
+    const effective = base + carriedIn;
+
+    if (month >= from) {
+      budgets.push({
+        month,
+        amount: own ?? 0,
+        base,
+        carried: carriedIn,
+        effective,
+        // Where the base comes from: the month itself, the default budget or nowhere
+        source: own !== undefined ? 'month' : (settings.default_amount !== null ? 'default' : 'none')
+      });
+    }
+    if (rolling && month >= settings.rollover_from) {
+      carried = carryOver(settings.rollover, effective - (spent.get(month) || 0));
+    }
+  }
+  return budgets;
+};
+
+// The budget of one month, as getEffectiveBudgets() describes it
+const getEffectiveBudget = async (user, month) => {
+  const [budget] = await getEffectiveBudgets(user, month, month);
+  return budget;
+};
+
+module.exports = {
+  ROLLOVER_MODES,
+  getBudgetSettings,
+  saveBudgetSettings,
+  getEffectiveBudgets,
+  getEffectiveBudget
+};
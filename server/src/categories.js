@@ -0,0 +1,36 @@
+// Categories every new account starts with
+const DEFAULT_CATEGORIES = [
+  { slug: 'alimentacao', name: 'Alimentacao', color: '#f97316', icon: '🍔' },
+  { slug: 'transporte', name: 'Transporte', color: '#3b82f6', icon: '🚗' },
+  { slug: 'habitacao', name: 'Habitacao', color: '#8b5cf6', icon: '🏠' },
+  { slug: 'saude', name: 'Saude', color: '#ef4444', icon: '💊' },
+  { slug: 'lazer', name: 'Lazer', color: '#ec4899', icon: '🎬' },
+  { slug: 'compras', name: 'Compras', color: '#eab308', icon: '🛒' },
+  { slug: 'contas', name: 'Contas', color: '#6366f1', icon: '📄' },
+  { slug: 'outros', name: 'Outros', color: '#6b7280', icon: '📦' },
+];
+
+// Where expenses go when nothing decides their category
+const UNCATEGORIZED = 'outros';
+
+// Colour and icon for categories found in old data without a definition
+const FALLBACK_CATEGORY = { color: '#6b7280', icon: '📦' };
+
+// Where income comes from (a fixed list, unlike expense categories)
+const INCOME_SOURCES = ['salario', 'freelance', 'reembolso', 'outros'];
+
+// Turn a category name into its identifier ("Educação" -> "educacao")
+const slugify = (name) => name
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  FALLBACK_CATEGORY,
+  UNCATEGORIZED,
+  INCOME_SOURCES,
+  slugify
+};
@@ -0,0 +1,174 @@
+const ret = require('ret');
+const db = require('./db');
+const { UNCATEGORIZED } = require('./categories');
+const { toCents } = require('./money');
+
+// How a rule matches an expense: text in the description, a regular expression over it,
+// or only the amount. Any rule may also limit the amount with min_amount and max_amount.
+const MATCH_TYPES = ['contains', 'regex', 'amount'];
+
+// Suggest a rule once this many expenses with a similar description share a category
+const SUGGESTION_MIN_MATCHES = 2;
+
+// Compare descriptions ignoring case, accents and spacing ("CAFÉ  Central" ~ "cafe central")
+const normalize = (text) => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Regex rules see at most this much of a description (the longest one the API accepts),
+// which bounds the time the repetitions below may take
+const MAX_MATCHED_LENGTH = 200;
+
+// Open-ended repetitions (*, +, {n,}) a regex rule may use. Each one more multiplies the
+// work of a failed match by the length of the description ("a.*b.*c.*d.*e").
+const MAX_OPEN_REPETITIONS = 3;
+
+// Whether a pattern can be matched in reasonable time. Regular expressions run on the server's
+// only thread, so rules may not use what makes matching time explode with the description's
+// length: a repeated group holding another repetition or alternatives ("(a+)+", "(a|aa)+"),
+// back references, or too many open-ended repetitions.
+const isSafeRegex = (pattern) => {
+  let tokens;
+  try {
+    tokens = ret(pattern);
+  } catch {
+    return false;
+  }
+
+  let openRepetitions = 0;
+  const isSafe = (token, repeated) => {
+    if (token.type === ret.types.REFERENCE) return false;
+    if (token.type === ret.types.REPETITION) {
+      const many = token.max > 1;
+      if (many && repeated) return false;
+      if (token.max === Infinity) openRepetitions++;
+      return isSafe(token.value, repeated || many);
+    }
+    if (token.type === ret.types.ROOT || token.type === ret.types.GROUP) {
+      if (repeated && token.options) return false;
+      return (token.options || [token.stack]).every((tokens) => tokens.every((inner) => isSafe(inner, repeated)));
+    }
+    return true;
+  };
+  return isSafe(tokens, false) && openRepetitions <= MAX_OPEN_REPETITIONS;
+};
+
+const compileRegex = (pattern) => {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch {
+    return null;
+  }
+};
+
+// Check a rule body. Returns { field: message } for the problems found, or null.
+const checkRule = ({ match_type: type, pattern, min_amount: min, max_amount: max }) => {
+  const hasMin = min !== undefined && min !== null && min !== '';
+  const hasMax = max !== undefined && max !== null && max !== '';
+
+  if (type !== 'amount' && !pattern) return { pattern: 'Campo obrigatorio' };
+  if (type === 'regex' && !compileRegex(pattern)) return { pattern: 'Expressao regular invalida' };
+  if (type === 'regex' && !isSafeRegex(pattern)) return { pattern: 'Expressao regular demasiado complexa' };
+  if (type === 'amount' && !hasMin && !hasMax) return { min_amount: 'Indique o valor minimo ou maximo' };
+  if (hasMin && hasMax && toCents(min) > toCents(max)) return { max_amount: 'Deve ser maior que o minimo' };
+  return null;
+};
+
+// Prepare a rule for matching: returns whether it applies to an expense ({ description, amount }),
+// amounts in cents. Patterns are checked and compiled here, once per rule.
+const compileRule = (rule) => {
+  let matchesText = () => true;
+  if (rule.match_type === 'contains') {
+    const pattern = normalize(rule.pattern);
+    matchesText = (description) => normalize(description).includes(pattern);
+  } else if (rule.match_type === 'regex') {
+    // Rules saved before unsafe patterns were refused never match
+    const regex = isSafeRegex(rule.pattern) ? compileRegex(rule.pattern) : null;
+    matchesText = (description) => Boolean(regex?.test(description.slice(0, MAX_MATCHED_LENGTH)));
+  }
+
+  return ({ description, amount }) => {
+    if (rule.min_amount !== null && amount < rule.min_amount) return false;
+    if (rule.max_amount !== null && amount > rule.max_amount) return false;
+    return matchesText(description);
+  };
+};
+
+// Whether a rule applies to an expense ({ description, amount }), amounts in cents
+const ruleMatches = (rule, expense) => compileRule(rule)(expense);
+
+// A user's rules in the order they are tried: highest priority first, then oldest first
+const listRules = (userId) => db.query(
+  'SELECT * FROM categorization_rules WHERE user_id = ? ORDER BY priority DESC, id',
+  [userId]
+);
+
+// Load a user's rules once and categorize expenses with them.
+// The returned function gives the category of the first matching rule, or null.
+const createCategorizer = async (userId) => {
+  const compiled = (await listRules(userId)).map((rule) => ({ rule, matches: compileRule(rule) }));
+  return (expense) => compiled.find(({ matches }) => matches(expense))?.rule.category || null;
+};
+
+// Run the rules over past expenses left in the fallback category, recategorizing the ones they match
+const applyToUncategorized = async (userId) => {
+  const categorize = await createCategorizer(userId);
+  const expenses = await db.query(
+    'SELECT id, description, amount FROM expenses WHERE user_id = ? AND category = ? AND deleted_at IS NULL',
+    [userId, UNCATEGORIZED]
+  );
+
+  const now = new Date().toISOString();
+  const statements = [];
+  for (const expense of expenses) {
+    const category = categorize(expense);
+    if (!category || category === UNCATEGORIZED) continue;
+    statements.push([
+      'UPDATE expenses SET category = ?, updated_at = ? WHERE id = ? AND user_id = ?',
+      [category, now, expense.id, userId]
+    ]);
+  }
+
+  await db.runBatch(statements);
+  return { checked: expenses.length, updated: statements.length };
+};
+
+// The part of a description worth matching on: words without digits, which are usually
+// references and dates ("COMPRA 4471 CONTINENTE 12/03" -> "compra continente")
+const suggestedPattern = (description) => normalize(description)
+  .split(' ')
+  .filter((word) => !/\d/.test(word))
+  .join(' ');
+
+// After an expense is moved to another category, suggest a "contains" rule when expenses
+// with a similar description keep ending up there and no rule already puts them there.
+// Returns { match_type, pattern, category, matches } or null.
+const suggestRule = async (userId, expense) => {
+  const pattern = suggestedPattern(expense.description);
+  if (pattern.length < 3 || expense.category === UNCATEGORIZED) return null;
+
+  const categorize = await createCategorizer(userId);
+  if (categorize(expense) === expense.category) return null;
+
+  const rows = await db.query(
+    'SELECT description FROM expenses WHERE user_id = ? AND category = ? AND deleted_at IS NULL',
+    [userId, expense.category]
+  );
+  const matches = rows.filter((row) => normalize(row.description).includes(pattern)).length;
+  if (matches < SUGGESTION_MIN_MATCHES) return null;
+
+  return { match_type: 'contains', pattern, category: expense.category, matches };
+};
+
+module.exports = {
+  MATCH_TYPES,
+  checkRule,
+  ruleMatches,
+  listRules,
+  createCategorizer,
+  applyToUncategorized,
+  suggestRule
+};
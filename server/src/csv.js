@@ -0,0 +1,133 @@
+const { fromCents } = require('./money');
+
+// Guess the delimiter from the first line (Portuguese bank exports usually use ";")
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const candidates = [';', ',', '\t', '|'];
+  const counts = candidates.map((delimiter) => firstLine.split(delimiter).length - 1);
+  const best = counts.indexOf(Math.max(...counts));
+  return counts[best] > 0 ? candidates[best] : ',';
+};
+
+// Parse CSV text into an array of rows (arrays of strings), honouring quoted fields
+const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip the byte order mark some spreadsheet exports add
+  const content = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((value) => value.trim() !== ''));
+};
+
+// Parse an amount in Portuguese ("1.234,56") or international ("1,234.56") format.
+// Returns null when the value is not a number.
+const parseAmount = (value) => {
+  let cleaned = String(value ?? '').replace(/[€\s]|EUR/g, '');
+  if (!cleaned) return null;
+
+  const lastComma = cleaned.lastIndexOf(',');
+  const lastDot = cleaned.lastIndexOf('.');
+
+  if (lastComma > lastDot) {
+    // Comma is the decimal separator
+    cleaned = cleaned.replace(/\./g, '').replace(',', '.');
+  } else if (/^[-+]?\d{1,3}(\.\d{3})+$/.test(cleaned)) {
+    // Only thousands separators ("1.234")
+    cleaned = cleaned.replace(/\./g, '');
+  } else {
+    cleaned = cleaned.replace(/,/g, '');
+  }
+
+  if (!/^[-+]?\d+(\.\d+)?$/.test(cleaned)) return null;
+  return Number(cleaned);
+};
+
+// Parse dd/mm/yyyy (also with "-" or "." and two-digit years) or ISO dates into YYYY-MM-DD.
+// Returns null when the value is not a valid date.
+const parseDate = (value) => {
+  const text = String(value ?? '').trim();
+  let year;
+  let month;
+  let day;
+
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  const european = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+
+  if (iso) {
+    [, year, month, day] = iso.map(Number);
+  } else if (european) {
+    [, day, month, year] = european.map(Number);
+    if (year < 100) year += 2000;
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+// Build CSV text from rows of values, quoting fields that need it.
+// Starts with a byte order mark so Excel opens UTF-8 files with the right accents.
+const toCsv = (rows, delimiter = ';') => {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return '\uFEFF' + rows.map((row) => row.map(escape).join(delimiter)).join('\r\n') + '\r\n';
+};
+
+// Format an amount in cents the way Excel pt-PT reads it ("1234,56")
+const formatAmount = (cents) => fromCents(cents).replace('.', ',');
+
+// Format YYYY-MM-DD as dd/mm/yyyy
+const formatDate = (value) => value.split('-').reverse().join('/');
+
+module.exports = {
+  detectDelimiter,
+  parseCsv,
+  parseAmount,
+  parseDate,
+  toCsv,
+  formatAmount,
+  formatDate
+};
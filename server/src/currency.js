@@ -0,0 +1,126 @@
+const db = require('./db');
+const { parseCsv, parseAmount, parseDate } = require('./csv');
+
+// Rates are stored against the euro: 1 EUR = rate units of the currency
+const REFERENCE_CURRENCY = 'EUR';
+
+// Currencies offered in the app; any ISO 4217 code is accepted
+const CURRENCIES = ['EUR', 'USD', 'GBP', 'CHF', 'BRL', 'JPY', 'CAD', 'AUD', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'CNY', 'MXN'];
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+// A user's rates as { currency: [{ date, rate }] }, oldest first
+const loadRates = async (userId) => {
+  const rows = await db.query(
+    'SELECT currency, date, rate FROM exchange_rates WHERE user_id = ? ORDER BY currency, date',
+    [userId]
+  );
+  const rates = new Map();
+  for (const row of rows) {
+    if (!rates.has(row.currency)) rates.set(row.currency, []);
+    rates.get(row.currency).push({ date: row.date, rate: Number(row.rate) });
+  }
+  return rates;
+};
+
+// The rate on a date: the latest one on or before it, otherwise the earliest one after it
+const findRate = (history, date) => {
+  if (!history || history.length === 0) return null;
+  let found = history[0];
+  for (const entry of history) {
+    if (entry.date > date) break;
+    found = entry;
+  }
+  return found.rate;
+};
+
+// Convert amounts in cents to a base currency with a user's rates, rounding to whole cents.
+// convert() returns null when a currency has no rate.
+const createConverter = async (userId, base) => {
+  const rates = await loadRates(userId);
+  const rateOn = (currency, date) => (currency === REFERENCE_CURRENCY ? 1 : findRate(rates.get(currency), date));
+
+  const convert = (cents, currency, date) => {
+    if (!currency || currency === base) return Number(cents);
+    const from = rateOn(currency, date);
+    const to = rateOn(base, date);
+    if (!from || !to) return null;
+    return Math.round((Number(cents) / from) * to);
+  };
+
+  return { base, convert };
+};
+
+// Add converted_amount (in the base currency, in cents) to rows with amount, currency and date
+const withConverted = (rows, converter) => rows.map((row) => ({
+  ...row,
+  converted_amount: converter.convert(row.amount, row.currency, row.date)
+}));
+
+// Currencies in rows that could not be converted
+const missingRates = (rows, converter) => [...new Set(
+  rows.filter((row) => converter.convert(row.amount, row.currency, row.date) === null).map((row) => row.currency)
+)];
+
+// Parse a rates file. Accepts the ECB layout (a date column, then one column per currency)
+// or one rate per row with currency, date and rate columns. Rates are against the euro.
+const parseRatesFile = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((name) => name.trim().toLowerCase());
+  const findColumn = (...names) => columns.findIndex((name) => names.includes(name));
+  const dateIndex = findColumn('date', 'data');
+  const currencyIndex = findColumn('currency', 'moeda');
+  const rateIndex = findColumn('rate', 'taxa');
+
+  const rates = [];
+  let skipped = 0;
+
+  const add = (currency, date, value) => {
+    const raw = String(value ?? '').trim();
+    // Cells left empty (e.g. "N/A" on holidays) are not errors
+    if (!raw || raw.toUpperCase() === 'N/A') return;
+
+    const code = String(currency ?? '').trim().toUpperCase();
+    const rate = /^\d+(\.\d+)?$/.test(raw) ? Number(raw) : parseAmount(raw);
+    const parsedDate = parseDate(date);
+
+    if (!CURRENCY_PATTERN.test(code) || code === REFERENCE_CURRENCY || !parsedDate || !(rate > 0)) {
+      skipped++;
+      return;
+    }
+    rates.push({ currency: code, date: parsedDate, rate });
+  };
+
+  if (dateIndex === -1) {
+    return { rates, skipped: rows.length };
+  }
+
+  if (currencyIndex !== -1 && rateIndex !== -1) {
+    rows.forEach((row) => add(row[currencyIndex], row[dateIndex], row[rateIndex]));
+  } else {
+    header.forEach((code, index) => {
+      if (index === dateIndex || !code.trim()) return;
+      rows.forEach((row) => add(code, row[dateIndex], row[index]));
+    });
+  }
+
+  return { rates, skipped };
+};
+
+// Replace stored rates for the same currency and date
+const saveRates = async (userId, rates) => {
+  await db.runBatch(rates.flatMap(({ currency, date, rate }) => [
+    ['DELETE FROM exchange_rates WHERE user_id = ? AND currency = ? AND date = ?', [userId, currency, date]],
+    ['INSERT INTO exchange_rates (user_id, currency, date, rate) VALUES (?, ?, ?, ?)', [userId, currency, date, rate]]
+  ]));
+};
+
+module.exports = {
+  REFERENCE_CURRENCY,
+  CURRENCIES,
+  CURRENCY_PATTERN,
+  createConverter,
+  withConverted,
+  missingRates,
+  parseRatesFile,
+  saveRates
+};
@@ -1,125 +1,263 @@
-const { Pool } = require('pg');
-const initSqlJs = require('sql.js');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Pool, types } = require('pg');
+const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
+const { DEFAULT_CATEGORIES, FALLBACK_CATEGORY } = require('./categories');
+const migrations = require('./migrations');
 
 // Check if we're using PostgreSQL (production) or SQLite (local)
 const usePostgres = !!process.env.DATABASE_URL;
+const dialect = usePostgres ? 'postgres' : 'sqlite';
+
+// PostgreSQL returns BIGINT (amounts in cents, counts) as strings; they fit in a number
+types.setTypeParser(types.builtins.INT8, (value) => Number(value));
 
 // PostgreSQL pool
 let pgPool = null;
 
-// SQLite database
+// SQLite database, written in place with a write-ahead log
 let sqliteDb = null;
-const DB_PATH = path.join(__dirname, '../data/expenses.sqlite');
+const DB_PATH = process.env.SQLITE_FILE || path.join(__dirname, '../data/expenses.db');
+// Where the database lived when it was kept in memory with sql.js and rewritten whole
+const LEGACY_DB_PATH = path.join(path.dirname(DB_PATH), 'expenses.sqlite');
 
-// Ensure data directory exists for SQLite
-if (!usePostgres) {
-  const dataDir = path.dirname(DB_PATH);
-  if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-  }
-}
+// Settles once the database is connected and migrated
+let ready = null;
 
-// Initialize database
-const initDb = async () => {
+// Open the connection without touching the schema (the migration CLI uses this directly)
+const connect = async () => {
   if (usePostgres) {
-    // PostgreSQL initialization
-    if (pgPool) return pgPool;
-
-    pgPool = new Pool({
-      connectionString: process.env.DATABASE_URL,
-      ssl: { rejectUnauthorized: false }
-    });
-
-    // Create tables
-    await pgPool.query(`
-      CREATE TABLE IF NOT EXISTS expenses (
-        id SERIAL PRIMARY KEY,
-        description TEXT NOT NULL,
-        amount REAL NOT NULL,
-        category TEXT NOT NULL,
-        date TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-
-    await pgPool.query(`
-      CREATE TABLE IF NOT EXISTS budgets (
-        id SERIAL PRIMARY KEY,
-        month TEXT NOT NULL UNIQUE,
-        amount REAL NOT NULL,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-
-    // Create indexes
-    await pgPool.query('CREATE INDEX IF NOT EXISTS idx_expenses_date ON expenses(date)');
-    await pgPool.query('CREATE INDEX IF NOT EXISTS idx_expenses_category ON expenses(category)');
-    await pgPool.query('CREATE INDEX IF NOT EXISTS idx_budgets_month ON budgets(month)');
-
-    console.log('PostgreSQL database initialized');
+    if (!pgPool) {
+      pgPool = new Pool({
+        connectionString: process.env.DATABASE_URL,
+        ssl: { rejectUnauthorized: false }
+      });
+    }
     return pgPool;
-  } else {
-    // SQLite initialization
-    if (sqliteDb) return sqliteDb;
+  }
+
+  if (!sqliteDb) {
+    // The data directory is only needed once something opens the database
+    fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+    if (!fs.existsSync(DB_PATH) && fs.existsSync(LEGACY_DB_PATH)) {
+      await importLegacyDb();
+    }
+
+    sqliteDb = new Database(DB_PATH);
+    sqliteDb.pragma('journal_mode = WAL');
+    // As before, SQLite does not enforce foreign keys: migrations rebuild tables,
+    // and dropping one would cascade to the rows referencing it
+    sqliteDb.pragma('foreign_keys = OFF');
+  }
+  return sqliteDb;
+};
+
+// Copy the file sql.js used to write into the new database, once. The file is the same
+// SQLite format, so it is checked and copied page by page; it is then renamed, not deleted.
+const importLegacyDb = async () => {
+  const legacy = new Database(LEGACY_DB_PATH, { readonly: true, fileMustExist: true });
+  try {
+    const [{ integrity_check: integrity }] = legacy.pragma('integrity_check');
+    if (integrity !== 'ok') {
+      throw new Error(`Base de dados antiga danificada (${LEGACY_DB_PATH}): ${integrity}`);
+    }
+    // Written under another name first, so an interrupted copy is not taken for the database
+    await legacy.backup(`${DB_PATH}.importing`);
+  } finally {
+    legacy.close();
+  }
+
+  fs.renameSync(`${DB_PATH}.importing`, DB_PATH);
+  fs.renameSync(LEGACY_DB_PATH, `${LEGACY_DB_PATH}.imported`);
+  console.log(`Base de dados importada de ${path.basename(LEGACY_DB_PATH)}`);
+};
+
+// Close the connection so scripts can exit
+const close = async () => {
+  if (pgPool) {
+    await pgPool.end();
+    pgPool = null;
+  }
+  if (sqliteDb) {
+    sqliteDb.close();
+    sqliteDb = null;
+  }
+  ready = null;
+};
+
+// Initialize database: connect and apply pending migrations once.
+// Every helper waits for this, so no request runs against an outdated schema.
+const initDb = () => {
+  if (!ready) {
+    ready = (async () => {
+      await connect();
+      const applied = await migrations.up({ dialect, transaction: runTransaction });
+      applied.forEach((migration) => console.log(`Migracao aplicada: ${migration.version} ${migration.name}`));
+      console.log(`${usePostgres ? 'PostgreSQL' : 'SQLite'} database initialized`);
+    })();
+  }
+  return ready;
+};
+
+// Statements of a transaction: exec (raw SQL), query, run and runBatch (see below)
+const withBatch = (statements) => ({
+  ...statements,
+  runBatch: async (list) => {
+    const results = [];
+    for (const statement of list) {
+      const [sql, params = []] = typeof statement === 'function' ? statement(results) : statement;
+      results.push(await statements.run(sql, params));
+    }
+    return results;
+  }
+});
+
+const pgStatements = (client) => withBatch({
+  exec: (sql) => client.query(sql),
+  query: async (sql, params = []) => (await client.query(toPgSql(sql), params)).rows,
+  run: async (sql, params = []) => {
+    const result = await client.query(withReturningId(toPgSql(sql)), params);
+    return { lastId: result.rows[0]?.id, changes: result.rowCount };
+  }
+});
+
+const sqliteStatements = () => withBatch({
+  exec: async (sql) => sqliteDb.exec(sql),
+  query: async (sql, params = []) => sqliteRows(sql, params),
+  run: async (sql, params = []) => sqliteRun(sql, params)
+});
+
+// The transaction the current request is in, so query, run and runBatch called while it is
+// open (also by helpers that know nothing of it) go through it instead of around it
+const currentTransaction = new AsyncLocalStorage();
+
+// SQLite has a single connection: a transaction holds it until it ends, and statements from
+// other requests wait their turn instead of ending up inside it
+let sqliteTurn = Promise.resolve();
+const sqliteExclusive = (fn) => {
+  const result = sqliteTurn.then(fn);
+  sqliteTurn = result.catch(() => {});
+  return result;
+};
+
+// Run fn(tx) in a transaction without waiting for initDb (migrations run this way)
+const runTransaction = async (fn) => {
+  const open = currentTransaction.getStore();
+  if (open) return fn(open);
 
-    const SQL = await initSqlJs();
+  if (usePostgres) {
+    const client = await pgPool.connect();
+    try {
+      await client.query('BEGIN');
+      const tx = pgStatements(client);
+      const value = await currentTransaction.run(tx, () => fn(tx));
+      await client.query('COMMIT');
+      return value;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
 
-    if (fs.existsSync(DB_PATH)) {
-      const buffer = fs.readFileSync(DB_PATH);
-      sqliteDb = new SQL.Database(buffer);
-    } else {
-      sqliteDb = new SQL.Database();
+  return sqliteExclusive(async () => {
+    try {
+      sqliteDb.exec('BEGIN');
+      const tx = sqliteStatements();
+      const value = await currentTransaction.run(tx, () => fn(tx));
+      sqliteDb.exec('COMMIT');
+      return value;
+    } catch (error) {
+      if (sqliteDb.inTransaction) sqliteDb.exec('ROLLBACK');
+      throw error;
     }
+  });
+};
+
+// Run fn(tx) in a transaction, on a connection of its own on Postgres, and resolve to what it
+// returns: everything is committed when it resolves and rolled back when it throws.
+// tx offers exec (raw SQL), query, run and runBatch; a transaction started inside joins this one.
+const transaction = async (fn) => {
+  // Wait for the migrations when the server is starting; the migration CLI only connects
+  if (!currentTransaction.getStore()) await (ready || connect());
+  return runTransaction(fn);
+};
 
-    sqliteDb.run(`
-      CREATE TABLE IF NOT EXISTS expenses (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        description TEXT NOT NULL,
-        amount REAL NOT NULL,
-        category TEXT NOT NULL,
-        date TEXT NOT NULL,
-        created_at TEXT DEFAULT (datetime('now'))
-      )
-    `);
+// Give users without categories the defaults, and define any category their
+// expenses or recurring rules use that has no definition (data from before categories).
+// Runs through the given statements so migrations can call it inside their transaction.
+const ensureCategories = async (statements = { query, run }) => {
+  const users = await statements.query(`
+    SELECT id FROM users
+    WHERE NOT EXISTS (SELECT 1 FROM categories WHERE categories.user_id = users.id)
+  `);
 
-    sqliteDb.run(`
-      CREATE TABLE IF NOT EXISTS budgets (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        month TEXT NOT NULL UNIQUE,
-        amount REAL NOT NULL,
-        created_at TEXT DEFAULT (datetime('now'))
-      )
-    `);
+  for (const user of users) {
+    for (const category of DEFAULT_CATEGORIES) {
+      await statements.run(
+        'INSERT INTO categories (user_id, slug, name, color, icon) VALUES (?, ?, ?, ?, ?)',
+        [user.id, category.slug, category.name, category.color, category.icon]
+      );
+    }
+  }
 
-    sqliteDb.run('CREATE INDEX IF NOT EXISTS idx_expenses_date ON expenses(date)');
-    sqliteDb.run('CREATE INDEX IF NOT EXISTS idx_expenses_category ON expenses(category)');
-    sqliteDb.run('CREATE INDEX IF NOT EXISTS idx_budgets_month ON budgets(month)');
+  const missing = await statements.query(`
+    SELECT DISTINCT used.user_id, used.category FROM (
+      SELECT user_id, category FROM expenses
+      UNION SELECT user_id, category FROM recurring_expenses
+    ) used
+    WHERE used.user_id IS NOT NULL AND NOT EXISTS (
+      SELECT 1 FROM categories WHERE categories.user_id = used.user_id AND categories.slug = used.category
+    )
+  `);
 
-    saveDb();
-    console.log('SQLite database initialized');
-    return sqliteDb;
+  for (const { user_id: userId, category } of missing) {
+    await statements.run(
+      'INSERT INTO categories (user_id, slug, name, color, icon) VALUES (?, ?, ?, ?, ?)',
+      [userId, category, category, FALLBACK_CATEGORY.color, FALLBACK_CATEGORY.icon]
+    );
   }
 };
 
-// Save SQLite database to file
-const saveDb = () => {
-  if (!usePostgres && sqliteDb) {
-    const data = sqliteDb.export();
-    const buffer = Buffer.from(data);
-    fs.writeFileSync(DB_PATH, buffer);
+// Convert ? placeholders to $1, $2, etc for PostgreSQL
+const toPgSql = (sql) => {
+  let paramIndex = 0;
+  return sql.replace(/\?/g, () => `$${++paramIndex}`);
+};
+
+// better-sqlite3 binds neither booleans nor undefined; store them as 1/0 and NULL like pg does
+const sqliteParams = (params) => params.map((param) => {
+  if (param === undefined) return null;
+  if (typeof param === 'boolean') return param ? 1 : 0;
+  return param;
+});
+
+// Read all rows of a SQLite query as objects
+const sqliteRows = (sql, params = []) => {
+  const stmt = sqliteDb.prepare(sql);
+  if (!stmt.reader) {
+    stmt.run(sqliteParams(params));
+    return [];
   }
+  return stmt.all(sqliteParams(params));
+};
+
+// Run a SQLite write statement
+const sqliteRun = (sql, params = []) => {
+  const result = sqliteDb.prepare(sql).run(sqliteParams(params));
+  return { lastId: Number(result.lastInsertRowid), changes: result.changes };
 };
 
 // Query helper
 const query = async (sql, params = []) => {
+  const tx = currentTransaction.getStore();
+  if (tx) return tx.query(sql, params);
   await initDb();
 
   if (usePostgres) {
-    // Convert ? placeholders to $1, $2, etc for PostgreSQL
-    let paramIndex = 0;
-    const pgSql = sql.replace(/\?/g, () => `$${++paramIndex}`);
+    const pgSql = toPgSql(sql);
 
     try {
       const result = await pgPool.query(pgSql, params);
@@ -131,16 +269,7 @@ const query = async (sql, params = []) => {
     }
   } else {
     try {
-      const stmt = sqliteDb.prepare(sql);
-      stmt.bind(params);
-
-      const rows = [];
-      while (stmt.step()) {
-        rows.push(stmt.getAsObject());
-      }
-      stmt.free();
-
-      return rows;
+      return await sqliteExclusive(() => sqliteRows(sql, params));
     } catch (error) {
       console.error('SQL Error:', error.message);
       console.error('Query:', sql);
@@ -149,19 +278,26 @@ const query = async (sql, params = []) => {
   }
 };
 
+// Tables keyed by something other than an id column, so there is no id to return
+const TABLES_WITHOUT_ID = ['sessions', 'schema_migrations'];
+
+// Postgres needs RETURNING id to report the id of an inserted row
+const withReturningId = (pgSql) => {
+  const insert = pgSql.trim().match(/^INSERT\s+INTO\s+"?(\w+)/i);
+  if (insert && !TABLES_WITHOUT_ID.includes(insert[1].toLowerCase()) && !/\bRETURNING\b/i.test(pgSql)) {
+    return pgSql + ' RETURNING id';
+  }
+  return pgSql;
+};
+
 // Run query (INSERT, UPDATE, DELETE)
 const run = async (sql, params = []) => {
+  const tx = currentTransaction.getStore();
+  if (tx) return tx.run(sql, params);
   await initDb();
 
   if (usePostgres) {
-    // Convert ? placeholders to $1, $2, etc for PostgreSQL
-    let paramIndex = 0;
-    let pgSql = sql.replace(/\?/g, () => `$${++paramIndex}`);
-
-    // Add RETURNING id for INSERT statements
-    if (pgSql.trim().toUpperCase().startsWith('INSERT') && !pgSql.toUpperCase().includes('RETURNING')) {
-      pgSql += ' RETURNING id';
-    }
+    const pgSql = withReturningId(toPgSql(sql));
 
     try {
       const result = await pgPool.query(pgSql, params);
@@ -176,11 +312,7 @@ const run = async (sql, params = []) => {
     }
   } else {
     try {
-      sqliteDb.run(sql, params);
-      saveDb();
-
-      const lastId = sqliteDb.exec("SELECT last_insert_rowid()")[0]?.values[0][0];
-      return { lastId, changes: sqliteDb.getRowsModified() };
+      return await sqliteExclusive(() => sqliteRun(sql, params));
     } catch (error) {
       console.error('SQL Error:', error.message);
       console.error('Query:', sql);
@@ -189,9 +321,35 @@ const run = async (sql, params = []) => {
   }
 };
 
+// Run several write statements ([sql, params] pairs) atomically: all or none are applied.
+// A statement may also be a function of the earlier results, returning [sql, params],
+// for rows that reference ids inserted earlier in the same batch.
+// Resolves to one { lastId, changes } per statement.
+const runBatch = async (statements) => {
+  try {
+    return await transaction((tx) => tx.runBatch(statements));
+  } catch (error) {
+    console.error('SQL Error:', error.message);
+    throw error;
+  }
+};
+
+// Whether a write failed on a UNIQUE constraint, e.g. because a concurrent request
+// inserted the same row first (SQLite reports SQLITE_CONSTRAINT_UNIQUE, Postgres 23505)
+const isUniqueViolation = (error) => error.code === 'SQLITE_CONSTRAINT_UNIQUE' || error.code === '23505';
+
 module.exports = {
+  dialect,
+  connect,
+  close,
   initDb,
+  transaction,
+  ensureCategories,
   query,
   run,
-  saveDb
+  runBatch,
+  isUniqueViolation,
+  // How statements are rewritten for Postgres, exposed for tests
+  toPgSql,
+  withReturningId
 };
@@ -0,0 +1,218 @@
+const db = require('./db');
+const currency = require('./currency');
+const { toCents, fromCents, sumCents } = require('./money');
+
+// How an expense is shared: equally, by percentage or by exact amounts
+const SPLIT_TYPES = ['equal', 'percentage', 'exact'];
+const MAX_SPLIT_MEMBERS = 20;
+
+// The account's members, the owner first. The owner is created on first use,
+// so accounts (and restored backups) from before households start with one.
+// Requests arriving together may both add the owner; the unique name keeps one.
+const listMembers = async (user) => {
+  const select = () => db.query(
+    'SELECT id, name, is_owner FROM household_members WHERE user_id = ? ORDER BY is_owner DESC, id',
+    [user.id]
+  );
+
+  let members = await select();
+  if (!members.some((member) => member.is_owner)) {
+    // Another member may already use the owner's name
+    const name = members.some((member) => member.name === user.name) ? `${user.name} (eu)` : user.name;
+    await db.run(
+      'INSERT INTO household_members (user_id, name, is_owner) VALUES (?, ?, 1) ON CONFLICT (user_id, name) DO NOTHING',
+      [user.id, name]
+    );
+    members = await select();
+  }
+  return members.map((member) => ({ ...member, is_owner: Boolean(member.is_owner) }));
+};
+
+// Each member's share of an amount in cents, the shares adding up to it exactly.
+// Split values are in hundredths, like amounts: cents for exact splits and hundredths
+// of a percent for percentage splits. Cents left over by rounding go to the first members.
+const computeShares = (total, type, splits) => {
+  const weights = splits.map((split) => (type === 'equal' ? 1 : split.value));
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+
+  const cents = weights.map((weight) => Math.floor((total * weight) / weightSum));
+  let remainder = total - cents.reduce((sum, value) => sum + value, 0);
+  for (let index = 0; remainder > 0; index = (index + 1) % cents.length, remainder--) {
+    cents[index]++;
+  }
+
+  return splits.map((split, index) => ({
+    member_id: Number(split.member_id),
+    value: type === 'equal' ? null : split.value,
+    share: cents[index]
+  }));
+};
+
+// Check the payer and split of an expense body ({ amount, payer_id, split_type, splits }).
+// Returns { field: message } for the problems found, or null.
+const checkSplit = async (userId, { amount, payer_id: payerId, split_type: type, splits }) => {
+  const memberIds = new Set((await db.query('SELECT id FROM household_members WHERE user_id = ?', [userId]))
+    .map((member) => member.id));
+
+  const fields = {};
+  if (payerId && !memberIds.has(Number(payerId))) fields.payer_id = 'Membro desconhecido';
+  if (!type) {
+    if (splits && splits.length > 0) fields.split_type = 'Escolha como dividir';
+    return Object.keys(fields).length > 0 ? fields : null;
+  }
+
+  if (!splits || splits.length === 0) {
+    fields.splits = 'Escolha com quem dividir';
+    return fields;
+  }
+  if (splits.length > MAX_SPLIT_MEMBERS) {
+    fields.splits = `Maximo de ${MAX_SPLIT_MEMBERS} membros`;
+    return fields;
+  }
+
+  const seen = new Set();
+  for (const split of splits) {
+    const id = Number(split?.member_id);
+    if (!memberIds.has(id) || seen.has(id)) {
+      fields.splits = 'Membro desconhecido ou repetido';
+      return fields;
+    }
+    seen.add(id);
+
+    if (type !== 'equal' && !(toCents(split.value) > 0)) {
+      fields.splits = 'Indique um valor positivo (ate duas casas decimais) para cada membro';
+      return fields;
+    }
+  }
+
+  const sum = type === 'equal' ? 0 : sumCents(splits.map((split) => toCents(split.value)));
+  if (type === 'percentage' && sum !== 10000) {
+    fields.splits = `As percentagens somam ${fromCents(sum)}% em vez de 100%`;
+  }
+  if (type === 'exact' && sum !== toCents(amount)) {
+    fields.splits = `Os valores somam ${fromCents(sum)} em vez de ${fromCents(toCents(amount))}`;
+  }
+  return Object.keys(fields).length > 0 ? fields : null;
+};
+
+// Statements replacing an expense's splits (expenseId may be a function of earlier batch results).
+// Takes the amount in cents and the splits as sent, with values as decimal strings or numbers.
+const splitStatements = (expenseId, { amount, split_type: type, splits }) => {
+  const idOf = (results) => (typeof expenseId === 'function' ? expenseId(results) : expenseId);
+  const statements = [(results) => ['DELETE FROM expense_splits WHERE expense_id = ?', [idOf(results)]]];
+
+  if (type) {
+    const values = splits.map((split) => ({ ...split, value: type === 'equal' ? null : toCents(split.value) }));
+    computeShares(amount, type, values).forEach((split) => {
+      statements.push((results) => [
+        'INSERT INTO expense_splits (expense_id, member_id, value, share) VALUES (?, ?, ?, ?)',
+        [idOf(results), split.member_id, split.value, split.share]
+      ]);
+    });
+  }
+  return statements;
+};
+
+// Add each expense's splits to rows from the expenses table (values and shares in cents)
+const withSplits = async (expenses) => {
+  const ids = expenses.filter((expense) => expense.split_type).map((expense) => expense.id);
+  const rows = ids.length === 0 ? [] : await db.query(
+    `SELECT expense_id, member_id, value, share FROM expense_splits
+      WHERE expense_id IN (${ids.map(() => '?').join(', ')}) ORDER BY id`,
+    ids
+  );
+  return expenses.map((expense) => ({
+    ...expense,
+    splits: rows.filter((row) => row.expense_id === expense.id)
+      .map(({ member_id: memberId, value, share }) => ({ member_id: memberId, value, share }))
+  }));
+};
+
+// Who owes whom, in cents of the user's base currency. Each member's balance is what they paid
+// for shared expenses minus their shares, adjusted by settlements; positive means they are owed.
+const getBalances = async (user) => {
+  const members = await listMembers(user);
+  const owner = members.find((member) => member.is_owner);
+  const converter = await currency.createConverter(user.id, user.base_currency);
+
+  const shares = await db.query(`
+    SELECT expenses.id, expenses.payer_id, expenses.amount, expenses.currency, expenses.date,
+      expense_splits.member_id, expense_splits.share
+    FROM expense_splits
+    JOIN expenses ON expenses.id = expense_splits.expense_id
+    WHERE expenses.user_id = ? AND expenses.deleted_at IS NULL
+  `, [user.id]);
+  const settlements = await db.query(
+    'SELECT from_member_id, to_member_id, amount, currency, date FROM settlements WHERE user_id = ?',
+    [user.id]
+  );
+
+  const balances = new Map(members.map((member) => [member.id, { paid: 0, share: 0, settled: 0 }]));
+  const add = (memberId, key, value) => {
+    const balance = balances.get(memberId);
+    if (balance) balance[key] += value;
+  };
+  const unconverted = [];
+
+  for (const row of shares) {
+    const share = converter.convert(row.share, row.currency, row.date);
+    if (share === null) {
+      unconverted.push(row);
+      continue;
+    }
+    add(row.payer_id || owner.id, 'paid', share);
+    add(row.member_id, 'share', share);
+  }
+
+  // Paying someone back counts as having paid for them
+  for (const row of settlements) {
+    const amount = converter.convert(row.amount, row.currency, row.date);
+    if (amount === null) {
+      unconverted.push(row);
+      continue;
+    }
+    add(row.from_member_id, 'settled', amount);
+    add(row.to_member_id, 'settled', -amount);
+  }
+
+  const rows = members.map((member) => {
+    const { paid, share, settled } = balances.get(member.id);
+    return { ...member, paid, share, settled, balance: paid - share + settled };
+  });
+
+  // Settle up with as few payments as possible: the largest debtor pays the largest creditor
+  const debtors = rows.filter((row) => row.balance < 0).map((row) => ({ id: row.id, cents: -row.balance }));
+  const creditors = rows.filter((row) => row.balance > 0).map((row) => ({ id: row.id, cents: row.balance }));
+  const debts = [];
+  while (debtors.length > 0 && creditors.length > 0) {
+    debtors.sort((a, b) => b.cents - a.cents);
+    creditors.sort((a, b) => b.cents - a.cents);
+    const [debtor] = debtors;
+    const [creditor] = creditors;
+    const cents = Math.min(debtor.cents, creditor.cents);
+
+    debts.push({ from_member_id: debtor.id, to_member_id: creditor.id, amount: cents });
+    debtor.cents -= cents;
+    creditor.cents -= cents;
+    if (debtor.cents === 0) debtors.shift();
+    if (creditor.cents === 0) creditors.shift();
+  }
+
+  return {
+    baseCurrency: converter.base,
+    missingRates: [...new Set(unconverted.map((row) => row.currency))],
+    members: rows,
+    debts
+  };
+};
+
+module.exports = {
+  SPLIT_TYPES,
+  MAX_SPLIT_MEMBERS,
+  listMembers,
+  computeShares,
+  checkSplit,
+  splitStatements,
+  withSplits,
+  getBalances
+};
@@ -0,0 +1,84 @@
+const db = require('./db');
+const currency = require('./currency');
+const { withAttachments } = require('./attachments');
+const { sumCents } = require('./money');
+
+// IRS deduction classes (Codigo do IRS, art. 78.º-B to 78.º-F): the share of the expenses
+// that is deducted and the yearly cap on the deduction, in euros. Caps are the ones for
+// 2025 income; update them when the State Budget changes them.
+const IRS_CLASSES = [
+  // The cap is per taxpayer (a couple filing jointly gets two)
+  { id: 'gerais', name: 'Despesas gerais familiares', rate: 0.35, cap: 250 },
+  { id: 'saude', name: 'Saude', rate: 0.15, cap: 1000 },
+  { id: 'educacao', name: 'Educacao', rate: 0.30, cap: 800 },
+  // Rent of the permanent home
+  { id: 'habitacao', name: 'Habitacao (rendas)', rate: 0.15, cap: 700 },
+  // Restaurants, car repairs, hairdressers, vets, gyms and public transport passes:
+  // the deduction is a share of the VAT paid, not of the amount
+  { id: 'fatura', name: 'Exigencia de fatura', rate: 0.15, cap: 250, onVat: true }
+];
+const IRS_CLASS_IDS = IRS_CLASSES.map((irsClass) => irsClass.id);
+
+// Expenses do not record their VAT, so it is estimated at the standard rate
+const STANDARD_VAT_RATE = 0.23;
+
+// Deductible expenses of a year grouped by class, each class totalled against its cap.
+// Amounts (caps included) are in euro cents, whatever the user's base currency.
+const getIrsReport = async (userId, year) => {
+  const from = `${year}-01-01`;
+  const to = `${year}-12-31`;
+
+  const rows = await db.query(`
+    SELECT id, description, amount, currency, category, date, irs_class, nif, invoice_number
+    FROM expenses
+    WHERE user_id = ? AND deleted_at IS NULL AND date >= ? AND date <= ? AND irs_class IS NOT NULL
+    ORDER BY date, id
+  `, [userId, from, to]);
+
+  const unclassified = await db.query(
+    `SELECT COUNT(*) as count FROM expenses
+      WHERE user_id = ? AND deleted_at IS NULL AND date >= ? AND date <= ? AND irs_class IS NULL`,
+    [userId, from, to]
+  );
+
+  const converter = await currency.createConverter(userId, currency.REFERENCE_CURRENCY);
+  const expenses = currency.withConverted(await withAttachments(userId, rows), converter);
+
+  const classes = IRS_CLASSES.map((irsClass) => {
+    const items = expenses.filter((expense) => expense.irs_class === irsClass.id);
+    const cap = irsClass.cap * 100;
+    const total = sumCents(items.map((expense) => expense.converted_amount ?? 0));
+    const base = irsClass.onVat ? total * (STANDARD_VAT_RATE / (1 + STANDARD_VAT_RATE)) : total;
+    const uncapped = base * irsClass.rate;
+    const deduction = Math.round(Math.min(uncapped, cap));
+
+    return {
+      ...irsClass,
+      cap,
+      total,
+      deduction,
+      capReached: uncapped >= cap,
+      // Deduction still available before the cap
+      remaining: cap - deduction,
+      // Expenses e-fatura may not know about
+      withoutInvoice: items.filter((expense) => !expense.nif && !expense.invoice_number).length,
+      expenses: items
+    };
+  });
+
+  return {
+    year,
+    currency: currency.REFERENCE_CURRENCY,
+    missingRates: currency.missingRates(rows, converter),
+    classes,
+    totalDeduction: sumCents(classes.map((irsClass) => irsClass.deduction)),
+    unclassified: Number(unclassified[0].count)
+  };
+};
+
+module.exports = {
+  IRS_CLASSES,
+  IRS_CLASS_IDS,
+  STANDARD_VAT_RATE,
+  getIrsReport
+};
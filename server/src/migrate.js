@@ -0,0 +1,38 @@
+// Migration CLI
+//   node src/migrate.js up [version]   apply pending migrations (up to a version)
+//   node src/migrate.js status         list migrations and whether they are applied
+//   node src/migrate.js down [steps]   roll back the last migration (or the last N)
+const db = require('./db');
+const migrations = require('./migrations');
+
+const [command = 'up', arg] = process.argv.slice(2);
+
+const main = async () => {
+  await db.connect();
+
+  if (command === 'up') {
+    const applied = await migrations.up(db, arg ? Number(arg) : Infinity);
+    applied.forEach((m) => console.log(`Aplicada: ${m.version} ${m.name}`));
+    if (applied.length === 0) console.log('Sem migracoes pendentes');
+  } else if (command === 'down') {
+    const reverted = await migrations.down(db, arg ? Number(arg) : 1);
+    reverted.forEach((m) => console.log(`Revertida: ${m.version} ${m.name}`));
+    if (reverted.length === 0) console.log('Nenhuma migracao aplicada');
+  } else if (command === 'status') {
+    const list = await migrations.status(db);
+    list.forEach((m) => {
+      const state = m.applied ? `aplicada em ${m.applied_at}` : 'pendente';
+      console.log(`${String(m.version).padStart(3, '0')} ${m.name.padEnd(24)} ${state}`);
+    });
+  } else {
+    throw new Error(`Comando desconhecido: ${command} (use up, down ou status)`);
+  }
+};
+
+main()
+  .then(() => db.close())
+  .catch(async (error) => {
+    console.error(error.message);
+    await db.close();
+    process.exitCode = 1;
+  });
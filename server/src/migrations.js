@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+
+// Migrations live in server/migrations as NNN_description.js, each exporting
+// up(schema) and down(schema). They run in version order, each in its own transaction,
+// and the versions applied are recorded in schema_migrations.
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+
+// Load the migration files in version order
+const loadMigrations = () => {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter((file) => /^\d+_[\w-]+\.js$/.test(file))
+    .map((file) => ({
+      version: parseInt(file, 10),
+      name: file.replace(/^\d+_/, '').replace(/\.js$/, ''),
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Versao de migracao repetida: ${migration.version}`);
+    }
+  });
+
+  return migrations;
+};
+
+// Helpers migrations get on top of exec/query/run, hiding the differences between backends
+const createSchema = (dialect, statements) => {
+  const hasColumn = async (table, column) => {
+    if (dialect === 'postgres') {
+      const rows = await statements.query(
+        'SELECT 1 FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = ? AND column_name = ?',
+        [table, column]
+      );
+      return rows.length > 0;
+    }
+    const columns = await statements.query(`PRAGMA table_info(${table})`);
+    return columns.some((c) => c.name === column);
+  };
+
+  return {
+    ...statements,
+    dialect,
+    // Column definitions that are written differently per backend
+    types: dialect === 'postgres'
+      ? { id: 'SERIAL PRIMARY KEY', createdAt: 'TIMESTAMP DEFAULT NOW()', cents: 'BIGINT' }
+      : { id: 'INTEGER PRIMARY KEY AUTOINCREMENT', createdAt: "TEXT DEFAULT (datetime('now'))", cents: 'INTEGER' },
+    hasColumn,
+    // SQLite has no ADD COLUMN IF NOT EXISTS
+    addColumn: async (table, column, definition) => {
+      if (!(await hasColumn(table, column))) {
+        await statements.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    },
+    dropColumn: async (table, column) => {
+      if (await hasColumn(table, column)) {
+        await statements.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+      }
+    },
+    // Change the type of a column, rewriting its values with the SQL expression `using`.
+    // SQLite cannot alter a column, so the table is rebuilt from its own definition.
+    changeColumnType: async (table, column, type, using) => {
+      if (dialect === 'postgres') {
+        await statements.exec(`ALTER TABLE ${table} ALTER COLUMN ${column} TYPE ${type} USING ${using}`);
+        return;
+      }
+
+      const [definition] = await statements.query("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+      // Dropping the table drops its indexes and triggers, so they are created again after
+      const dependents = await statements.query(
+        "SELECT sql FROM sqlite_master WHERE type IN ('index', 'trigger') AND tbl_name = ? AND sql IS NOT NULL",
+        [table]
+      );
+      const sequence = await statements.query('SELECT seq FROM sqlite_sequence WHERE name = ?', [table]);
+      const columns = (await statements.query(`PRAGMA table_info(${table})`)).map((c) => c.name);
+
+      const rebuilt = `${table}_rebuilt`;
+      await statements.exec(definition.sql
+        .replace(/^CREATE TABLE\s+(IF NOT EXISTS\s+)?["`]?\w+["`]?/i, `CREATE TABLE ${rebuilt}`)
+        .replace(new RegExp(`(\\b${column}\\s+)\\w+`), `$1${type}`));
+      await statements.exec(`
+        INSERT INTO ${rebuilt} (${columns.join(', ')})
+        SELECT ${columns.map((name) => (name === column ? `${using} AS ${name}` : name)).join(', ')} FROM ${table}
+      `);
+      await statements.exec(`DROP TABLE ${table}`);
+      // Triggers on other tables may name this one; a legacy rename does not check them
+      // in the moment the table is missing
+      await statements.exec('PRAGMA legacy_alter_table = ON');
+      await statements.exec(`ALTER TABLE ${rebuilt} RENAME TO ${table}`);
+      await statements.exec('PRAGMA legacy_alter_table = OFF');
+      for (const dependent of dependents) {
+        await statements.exec(dependent.sql);
+      }
+      // Keep ids of deleted rows from being handed out again
+      if (sequence.length > 0) {
+        await statements.run('UPDATE sqlite_sequence SET seq = ? WHERE name = ?', [sequence[0].seq, table]);
+      }
+    }
+  };
+};
+
+const ensureMigrationsTable = (db) => db.transaction((statements) => statements.exec(`
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )
+`));
+
+const getAppliedVersions = async (db) => {
+  await ensureMigrationsTable(db);
+  const rows = await db.transaction((statements) => statements.query('SELECT version FROM schema_migrations'));
+  return new Set(rows.map((row) => Number(row.version)));
+};
+
+// Apply pending migrations, up to a version when given. Resolves to the migrations applied.
+// db is { dialect, transaction } from db.js.
+const up = async (db, target = Infinity) => {
+  const applied = await getAppliedVersions(db);
+  const pending = loadMigrations().filter((m) => !applied.has(m.version) && m.version <= target);
+
+  for (const migration of pending) {
+    await db.transaction(async (statements) => {
+      await migration.up(createSchema(db.dialect, statements));
+      // Through query, not run: schema_migrations has no id column for Postgres to return
+      await statements.query(
+        'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+        [migration.version, migration.name, new Date().toISOString()]
+      );
+    });
+  }
+
+  return pending;
+};
+
+// Roll back the last `steps` applied migrations. Resolves to the migrations rolled back.
+const down = async (db, steps = 1) => {
+  const applied = await getAppliedVersions(db);
+  const migrations = loadMigrations().filter((m) => applied.has(m.version)).reverse().slice(0, steps);
+
+  for (const migration of migrations) {
+    await db.transaction(async (statements) => {
+      await migration.down(createSchema(db.dialect, statements));
+      await statements.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    });
+  }
+
+  return migrations;
+};
+
+// Every migration with whether (and when) it was applied
+const status = async (db) => {
+  await ensureMigrationsTable(db);
+  const rows = await db.transaction((statements) => statements.query('SELECT version, applied_at FROM schema_migrations'));
+  const appliedAt = new Map(rows.map((row) => [Number(row.version), row.applied_at]));
+
+  return loadMigrations().map(({ version, name }) => ({
+    version,
+    name,
+    applied: appliedAt.has(version),
+    applied_at: appliedAt.get(version) || null
+  }));
+};
+
+module.exports = {
+  up,
+  down,
+  status,
+  // The helpers migrations are given, exposed for tests
+  createSchema
+};
@@ -0,0 +1,48 @@
+// Money is stored and added up as integer cents, so totals never drift the way sums of
+// floating point amounts do. The API takes and returns amounts as decimal strings ("12.34");
+// numbers are still accepted on input, for clients written before.
+
+const DECIMAL_PATTERN = /^([-+])?(\d+)(?:\.(\d{1,2}))?$/;
+
+// Cents in an amount given as a decimal string ("12.3", "-4.05") or a number.
+// Returns null for anything else, including amounts with more than two decimal places.
+const toCents = (value) => {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return null;
+    const cents = Math.round(value * 100);
+    return Math.abs(value * 100 - cents) < 1e-6 ? cents : null;
+  }
+
+  const match = typeof value === 'string' && value.trim().match(DECIMAL_PATTERN);
+  if (!match) return null;
+  const [, sign, units, fraction = ''] = match;
+  const cents = Number(units) * 100 + Number(fraction.padEnd(2, '0'));
+  return sign === '-' && cents !== 0 ? -cents : cents;
+};
+
+// Cents as a decimal string with two places ("1234.50"). null stays null.
+const fromCents = (cents) => {
+  if (cents === null || cents === undefined) return null;
+  const value = Math.round(Number(cents));
+  const units = Math.floor(Math.abs(value) / 100);
+  return `${value < 0 ? '-' : ''}${units}.${String(Math.abs(value) % 100).padStart(2, '0')}`;
+};
+
+// Add up amounts in cents
+const sumCents = (values) => values.reduce((sum, value) => sum + Math.round(Number(value) || 0), 0);
+
+// A copy of a row with its cents columns (amount unless told otherwise) as decimal strings
+const withDecimals = (row, fields = ['amount']) => {
+  const copy = { ...row };
+  fields.filter((field) => field in copy).forEach((field) => {
+    copy[field] = fromCents(copy[field]);
+  });
+  return copy;
+};
+
+module.exports = {
+  toCents,
+  fromCents,
+  sumCents,
+  withDecimals
+};
@@ -0,0 +1,20 @@
+// Months are handled as YYYY-MM strings
+const shiftMonth = (month, delta) => {
+  const [year, index] = month.split('-').map(Number);
+  const date = new Date(Date.UTC(year, index - 1 + delta, 1));
+  return date.toISOString().slice(0, 7);
+};
+
+// Every month from `from` to `to` (inclusive)
+const listMonths = (from, to) => {
+  const months = [];
+  for (let month = from; month <= to; month = shiftMonth(month, 1)) {
+    months.push(month);
+  }
+  return months;
+};
+
+module.exports = {
+  shiftMonth,
+  listMonths
+};
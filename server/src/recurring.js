@@ -0,0 +1,83 @@
+const db = require('./db');
+
+const FREQUENCIES = ['weekly', 'monthly', 'yearly'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dates are handled as YYYY-MM-DD strings in UTC
+const parseDate = (value) => new Date(`${value}T00:00:00Z`);
+const formatDate = (date) => date.toISOString().slice(0, 10);
+const addDays = (value, days) => formatDate(new Date(parseDate(value).getTime() + days * DAY_MS));
+
+// The day it is where the server runs, which decides what is due and what "today" means
+const today = () => {
+  const now = new Date();
+  return formatDate(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+};
+
+// List the dates a rule falls on between from and to (inclusive)
+const getOccurrences = (rule, from, to) => {
+  const dates = [];
+  const lower = rule.start_date > from ? rule.start_date : from;
+  const upper = rule.end_date && rule.end_date < to ? rule.end_date : to;
+  if (lower > upper) return dates;
+
+  if (rule.frequency === 'weekly') {
+    // First occurrence on or after the lower bound, in steps of 7 days from the start
+    const daysSinceStart = Math.round((parseDate(lower) - parseDate(rule.start_date)) / DAY_MS);
+    let date = addDays(rule.start_date, Math.ceil(daysSinceStart / 7) * 7);
+    while (date <= upper) {
+      dates.push(date);
+      date = addDays(date, 7);
+    }
+    return dates;
+  }
+
+  // Monthly and yearly rules fall on day_of_month, clamped to short months
+  const start = parseDate(rule.start_date);
+  const day = rule.day_of_month || start.getUTCDate();
+  const step = rule.frequency === 'yearly' ? 12 : 1;
+
+  for (let offset = 0; ; offset += step) {
+    const year = start.getUTCFullYear();
+    const month = start.getUTCMonth() + offset;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const date = formatDate(new Date(Date.UTC(year, month, Math.min(day, lastDay))));
+
+    if (date > upper) break;
+    if (date >= lower) dates.push(date);
+  }
+  return dates;
+};
+
+// Create the expenses due for a user's recurring rules up to today.
+// generated_until records progress, so occurrences the user deleted are not recreated.
+const materializeRecurring = async (userId) => {
+  const until = today();
+  const rules = await db.query(
+    'SELECT * FROM recurring_expenses WHERE user_id = ? AND (generated_until IS NULL OR generated_until < ?)',
+    [userId, until]
+  );
+
+  for (const rule of rules) {
+    const from = rule.generated_until ? addDays(rule.generated_until, 1) : rule.start_date;
+
+    // Requests arriving together (the list and the stats) may generate the same occurrence;
+    // the unique index on (recurring_id, date) keeps one and the other insert is skipped
+    for (const date of getOccurrences(rule, from, until)) {
+      await db.run(
+        `INSERT INTO expenses (user_id, description, amount, currency, category, date, recurring_id, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?) ON CONFLICT (recurring_id, date) DO NOTHING`,
+        [userId, rule.description, rule.amount, rule.currency, rule.category, date, rule.id, new Date().toISOString()]
+      );
+    }
+
+    await db.run('UPDATE recurring_expenses SET generated_until = ? WHERE id = ?', [until, rule.id]);
+  }
+};
+
+module.exports = {
+  FREQUENCIES,
+  today,
+  getOccurrences,
+  materializeRecurring
+};
@@ -0,0 +1,114 @@
+const db = require('./db');
+const currency = require('./currency');
+const { shiftMonth, listMonths } = require('./months');
+const { getEffectiveBudgets } = require('./budgets');
+const { sumCents } = require('./money');
+
+// Longest period a range report covers
+const MAX_RANGE_MONTHS = 60;
+
+// Change from a previous value, as an amount and a percentage (null without a base)
+const compare = (current, previous) => ({
+  change: current - previous,
+  percentage: previous > 0 ? ((current - previous) / previous) * 100 : null
+});
+
+// Monthly totals per category, budget adherence and year-over-year changes between two months,
+// in cents of the user's base currency
+const getMonthlyTrends = async (user, from, to) => {
+  const userId = user.id;
+  const months = listMonths(from, to);
+  // Spending is also read for the year before, to compare each month with the same month then
+  const start = `${shiftMonth(from, -12)}-01`;
+  const end = `${shiftMonth(to, 1)}-01`;
+
+  // Totals per day and currency, so each can be converted with the rate of its date
+  const spendingRows = await db.query(`
+    SELECT date, category, currency, SUM(amount) as amount
+    FROM expenses
+    WHERE user_id = ? AND deleted_at IS NULL AND date >= ? AND date < ?
+    GROUP BY date, category, currency
+  `, [userId, start, end]);
+
+  const earningRows = await db.query(`
+    SELECT date, currency, SUM(amount) as amount
+    FROM incomes
+    WHERE user_id = ? AND date >= ? AND date < ?
+    GROUP BY date, currency
+  `, [userId, `${from}-01`, end]);
+
+  // Spending is measured against the effective budget (default amount and rollover included)
+  const budgets = await getEffectiveBudgets(user, from, to);
+
+  // Converted totals as month => { category: total } and month => income
+  const converter = await currency.createConverter(userId, user.base_currency);
+  const byMonth = new Map();
+  for (const row of spendingRows) {
+    const value = converter.convert(row.amount, row.currency, row.date);
+    if (value === null) continue;
+    const month = row.date.slice(0, 7);
+    const categories = byMonth.get(month) || {};
+    categories[row.category] = (categories[row.category] || 0) + value;
+    byMonth.set(month, categories);
+  }
+
+  const incomeByMonth = new Map();
+  for (const row of earningRows) {
+    const value = converter.convert(row.amount, row.currency, row.date);
+    if (value === null) continue;
+    const month = row.date.slice(0, 7);
+    incomeByMonth.set(month, (incomeByMonth.get(month) || 0) + value);
+  }
+
+  const monthTotal = (month) => sumCents(Object.values(byMonth.get(month) || {}));
+  const budgetByMonth = new Map(budgets.map((row) => [row.month, row.effective]));
+
+  const rows = months.map((month) => {
+    const total = monthTotal(month);
+    const budget = budgetByMonth.get(month) || 0;
+    const previousMonth = shiftMonth(month, -12);
+    const previousTotal = monthTotal(previousMonth);
+
+    return {
+      month,
+      total,
+      income: incomeByMonth.get(month) || 0,
+      byCategory: byMonth.get(month) || {},
+      budget,
+      // Share of the budget spent and whether spending stayed within it (null without a budget)
+      budgetUsed: budget > 0 ? (total / budget) * 100 : null,
+      withinBudget: budget > 0 ? total <= budget : null,
+      yearOverYear: { month: previousMonth, total: previousTotal, ...compare(total, previousTotal) }
+    };
+  });
+
+  const categories = [...new Set(rows.flatMap((row) => Object.keys(row.byCategory)))];
+  const total = rows.reduce((sum, row) => sum + row.total, 0);
+  const previousTotal = rows.reduce((sum, row) => sum + row.yearOverYear.total, 0);
+  const budgeted = rows.filter((row) => row.budget > 0);
+
+  return {
+    from,
+    to,
+    baseCurrency: converter.base,
+    // Currencies left out of the totals for lack of an exchange rate
+    missingRates: currency.missingRates([...spendingRows, ...earningRows], converter),
+    categories,
+    months: rows,
+    summary: {
+      total,
+      income: rows.reduce((sum, row) => sum + row.income, 0),
+      average: Math.round(total / rows.length),
+      monthsWithBudget: budgeted.length,
+      monthsWithinBudget: budgeted.filter((row) => row.withinBudget).length,
+      yearOverYear: { total: previousTotal, ...compare(total, previousTotal) }
+    }
+  };
+};
+
+module.exports = {
+  MAX_RANGE_MONTHS,
+  shiftMonth,
+  listMonths,
+  getMonthlyTrends
+};
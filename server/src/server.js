@@ -1,6 +1,23 @@
 const express = require('express');
 const cors = require('cors');
 const db = require('./db');
+const auth = require('./auth');
+const recurring = require('./recurring');
+const csv = require('./csv');
+const backup = require('./backup');
+const reports = require('./reports');
+const currency = require('./currency');
+const attachments = require('./attachments');
+const irs = require('./irs');
+const household = require('./household');
+const categorization = require('./categorization');
+const trash = require('./trash');
+const {
+  ROLLOVER_MODES, getBudgetSettings, saveBudgetSettings, getEffectiveBudget
+} = require('./budgets');
+const { rules, optional, checkFields, sendInvalid, validate } = require('./validation');
+const { toCents, fromCents, sumCents, withDecimals } = require('./money');
+const { FALLBACK_CATEGORY, UNCATEGORIZED, INCOME_SOURCES, slugify } = require('./categories');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
@@ -18,114 +35,1537 @@ const corsOptions = {
 
 // Middleware
 app.use(cors(corsOptions));
-app.use(express.json());
+// Large enough for statement imports and backups
+app.use(express.json({ limit: '20mb' }));
 
 // Initialize database on startup
 db.initDb().then(() => {
   console.log('Base de dados pronta');
 });
 
+// Route params that identify a row
+const idParams = { id: rules.integer({ min: 1 }) };
+
+// ==================== AUTH ====================
+
+// Register a new user
+app.post('/api/auth/register', validate({
+  body: {
+    name: rules.text({ max: 100 }),
+    email: rules.email(),
+    password: rules.text({ min: 8, max: 200 })
+  }
+}), async (req, res) => {
+  try {
+    const { name, email, password } = req.body;
+
+    const normalizedEmail = email.trim().toLowerCase();
+    const emailTaken = () => res.status(409).json({ error: 'Email ja registado', fields: { email: 'Email ja registado' } });
+    const existing = await db.query('SELECT id FROM users WHERE email = ?', [normalizedEmail]);
+    if (existing.length > 0) return emailTaken();
+
+    const passwordHash = await auth.hashPassword(password);
+    let result;
+    try {
+      result = await db.run(
+        'INSERT INTO users (name, email, password_hash) VALUES (?, ?, ?)',
+        [name.trim(), normalizedEmail, passwordHash]
+      );
+    } catch (error) {
+      // Another sign-up with the same email got in between the check and the insert
+      if (db.isUniqueViolation(error)) return emailTaken();
+      throw error;
+    }
+
+    // Start with the default categories
+    await db.ensureCategories();
+
+    // The first account adopts data created before user accounts existed
+    const userCount = await db.query('SELECT COUNT(*) as count FROM users');
+    if (Number(userCount[0].count) === 1) {
+      const orphanCategories = await db.query('SELECT DISTINCT category FROM expenses WHERE user_id IS NULL');
+      for (const { category } of orphanCategories) {
+        if (!(await categoryExists(result.lastId, category))) {
+          await db.run(
+            'INSERT INTO categories (user_id, slug, name, color, icon) VALUES (?, ?, ?, ?, ?)',
+            [result.lastId, category, category, FALLBACK_CATEGORY.color, FALLBACK_CATEGORY.icon]
+          );
+        }
+      }
+
+      await db.run('UPDATE expenses SET user_id = ? WHERE user_id IS NULL', [result.lastId]);
+      await db.run('UPDATE budgets SET user_id = ? WHERE user_id IS NULL', [result.lastId]);
+    }
+
+    const token = await auth.createSession(result.lastId);
+    res.status(201).json({
+      token,
+      user: { id: result.lastId, name: name.trim(), email: normalizedEmail, base_currency: currency.REFERENCE_CURRENCY }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Log in with email and password
+app.post('/api/auth/login', validate({
+  body: { email: rules.text({ max: 255 }), password: rules.text({ max: 200 }) }
+}), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const users = await db.query('SELECT * FROM users WHERE email = ?', [email.trim().toLowerCase()]);
+    const user = users[0];
+
+    if (!user || !(await auth.verifyPassword(password, user.password_hash))) {
+      return res.status(401).json({ error: 'Email ou password incorretos' });
+    }
+
+    const token = await auth.createSession(user.id);
+    res.json({ token, user: { id: user.id, name: user.name, email: user.email, base_currency: user.base_currency } });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Log out (invalidate current session)
+app.post('/api/auth/logout', auth.requireAuth, async (req, res) => {
+  try {
+    await auth.destroySession(req.token);
+    res.json({ message: 'Sessao terminada' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get current user
+app.get('/api/auth/me', auth.requireAuth, (req, res) => {
+  res.json(req.user);
+});
+
+// Every data route below belongs to the authenticated user
+app.use(
+  [
+    '/api/expenses', '/api/incomes', '/api/budgets', '/api/stats', '/api/sync', '/api/recurring',
+    '/api/categories', '/api/import', '/api/export', '/api/backup', '/api/restore',
+    '/api/currency', '/api/exchange-rates', '/api/attachments', '/api/reports',
+    '/api/members', '/api/balances', '/api/settlements', '/api/categorization-rules', '/api/templates'
+  ],
+  auth.requireAuth
+);
+
+// ==================== CATEGORIES ====================
+
+// Check that a category is defined for the user
+const categoryExists = async (userId, slug) => {
+  const rows = await db.query('SELECT id FROM categories WHERE user_id = ? AND slug = ?', [userId, slug]);
+  return rows.length > 0;
+};
+
+// Fields of a category definition
+const categoryFields = {
+  name: rules.text({ max: 50 }),
+  color: rules.color(),
+  icon: rules.text({ max: 16 })
+};
+const slugParams = { slug: rules.text({ max: 100 }) };
+
+// Get all categories
+app.get('/api/categories', async (req, res) => {
+  try {
+    const categories = await db.query('SELECT * FROM categories WHERE user_id = ? ORDER BY id', [req.user.id]);
+    res.json(categories);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create category
+app.post('/api/categories', validate({ body: categoryFields }), async (req, res) => {
+  try {
+    const { name, color, icon } = req.body;
+
+    const baseSlug = slugify(name) || 'categoria';
+    let slug = baseSlug;
+    for (let suffix = 2; await categoryExists(req.user.id, slug); suffix++) {
+      slug = `${baseSlug}-${suffix}`;
+    }
+
+    const result = await db.run(
+      'INSERT INTO categories (user_id, slug, name, color, icon) VALUES (?, ?, ?, ?, ?)',
+      [req.user.id, slug, name.trim(), color, icon]
+    );
+
+    const category = await db.query('SELECT * FROM categories WHERE id = ?', [result.lastId]);
+    res.status(201).json(category[0]);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update category (the slug is kept, so its expenses follow the new name)
+app.put('/api/categories/:slug', validate({ params: slugParams, body: categoryFields }), async (req, res) => {
+  try {
+    const { name, color, icon } = req.body;
+    const { slug } = req.params;
+
+    if (!(await categoryExists(req.user.id, slug))) {
+      return res.status(404).json({ error: 'Categoria nao encontrada' });
+    }
+
+    await db.run(
+      'UPDATE categories SET name = ?, color = ?, icon = ? WHERE user_id = ? AND slug = ?',
+      [name.trim(), color, icon, req.user.id, slug]
+    );
+
+    const category = await db.query('SELECT * FROM categories WHERE user_id = ? AND slug = ?', [req.user.id, slug]);
+    res.json(category[0]);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Merge category into another, moving its expenses, recurring rules, templates and categorization rules
+app.post('/api/categories/:slug/merge', validate({
+  params: slugParams,
+  body: { into: rules.category() },
+  check: (req) => (req.body.into === req.params.slug ? { into: 'Escolha outra categoria' } : null)
+}), async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const { into } = req.body;
+
+    // Everything moves or nothing does
+    const merged = await db.transaction(async (tx) => {
+      if (!(await categoryExists(req.user.id, slug))) return false;
+
+      await tx.runBatch([
+        ['UPDATE expenses SET category = ? WHERE user_id = ? AND category = ?', [into, req.user.id, slug]],
+        ['UPDATE recurring_expenses SET category = ? WHERE user_id = ? AND category = ?', [into, req.user.id, slug]],
+        ['UPDATE categorization_rules SET category = ? WHERE user_id = ? AND category = ?', [into, req.user.id, slug]],
+        ['UPDATE expense_templates SET category = ? WHERE user_id = ? AND category = ?', [into, req.user.id, slug]],
+
+        // Budget limits move too, unless the target already has one for that month
+        [`
+          UPDATE category_budgets SET category = ?
+          WHERE user_id = ? AND category = ? AND NOT EXISTS (
+            SELECT 1 FROM category_budgets target
+            WHERE target.user_id = category_budgets.user_id AND target.month = category_budgets.month AND target.category = ?
+          )
+        `, [into, req.user.id, slug, into]],
+        ['DELETE FROM category_budgets WHERE user_id = ? AND category = ?', [req.user.id, slug]],
+        ['DELETE FROM categories WHERE user_id = ? AND slug = ?', [req.user.id, slug]]
+      ]);
+      return true;
+    });
+    if (!merged) {
+      return res.status(404).json({ error: 'Categoria nao encontrada' });
+    }
+
+    res.json({ message: 'Categorias fundidas' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete category (only when no expense or template uses it), with its budget limits and categorization rules.
+// Expenses in the trash that use it move to the "outros" category.
+app.delete('/api/categories/:slug', validate({ params: slugParams }), async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const outcome = await db.transaction(async (tx) => {
+      if (!(await categoryExists(req.user.id, slug))) {
+        return { status: 404, error: 'Categoria nao encontrada' };
+      }
+
+      const used = await tx.query(`
+        SELECT COUNT(*) as count FROM (
+          SELECT id FROM expenses WHERE user_id = ? AND category = ? AND deleted_at IS NULL
+          UNION ALL SELECT id FROM recurring_expenses WHERE user_id = ? AND category = ?
+          UNION ALL SELECT id FROM expense_templates WHERE user_id = ? AND category = ?
+        ) used
+      `, [req.user.id, slug, req.user.id, slug, req.user.id, slug]);
+      if (Number(used[0].count) > 0) {
+        return { status: 409, error: 'Categoria em uso. Funda-a com outra categoria em vez de a eliminar' };
+      }
+
+      const trashed = await tx.query(
+        'SELECT COUNT(*) as count FROM expenses WHERE user_id = ? AND category = ? AND deleted_at IS NOT NULL',
+        [req.user.id, slug]
+      );
+      if (Number(trashed[0].count) > 0) {
+        if (slug === UNCATEGORIZED || !(await categoryExists(req.user.id, UNCATEGORIZED))) {
+          return {
+            status: 409,
+            error: 'Categoria usada por despesas no lixo. Esvazie o lixo ou funda-a com outra categoria'
+          };
+        }
+        await tx.run(
+          'UPDATE expenses SET category = ? WHERE user_id = ? AND category = ? AND deleted_at IS NOT NULL',
+          [UNCATEGORIZED, req.user.id, slug]
+        );
+      }
+
+      await tx.runBatch([
+        ['DELETE FROM category_budgets WHERE user_id = ? AND category = ?', [req.user.id, slug]],
+        ['DELETE FROM categorization_rules WHERE user_id = ? AND category = ?', [req.user.id, slug]],
+        ['DELETE FROM categories WHERE user_id = ? AND slug = ?', [req.user.id, slug]]
+      ]);
+      return null;
+    });
+    if (outcome) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    res.json({ message: 'Categoria eliminada' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== CATEGORIZATION RULES ====================
+
+// Fields of a categorization rule
+const categorizationRuleFields = {
+  match_type: rules.oneOf(categorization.MATCH_TYPES),
+  pattern: optional(rules.text({ max: 100 })),
+  min_amount: optional(rules.amount({ allowZero: true })),
+  max_amount: optional(rules.amount({ allowZero: true })),
+  category: rules.category(),
+  // Rules with a higher priority are tried first
+  priority: optional(rules.integer({ min: -100, max: 100 }))
+};
+const categorizationRuleSchema = (schema) => ({
+  ...schema,
+  body: categorizationRuleFields,
+  check: (req) => categorization.checkRule(req.body)
+});
+
+// Columns of a rule, empty values stored as NULL (amount rules keep no pattern)
+const categorizationRuleValues = (body) => [
+  body.match_type,
+  body.match_type === 'amount' ? null : body.pattern.trim(),
+  toCents(body.min_amount),
+  toCents(body.max_amount),
+  body.category,
+  Number(body.priority) || 0
+];
+
+// A rule as the API returns it, with its amount limits as decimal strings
+const presentRule = (rule) => withDecimals(rule, ['min_amount', 'max_amount']);
+
+// Get all rules, in the order they are tried
+app.get('/api/categorization-rules', async (req, res) => {
+  try {
+    res.json((await categorization.listRules(req.user.id)).map(presentRule));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create rule
+app.post('/api/categorization-rules', validate(categorizationRuleSchema()), async (req, res) => {
+  try {
+    const result = await db.run(
+      `INSERT INTO categorization_rules (user_id, match_type, pattern, min_amount, max_amount, category, priority)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [req.user.id, ...categorizationRuleValues(req.body)]
+    );
+
+    const rule = await db.query('SELECT * FROM categorization_rules WHERE id = ?', [result.lastId]);
+    res.status(201).json(presentRule(rule[0]));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run the rules over past expenses left in the fallback category ("Outros")
+app.post('/api/categorization-rules/apply', async (req, res) => {
+  try {
+    res.json(await categorization.applyToUncategorized(req.user.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update rule
+app.put('/api/categorization-rules/:id', validate(categorizationRuleSchema({ params: idParams })), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.run(
+      `UPDATE categorization_rules SET match_type = ?, pattern = ?, min_amount = ?, max_amount = ?, category = ?,
+        priority = ? WHERE id = ? AND user_id = ?`,
+      [...categorizationRuleValues(req.body), id, req.user.id]
+    );
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Regra nao encontrada' });
+    }
+
+    const rule = await db.query('SELECT * FROM categorization_rules WHERE id = ?', [id]);
+    res.json(presentRule(rule[0]));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete rule
+app.delete('/api/categorization-rules/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const result = await db.run(
+      'DELETE FROM categorization_rules WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Regra nao encontrada' });
+    }
+
+    res.json({ message: 'Regra eliminada' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ==================== EXPENSES ====================
 
-// Get all expenses (with optional filters)
-app.get('/api/expenses', async (req, res) => {
+// Fields of an expense
+const expenseFields = {
+  description: rules.text({ max: 200 }),
+  amount: rules.amount(),
+  currency: optional(rules.currency()),
+  category: rules.category(),
+  date: rules.date(),
+  // IRS deduction class and the invoice behind it
+  irs_class: optional(rules.oneOf(irs.IRS_CLASS_IDS)),
+  nif: optional(rules.nif()),
+  invoice_number: optional(rules.text({ max: 60 })),
+  // Who paid (the account owner when left out) and how the expense is shared
+  payer_id: optional(rules.integer({ min: 1 })),
+  split_type: optional(rules.oneOf(household.SPLIT_TYPES)),
+  splits: optional(rules.array({ max: household.MAX_SPLIT_MEMBERS }))
+};
+
+// Payer and split of an expense body, checked against the user's members
+const expenseSchema = (schema, fields = expenseFields) => ({
+  ...schema,
+  body: fields,
+  check: (req) => household.checkSplit(req.user.id, req.body)
+});
+
+// IRS columns of an expense, empty values stored as NULL
+const irsValues = ({ irs_class: irsClass, nif, invoice_number: invoiceNumber }) => [
+  irsClass || null, nif || null, invoiceNumber?.trim() || null
+];
+
+// An expense as the API returns it, amounts (and the values and shares of its splits) as decimal strings
+const presentExpense = (expense) => ({
+  ...withDecimals(expense, ['amount', 'converted_amount']),
+  ...(expense.splits && { splits: expense.splits.map((split) => withDecimals(split, ['value', 'share'])) })
+});
+
+// Rows of the expenses table as the expense list returns them: with their attachments, splits
+// and the amount converted to the user's base currency
+const presentExpenses = async (user, rows) => {
+  const converter = await currency.createConverter(user.id, user.base_currency);
+  return currency.withConverted(
+    await household.withSplits(await attachments.withAttachments(user.id, rows)),
+    converter
+  ).map(presentExpense);
+};
+
+// Columns the expense list can be sorted by
+const EXPENSE_SORTS = {
+  date: 'date',
+  amount: 'amount',
+  description: 'LOWER(description)'
+};
+
+// Escape LIKE wildcards so search terms match literally
+const likePattern = (term) => `%${term.toLowerCase().replace(/[\\%_]/g, '\\$&')}%`;
+
+// Get all expenses (with optional filters). With `limit` the response is one page,
+// { items, total, limit, offset }, where total counts every expense matching the filters.
+// Each expense comes with converted_amount, in the user's base currency (null without a rate).
+// Amount filters and sorting use the amount as entered.
+app.get('/api/expenses', validate({
+  query: {
+    month: optional(rules.month()),
+    category: optional(rules.text({ max: 100 })),
+    from: optional(rules.date()),
+    to: optional(rules.date()),
+    min: optional(rules.amount({ allowZero: true })),
+    max: optional(rules.amount({ allowZero: true })),
+    q: optional(rules.text({ max: 100 })),
+    sort: optional(rules.oneOf(Object.keys(EXPENSE_SORTS))),
+    order: optional(rules.oneOf(['asc', 'desc'])),
+    limit: optional(rules.integer({ min: 1, max: 100 })),
+    offset: optional(rules.integer({ min: 0 }))
+  },
+  check: ({ query }) => {
+    if (query.from && query.to && query.from > query.to) return { to: 'Deve ser igual ou posterior ao inicio' };
+    if (query.min && query.max && toCents(query.min) > toCents(query.max)) return { max: 'Deve ser maior que o minimo' };
+    return null;
+  }
+}), async (req, res) => {
   try {
-    const { month, category } = req.query;
+    const { month, category, from, to, min, max, q, sort = 'date', order = 'desc', limit, offset = 0 } = req.query;
 
-    let sql = 'SELECT * FROM expenses WHERE 1=1';
-    const params = [];
+    await recurring.materializeRecurring(req.user.id);
+    await trash.purge(req.user.id);
+
+    // Expenses in the trash are left out
+    let where = 'WHERE user_id = ? AND deleted_at IS NULL';
+    const params = [req.user.id];
 
     if (month) {
-      sql += ' AND date LIKE ?';
+      where += ' AND date LIKE ?';
       params.push(`${month}%`);
     }
 
     if (category) {
-      sql += ' AND category = ?';
+      where += ' AND category = ?';
       params.push(category);
     }
 
-    sql += ' ORDER BY date DESC, id DESC';
+    if (from) {
+      where += ' AND date >= ?';
+      params.push(from);
+    }
+
+    if (to) {
+      where += ' AND date <= ?';
+      params.push(to);
+    }
+
+    if (min) {
+      where += ' AND amount >= ?';
+      params.push(toCents(min));
+    }
+
+    if (max) {
+      where += ' AND amount <= ?';
+      params.push(toCents(max));
+    }
+
+    // Every word has to appear in the description
+    if (q) {
+      for (const term of q.trim().split(/\s+/)) {
+        where += " AND LOWER(description) LIKE ? ESCAPE '\\'";
+        params.push(likePattern(term));
+      }
+    }
+
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const sql = `SELECT * FROM expenses ${where} ORDER BY ${EXPENSE_SORTS[sort]} ${direction}, id ${direction}`;
+
+    if (!limit) {
+      const expenses = await db.query(sql, params);
+      return res.json(await presentExpenses(req.user, expenses));
+    }
+
+    const page = { limit: Number(limit), offset: Number(offset) };
+    const items = await db.query(`${sql} LIMIT ? OFFSET ?`, [...params, page.limit, page.offset]);
+    const countResult = await db.query(`SELECT COUNT(*) as count FROM expenses ${where}`, params);
+
+    res.json({ items: await presentExpenses(req.user, items), total: Number(countResult[0].count), ...page });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// How many recent expenses description suggestions are drawn from
+const SUGGESTION_SCAN_LIMIT = 1000;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+// Frequent past descriptions matching q, most used first, each with the category it is
+// usually given and its typical (median) amount in the currency it was last entered in.
+// Declared before /api/expenses/:id so "suggestions" is not taken for an id.
+app.get('/api/expenses/suggestions', validate({
+  query: {
+    q: optional(rules.text({ max: 100 })),
+    limit: optional(rules.integer({ min: 1, max: 20 }))
+  }
+}), async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    const limit = Number(req.query.limit) || 8;
+
+    let where = 'user_id = ? AND deleted_at IS NULL';
+    const params = [req.user.id];
+    if (q) {
+      where += " AND LOWER(description) LIKE ? ESCAPE '\\'";
+      params.push(likePattern(q));
+    }
+    const rows = await db.query(
+      `SELECT description, amount, currency, category, date FROM expenses WHERE ${where}
+        ORDER BY date DESC, id DESC LIMIT ${SUGGESTION_SCAN_LIMIT}`,
+      params
+    );
+
+    // Group spellings of the same description; rows come newest first
+    const groups = new Map();
+    for (const row of rows) {
+      const key = row.description.trim().toLowerCase().replace(/\s+/g, ' ');
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    }
+
+    const suggestions = [...groups.values()].map((group) => {
+      const [latest] = group;
+      const categoryCounts = new Map();
+      group.forEach((row) => categoryCounts.set(row.category, (categoryCounts.get(row.category) || 0) + 1));
+      // Ties go to the category used most recently
+      const category = [...categoryCounts.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+
+      return {
+        description: latest.description.trim(),
+        category,
+        amount: fromCents(median(group.filter((row) => row.currency === latest.currency).map((row) => Number(row.amount)))),
+        currency: latest.currency,
+        count: group.length,
+        last_date: latest.date
+      };
+    });
+
+    suggestions.sort((a, b) => b.count - a.count || b.last_date.localeCompare(a.last_date));
+    res.json(suggestions.slice(0, limit));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Insert an expense and its split from a validated body with a category.
+// Resolves to the new expense's id.
+const insertExpense = async (user, body) => {
+  const amount = toCents(body.amount);
+  const [result] = await db.runBatch([
+    [
+      `INSERT INTO expenses (user_id, description, amount, currency, category, date, irs_class, nif, invoice_number,
+        payer_id, split_type, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [user.id, body.description.trim(), amount, body.currency || user.base_currency, body.category, body.date,
+        ...irsValues(body), body.payer_id || null, body.split_type || null, new Date().toISOString()]
+    ],
+    ...household.splitStatements((results) => results[0].lastId, { ...body, amount })
+  ]);
+  return result.lastId;
+};
+
+// Bulk changes, declared before the /:id routes so "bulk" is not read as an id.
+// A bulk change is applied whole or not at all, and reports on each item: with any item
+// invalid, nothing is changed and the response says which items failed and why.
+
+// Most expenses one bulk change may touch
+const MAX_BULK_EXPENSES = 500;
+
+// Expense ids of a bulk change, distinct and at least one
+const bulkIdFields = { ids: rules.array({ max: MAX_BULK_EXPENSES }) };
+const checkBulkIds = ({ body }) => {
+  if (body.ids.length === 0) return { ids: 'Escolha pelo menos uma despesa' };
+  if (!body.ids.every((id) => Number.isInteger(id) && id > 0)) return { ids: 'Identificadores invalidos' };
+  return new Set(body.ids).size === body.ids.length ? null : { ids: 'Identificadores repetidos' };
+};
+
+// Respond to a bulk change that was not applied. Items without an error are marked skipped.
+const sendBulkInvalid = (res, results) => res.status(400).json({
+  error: 'Nenhuma despesa foi alterada: corrija os itens com erro',
+  results: results.map((result) => (result.status === 'error' ? result : { ...result, status: 'skipped' }))
+});
+
+// The user's expenses among ids (the ones in the trash with inTrash), and an error result
+// for each id that is not one of them
+const findBulkExpenses = async (userId, ids, { inTrash = false } = {}) => {
+  const rows = await db.query(
+    `SELECT * FROM expenses WHERE user_id = ? AND deleted_at IS ${inTrash ? 'NOT NULL' : 'NULL'}
+      AND id IN (${ids.map(() => '?').join(', ')})`,
+    [userId, ...ids]
+  );
+  const missing = ids.filter((id) => !rows.some((row) => row.id === id));
+  return {
+    rows,
+    results: missing.length === 0 ? null : ids.map((id) => (missing.includes(id)
+      ? { id, status: 'error', error: inTrash ? 'Despesa nao encontrada no lixo' : 'Despesa nao encontrada' }
+      : { id }))
+  };
+};
+
+// Ids of the rows that cannot move to date: a recurring rule has one occurrence per day
+// (unique index on recurring_id, date), counting the trash. Of several rows of the same
+// rule only the first may move, and none if another occurrence is already on that day.
+const findRecurringClashes = async (userId, rows, date) => {
+  const moving = new Set(rows.map((row) => row.id));
+  const taken = new Set();
+  for (const row of rows.filter((r) => r.recurring_id)) {
+    const [occupied] = await db.query(
+      'SELECT id FROM expenses WHERE user_id = ? AND recurring_id = ? AND date = ?',
+      [userId, row.recurring_id, date]
+    );
+    if (occupied && !moving.has(occupied.id)) taken.add(row.recurring_id);
+  }
+
+  const clashes = [];
+  for (const row of rows.filter((r) => r.recurring_id)) {
+    if (taken.has(row.recurring_id)) clashes.push(row.id);
+    taken.add(row.recurring_id);
+  }
+  return clashes;
+};
+
+// Create several expenses ({ expenses: [expense, ...] }). Each item takes the fields of
+// POST /api/expenses; results follow the order of the items, with each one's index.
+app.post('/api/expenses/bulk', validate({
+  body: { expenses: rules.array({ max: MAX_BULK_EXPENSES }) },
+  check: ({ body }) => (body.expenses.length === 0 ? { expenses: 'Indique pelo menos uma despesa' } : null)
+}), async (req, res) => {
+  try {
+    const categorize = await categorization.createCategorizer(req.user.id);
+    const fallback = (await categoryExists(req.user.id, UNCATEGORIZED)) ? UNCATEGORIZED : null;
+
+    const items = [];
+    for (const [index, item] of req.body.expenses.entries()) {
+      const body = item && typeof item === 'object' ? item : {};
+      const fields = await checkFields({ ...expenseFields, category: optional(rules.category()) }, body, {
+        userId: req.user.id
+      });
+      if (Object.keys(fields).length === 0) {
+        Object.assign(fields, (await household.checkSplit(req.user.id, body)) || {});
+      }
+
+      const category = body.category
+        || (Object.keys(fields).length === 0 && categorize({ description: body.description, amount: toCents(body.amount) }))
+        || fallback;
+      if (!category) fields.category = 'Nenhuma regra se aplica. Escolha a categoria';
+
+      items.push(Object.keys(fields).length > 0
+        ? { result: { index, status: 'error', error: 'Dados invalidos', fields } }
+        : { body: { ...body, category }, result: { index } });
+    }
+
+    if (items.some((item) => item.result.status === 'error')) {
+      return sendBulkInvalid(res, items.map((item) => item.result));
+    }
+
+    const created = await db.transaction(async (tx) => {
+      const ids = [];
+      for (const item of items) ids.push(await insertExpense(req.user, item.body));
+      const rows = await tx.query(`SELECT * FROM expenses WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+      return ids.map((id) => rows.find((row) => row.id === id));
+    });
+
+    const expenses = await presentExpenses(req.user, created);
+    res.status(201).json({
+      results: expenses.map((expense, index) => ({ index, id: expense.id, status: 'applied', expense }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Move several expenses to another category and/or date ({ ids, category, date })
+app.patch('/api/expenses/bulk', validate({
+  body: { ...bulkIdFields, category: optional(rules.category()), date: optional(rules.date()) },
+  check: (req) => checkBulkIds(req) || (req.body.category || req.body.date ? null : { category: 'Indique a categoria ou a data' })
+}), async (req, res) => {
+  try {
+    const { ids, category, date } = req.body;
+
+    const outcome = await db.transaction(async (tx) => {
+      const found = await findBulkExpenses(req.user.id, ids);
+      if (found.results) return found;
+
+      const clashes = date ? await findRecurringClashes(req.user.id, found.rows, date) : [];
+      if (clashes.length > 0) {
+        return {
+          results: ids.map((id) => (clashes.includes(id)
+            ? { id, status: 'error', error: 'Ja existe uma ocorrencia desta despesa recorrente nesta data' }
+            : { id }))
+        };
+      }
+
+      await tx.run(
+        `UPDATE expenses SET category = COALESCE(?, category), date = COALESCE(?, date), updated_at = ?
+          WHERE user_id = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+        [category || null, date || null, new Date().toISOString(), req.user.id, ...ids]
+      );
+      const rows = await tx.query(`SELECT * FROM expenses WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+      return { rows: ids.map((id) => rows.find((row) => row.id === id)) };
+    });
+    if (outcome.results) return sendBulkInvalid(res, outcome.results);
+
+    const expenses = await presentExpenses(req.user, outcome.rows);
+    res.json({
+      results: expenses.map((expense) => ({ id: expense.id, status: 'applied', expense }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Move several expenses ({ ids }) to the trash
+app.delete('/api/expenses/bulk', validate({ body: bulkIdFields, check: checkBulkIds }), async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    const outcome = await db.transaction(async () => {
+      const found = await findBulkExpenses(req.user.id, ids);
+      if (found.results) return found;
+
+      await trash.moveToTrash(req.user.id, ids);
+      return {};
+    });
+    if (outcome.results) return sendBulkInvalid(res, outcome.results);
+
+    res.json({ results: ids.map((id) => ({ id, status: 'applied' })) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Take several expenses ({ ids }) out of the trash
+app.post('/api/expenses/bulk/restore', validate({ body: bulkIdFields, check: checkBulkIds }), async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    const outcome = await db.transaction(async (tx) => {
+      const found = await findBulkExpenses(req.user.id, ids, { inTrash: true });
+      if (found.results) return found;
+
+      await trash.restore(req.user.id, ids);
+      const rows = await tx.query(`SELECT * FROM expenses WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+      return { rows: ids.map((id) => rows.find((row) => row.id === id)) };
+    });
+    if (outcome.results) return sendBulkInvalid(res, outcome.results);
+
+    const expenses = await presentExpenses(req.user, outcome.rows);
+    res.json({
+      results: expenses.map((expense) => ({ id: expense.id, status: 'applied', expense }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The trash: deleted expenses, kept for trash.RETENTION_DAYS days before they are purged.
+// Declared before the /:id routes so "trash" is not read as an id.
+app.get('/api/expenses/trash', async (req, res) => {
+  try {
+    await trash.purge(req.user.id);
+
+    const expenses = await presentExpenses(req.user, await trash.listTrash(req.user.id));
+    res.json({ retention_days: trash.RETENTION_DAYS, expenses });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Empty the trash, removing its expenses for good with their splits and receipts
+app.delete('/api/expenses/trash', async (req, res) => {
+  try {
+    const removed = await trash.purge(req.user.id, { all: true });
+    res.json({ removed });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Take an expense out of the trash
+app.post('/api/expenses/:id/restore', validate({ params: idParams }), async (req, res) => {
+  try {
+    const expense = await db.transaction(async (tx) => {
+      if ((await trash.restore(req.user.id, [Number(req.params.id)])) === 0) return [];
+      return tx.query('SELECT * FROM expenses WHERE id = ?', [req.params.id]);
+    });
+    if (expense.length === 0) {
+      return res.status(404).json({ error: 'Despesa nao encontrada no lixo' });
+    }
+
+    const [restored] = await presentExpenses(req.user, expense);
+    res.json(restored);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get single expense
+app.get('/api/expenses/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const expenses = await db.query(
+      'SELECT * FROM expenses WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
+      [req.params.id, req.user.id]
+    );
+
+    if (expenses.length === 0) {
+      return res.status(404).json({ error: 'Despesa nao encontrada' });
+    }
+
+    const [expense] = await presentExpenses(req.user, expenses);
+    res.json(expense);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create expense. Without a category, the user's categorization rules pick one,
+// falling back to "Outros".
+app.post('/api/expenses', validate(expenseSchema({}, {
+  ...expenseFields,
+  category: optional(rules.category())
+})), async (req, res) => {
+  try {
+    const { description } = req.body;
+    const amount = toCents(req.body.amount);
+
+    let { category } = req.body;
+    if (!category) {
+      const categorize = await categorization.createCategorizer(req.user.id);
+      category = categorize({ description, amount })
+        || ((await categoryExists(req.user.id, UNCATEGORIZED)) ? UNCATEGORIZED : null);
+    }
+    if (!category) {
+      return sendInvalid(res, { category: 'Nenhuma regra se aplica. Escolha a categoria' });
+    }
+
+    const expense = await db.transaction(async (tx) => {
+      const id = await insertExpense(req.user, { ...req.body, category });
+      return tx.query('SELECT * FROM expenses WHERE id = ?', [id]);
+    });
+    const [created] = await presentExpenses(req.user, expense);
+    res.status(201).json(created);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update expense. When it moves to another category and similar expenses keep being put
+// there, the response carries suggested_rule, a categorization rule the app can offer to create.
+app.put('/api/expenses/:id', validate(expenseSchema({ params: idParams })), async (req, res) => {
+  try {
+    const { description, category, date } = req.body;
+    const amount = toCents(req.body.amount);
+    const { id } = req.params;
+
+    const { existing, expense } = await db.transaction(async (tx) => {
+      const rows = await tx.query(
+        'SELECT id, category FROM expenses WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
+        [id, req.user.id]
+      );
+      if (rows.length === 0) return {};
+
+      // The currency is kept when none is sent
+      await tx.runBatch([
+        [
+          `UPDATE expenses SET description = ?, amount = ?, currency = COALESCE(?, currency), category = ?, date = ?,
+            irs_class = ?, nif = ?, invoice_number = ?, payer_id = ?, split_type = ?, updated_at = ?
+            WHERE id = ? AND user_id = ?`,
+          [description.trim(), amount, req.body.currency || null, category, date, ...irsValues(req.body),
+            req.body.payer_id || null, req.body.split_type || null, new Date().toISOString(), id, req.user.id]
+        ],
+        ...household.splitStatements(Number(id), { ...req.body, amount })
+      ]);
+      return { existing: rows[0], expense: await tx.query('SELECT * FROM expenses WHERE id = ?', [id]) };
+    });
+    if (!existing) {
+      return res.status(404).json({ error: 'Despesa nao encontrada' });
+    }
+    const [updated] = await presentExpenses(req.user, expense);
+
+    const suggestion = existing.category !== category
+      ? await categorization.suggestRule(req.user.id, expense[0])
+      : null;
+    res.json(suggestion ? { ...updated, suggested_rule: suggestion } : updated);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete expense: it goes to the trash, where it can be restored until it is purged
+app.delete('/api/expenses/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const moved = await trash.moveToTrash(req.user.id, [Number(req.params.id)]);
+    if (moved === 0) {
+      return res.status(404).json({ error: 'Despesa nao encontrada' });
+    }
+
+    res.json({ message: 'Despesa movida para o lixo' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== ATTACHMENTS ====================
+
+// Find one of the user's attachments, with where its file is stored
+const findAttachment = async (userId, id) => {
+  const rows = await db.query('SELECT * FROM attachments WHERE id = ? AND user_id = ?', [id, userId]);
+  return rows[0] || null;
+};
+
+// List an expense's attachments
+app.get('/api/expenses/:id/attachments', validate({ params: idParams }), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+
+    const existing = await db.query(
+      'SELECT id FROM expenses WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
+      [id, req.user.id]
+    );
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Despesa nao encontrada' });
+    }
+
+    const [expense] = await attachments.withAttachments(req.user.id, existing);
+    res.json(expense.attachments);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Upload receipts (images or PDFs, multipart field "files") for an expense
+app.post('/api/expenses/:id/attachments', validate({ params: idParams }), async (req, res) => {
+  let files = [];
+  try {
+    const id = Number(req.params.id);
+
+    const existing = await db.query(
+      'SELECT id FROM expenses WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
+      [id, req.user.id]
+    );
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Despesa nao encontrada' });
+    }
+
+    try {
+      files = await attachments.receive(req, res);
+    } catch (error) {
+      if (error.invalid) return sendInvalid(res, { files: error.message });
+      throw error;
+    }
+    if (files.length === 0) {
+      return sendInvalid(res, { files: 'Nenhum ficheiro enviado' });
+    }
+
+    await db.runBatch(files.map((file) => [
+      'INSERT INTO attachments (user_id, expense_id, filename, stored_name, mime_type, size) VALUES (?, ?, ?, ?, ?, ?)',
+      [req.user.id, id, file.originalname.slice(0, 255), file.filename, file.mimetype, file.size]
+    ]));
+
+    const [expense] = await attachments.withAttachments(req.user.id, existing);
+    res.status(201).json(expense.attachments);
+  } catch (error) {
+    // Files that were received but not recorded would be left behind
+    await attachments.removeFiles(files.map((file) => ({ user_id: req.user.id, stored_name: file.filename })));
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download an attachment under its original name
+app.get('/api/attachments/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const attachment = await findAttachment(req.user.id, req.params.id);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Anexo nao encontrado' });
+    }
+
+    const options = { headers: { 'Content-Type': attachment.mime_type } };
+    res.download(attachments.filePath(attachment), attachment.filename, options, (error) => {
+      if (error && !res.headersSent) res.status(404).json({ error: 'Ficheiro do anexo em falta' });
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete attachment
+app.delete('/api/attachments/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const attachment = await findAttachment(req.user.id, req.params.id);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Anexo nao encontrado' });
+    }
+
+    await db.run('DELETE FROM attachments WHERE id = ?', [attachment.id]);
+    await attachments.removeFiles([attachment]);
+    res.json({ message: 'Anexo eliminado' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== TEMPLATES ====================
+
+// Fields of an expense template
+const templateFields = {
+  name: rules.text({ max: 50 }),
+  description: rules.text({ max: 200 }),
+  amount: rules.amount(),
+  currency: optional(rules.currency()),
+  category: rules.category()
+};
+
+// Get all templates
+app.get('/api/templates', async (req, res) => {
+  try {
+    const templates = await db.query('SELECT * FROM expense_templates WHERE user_id = ? ORDER BY name, id', [req.user.id]);
+    res.json(templates.map((template) => withDecimals(template)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create template
+app.post('/api/templates', validate({ body: templateFields }), async (req, res) => {
+  try {
+    const { name, description, amount, category } = req.body;
+
+    const result = await db.run(
+      'INSERT INTO expense_templates (user_id, name, description, amount, currency, category) VALUES (?, ?, ?, ?, ?, ?)',
+      [req.user.id, name.trim(), description.trim(), toCents(amount), req.body.currency || req.user.base_currency, category]
+    );
+
+    const template = await db.query('SELECT * FROM expense_templates WHERE id = ?', [result.lastId]);
+    res.status(201).json(withDecimals(template[0]));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update template
+app.put('/api/templates/:id', validate({ params: idParams, body: templateFields }), async (req, res) => {
+  try {
+    const { name, description, amount, category } = req.body;
+    const { id } = req.params;
+
+    const result = await db.run(
+      `UPDATE expense_templates SET name = ?, description = ?, amount = ?, currency = COALESCE(?, currency), category = ?
+        WHERE id = ? AND user_id = ?`,
+      [name.trim(), description.trim(), toCents(amount), req.body.currency || null, category, id, req.user.id]
+    );
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Modelo nao encontrado' });
+    }
+
+    const template = await db.query('SELECT * FROM expense_templates WHERE id = ?', [id]);
+    res.json(withDecimals(template[0]));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete template (expenses added with it are kept)
+app.delete('/api/templates/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const result = await db.run('DELETE FROM expense_templates WHERE id = ? AND user_id = ?', [req.params.id, req.user.id]);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Modelo nao encontrado' });
+    }
+
+    res.json({ message: 'Modelo eliminado' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add an expense from a template, dated today unless a date is given
+app.post('/api/templates/:id/use', validate({
+  params: idParams,
+  body: { date: optional(rules.date()) }
+}), async (req, res) => {
+  try {
+    const templates = await db.query(
+      'SELECT * FROM expense_templates WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+    if (templates.length === 0) {
+      return res.status(404).json({ error: 'Modelo nao encontrado' });
+    }
+
+    const [template] = templates;
+    const result = await db.run(
+      'INSERT INTO expenses (user_id, description, amount, currency, category, date, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [req.user.id, template.description, template.amount, template.currency, template.category,
+        req.body?.date || recurring.today(), new Date().toISOString()]
+    );
+
+    const expense = await db.query('SELECT * FROM expenses WHERE id = ?', [result.lastId]);
+    const [created] = await presentExpenses(req.user, expense);
+    res.status(201).json(created);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== HOUSEHOLD ====================
+
+// Find one of the user's household members
+const findMember = async (userId, id) => {
+  const rows = await db.query('SELECT * FROM household_members WHERE id = ? AND user_id = ?', [id, userId]);
+  return rows[0] || null;
+};
+
+const memberFields = { name: rules.text({ max: 60 }) };
+
+// Member names are unique per account
+const memberNameTaken = async (userId, name, exceptId = 0) => {
+  const rows = await db.query(
+    'SELECT id FROM household_members WHERE user_id = ? AND name = ? AND id != ?',
+    [userId, name, exceptId]
+  );
+  return rows.length > 0;
+};
+
+// Get household members (the account owner first)
+app.get('/api/members', async (req, res) => {
+  try {
+    res.json(await household.listMembers(req.user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add household member
+app.post('/api/members', validate({ body: memberFields }), async (req, res) => {
+  try {
+    const name = req.body.name.trim();
+
+    await household.listMembers(req.user);
+    if (await memberNameTaken(req.user.id, name)) {
+      return sendInvalid(res, { name: 'Ja existe um membro com este nome' });
+    }
+
+    const result = await db.run('INSERT INTO household_members (user_id, name) VALUES (?, ?)', [req.user.id, name]);
+    const member = await findMember(req.user.id, result.lastId);
+    res.status(201).json({ ...member, is_owner: false });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rename household member
+app.put('/api/members/:id', validate({ params: idParams, body: memberFields }), async (req, res) => {
+  try {
+    const name = req.body.name.trim();
+
+    const member = await findMember(req.user.id, req.params.id);
+    if (!member) {
+      return res.status(404).json({ error: 'Membro nao encontrado' });
+    }
+    if (await memberNameTaken(req.user.id, name, member.id)) {
+      return sendInvalid(res, { name: 'Ja existe um membro com este nome' });
+    }
+
+    await db.run('UPDATE household_members SET name = ? WHERE id = ?', [name, member.id]);
+    res.json({ ...member, name, is_owner: Boolean(member.is_owner) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete household member. Members who paid, share or settled expenses are kept.
+app.delete('/api/members/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const member = await findMember(req.user.id, req.params.id);
+    if (!member) {
+      return res.status(404).json({ error: 'Membro nao encontrado' });
+    }
+    if (member.is_owner) {
+      return res.status(409).json({ error: 'O titular da conta nao pode ser eliminado' });
+    }
+
+    const uses = await db.query(`
+      SELECT
+        (SELECT COUNT(*) FROM expenses WHERE user_id = ? AND payer_id = ?) +
+        (SELECT COUNT(*) FROM expense_splits WHERE member_id = ?) +
+        (SELECT COUNT(*) FROM settlements WHERE from_member_id = ? OR to_member_id = ?) as count
+    `, [req.user.id, member.id, member.id, member.id, member.id]);
+    if (Number(uses[0].count) > 0) {
+      return res.status(409).json({ error: 'Este membro tem despesas ou acertos registados' });
+    }
+
+    await db.run('DELETE FROM household_members WHERE id = ?', [member.id]);
+    res.json({ message: 'Membro eliminado' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Who owes whom across all shared expenses and settlements
+app.get('/api/balances', async (req, res) => {
+  try {
+    const balances = await household.getBalances(req.user);
+    res.json({
+      ...balances,
+      members: balances.members.map((member) => withDecimals(member, ['paid', 'share', 'settled', 'balance'])),
+      debts: balances.debts.map((debt) => withDecimals(debt))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get settlements, newest first
+app.get('/api/settlements', async (req, res) => {
+  try {
+    const settlements = await db.query(
+      'SELECT * FROM settlements WHERE user_id = ? ORDER BY date DESC, id DESC',
+      [req.user.id]
+    );
+    res.json(settlements.map((settlement) => withDecimals(settlement)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record a payment from one member to another
+app.post('/api/settlements', validate({
+  body: {
+    from_member_id: rules.integer({ min: 1 }),
+    to_member_id: rules.integer({ min: 1 }),
+    amount: rules.amount(),
+    currency: optional(rules.currency()),
+    date: rules.date(),
+    note: optional(rules.text({ max: 200 }))
+  },
+  check: async ({ body, user }) => {
+    if (Number(body.from_member_id) === Number(body.to_member_id)) {
+      return { to_member_id: 'Escolha outro membro' };
+    }
+    const fields = {};
+    if (!(await findMember(user.id, body.from_member_id))) fields.from_member_id = 'Membro desconhecido';
+    if (!(await findMember(user.id, body.to_member_id))) fields.to_member_id = 'Membro desconhecido';
+    return fields;
+  }
+}), async (req, res) => {
+  try {
+    const { from_member_id: from, to_member_id: to, amount, date, note } = req.body;
+
+    const result = await db.run(
+      `INSERT INTO settlements (user_id, from_member_id, to_member_id, amount, currency, date, note)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [req.user.id, from, to, toCents(amount), req.body.currency || req.user.base_currency, date, note?.trim() || null]
+    );
+
+    const settlement = await db.query('SELECT * FROM settlements WHERE id = ?', [result.lastId]);
+    res.status(201).json(withDecimals(settlement[0]));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete settlement
+app.delete('/api/settlements/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await db.query('SELECT id FROM settlements WHERE id = ? AND user_id = ?', [id, req.user.id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Acerto nao encontrado' });
+    }
+
+    await db.run('DELETE FROM settlements WHERE id = ?', [id]);
+    res.json({ message: 'Acerto eliminado' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== INCOMES ====================
+
+// Fields of an income entry
+const incomeFields = {
+  description: rules.text({ max: 200 }),
+  amount: rules.amount(),
+  currency: optional(rules.currency()),
+  source: rules.oneOf(INCOME_SOURCES),
+  date: rules.date()
+};
+
+// Get incomes (optionally for one month)
+app.get('/api/incomes', validate({ query: { month: optional(rules.month()) } }), async (req, res) => {
+  try {
+    const { month } = req.query;
+
+    let sql = 'SELECT * FROM incomes WHERE user_id = ?';
+    const params = [req.user.id];
+
+    if (month) {
+      sql += ' AND date LIKE ?';
+      params.push(`${month}%`);
+    }
+
+    sql += ' ORDER BY date DESC, id DESC';
+
+    const incomes = await db.query(sql, params);
+    const converter = await currency.createConverter(req.user.id, req.user.base_currency);
+    res.json(currency.withConverted(incomes, converter).map((income) => withDecimals(income, ['amount', 'converted_amount'])));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create income
+app.post('/api/incomes', validate({ body: incomeFields }), async (req, res) => {
+  try {
+    const { description, amount, source, date } = req.body;
+
+    const result = await db.run(
+      'INSERT INTO incomes (user_id, description, amount, currency, source, date, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [req.user.id, description.trim(), toCents(amount), req.body.currency || req.user.base_currency, source, date,
+        new Date().toISOString()]
+    );
+
+    const income = await db.query('SELECT * FROM incomes WHERE id = ?', [result.lastId]);
+    res.status(201).json(withDecimals(income[0]));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update income
+app.put('/api/incomes/:id', validate({ params: idParams, body: incomeFields }), async (req, res) => {
+  try {
+    const { description, amount, source, date } = req.body;
+    const { id } = req.params;
+
+    const existing = await db.query('SELECT id FROM incomes WHERE id = ? AND user_id = ?', [id, req.user.id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Receita nao encontrada' });
+    }
+
+    await db.run(
+      `UPDATE incomes SET description = ?, amount = ?, currency = COALESCE(?, currency), source = ?, date = ?, updated_at = ?
+        WHERE id = ? AND user_id = ?`,
+      [description.trim(), toCents(amount), req.body.currency || null, source, date, new Date().toISOString(), id,
+        req.user.id]
+    );
 
-    const expenses = await db.query(sql, params);
-    res.json(expenses);
+    const income = await db.query('SELECT * FROM incomes WHERE id = ?', [id]);
+    res.json(withDecimals(income[0]));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get single expense
-app.get('/api/expenses/:id', async (req, res) => {
+// Delete income
+app.delete('/api/incomes/:id', validate({ params: idParams }), async (req, res) => {
   try {
-    const expenses = await db.query('SELECT * FROM expenses WHERE id = ?', [req.params.id]);
+    const { id } = req.params;
 
-    if (expenses.length === 0) {
-      return res.status(404).json({ error: 'Despesa nao encontrada' });
+    const existing = await db.query('SELECT id FROM incomes WHERE id = ? AND user_id = ?', [id, req.user.id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Receita nao encontrada' });
     }
 
-    res.json(expenses[0]);
+    await db.run('DELETE FROM incomes WHERE id = ? AND user_id = ?', [id, req.user.id]);
+    res.json({ message: 'Receita eliminada' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Create expense
-app.post('/api/expenses', async (req, res) => {
-  try {
-    const { description, amount, category, date } = req.body;
+// ==================== RECURRING EXPENSES ====================
 
-    if (!description || !amount || !category || !date) {
-      return res.status(400).json({ error: 'Todos os campos sao obrigatorios' });
-    }
+// Body of a recurring rule
+const recurringRuleBody = {
+  body: {
+    description: rules.text({ max: 200 }),
+    amount: rules.amount(),
+    currency: optional(rules.currency()),
+    category: rules.category(),
+    frequency: rules.oneOf(recurring.FREQUENCIES),
+    start_date: rules.date(),
+    end_date: optional(rules.date()),
+    day_of_month: optional(rules.integer({ min: 1, max: 31 }))
+  },
+  check: ({ body }) => (body.end_date && body.end_date < body.start_date
+    ? { end_date: 'A data de fim deve ser posterior a data de inicio' }
+    : null)
+};
+
+// Get all recurring rules
+app.get('/api/recurring', async (req, res) => {
+  try {
+    const rules = await db.query(
+      'SELECT * FROM recurring_expenses WHERE user_id = ? ORDER BY description',
+      [req.user.id]
+    );
+    res.json(rules.map((rule) => withDecimals(rule)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// Create recurring rule (and generate the occurrences already due)
+app.post('/api/recurring', validate(recurringRuleBody), async (req, res) => {
+  try {
+    const { description, amount, category, frequency, start_date, end_date, day_of_month } = req.body;
     const result = await db.run(
-      'INSERT INTO expenses (description, amount, category, date) VALUES (?, ?, ?, ?)',
-      [description, amount, category, date]
+      `INSERT INTO recurring_expenses
+        (user_id, description, amount, currency, category, frequency, start_date, end_date, day_of_month)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [req.user.id, description.trim(), toCents(amount), req.body.currency || req.user.base_currency, category,
+        frequency, start_date, end_date || null, day_of_month || null]
     );
 
-    const expense = await db.query('SELECT * FROM expenses WHERE id = ?', [result.lastId]);
-    res.status(201).json(expense[0]);
+    await recurring.materializeRecurring(req.user.id);
+
+    const rule = await db.query('SELECT * FROM recurring_expenses WHERE id = ?', [result.lastId]);
+    res.status(201).json(withDecimals(rule[0]));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Update expense
-app.put('/api/expenses/:id', async (req, res) => {
+// Update recurring rule (only future occurrences are affected)
+app.put('/api/recurring/:id', validate({ ...recurringRuleBody, params: idParams }), async (req, res) => {
   try {
-    const { description, amount, category, date } = req.body;
     const { id } = req.params;
 
-    // Check if expense exists
-    const existing = await db.query('SELECT id FROM expenses WHERE id = ?', [id]);
+    const existing = await db.query(
+      'SELECT id FROM recurring_expenses WHERE id = ? AND user_id = ?',
+      [id, req.user.id]
+    );
     if (existing.length === 0) {
-      return res.status(404).json({ error: 'Despesa nao encontrada' });
+      return res.status(404).json({ error: 'Despesa recorrente nao encontrada' });
     }
 
+    const { description, amount, category, frequency, start_date, end_date, day_of_month } = req.body;
     await db.run(
-      'UPDATE expenses SET description = ?, amount = ?, category = ?, date = ? WHERE id = ?',
-      [description, amount, category, date, id]
+      `UPDATE recurring_expenses
+        SET description = ?, amount = ?, currency = COALESCE(?, currency), category = ?, frequency = ?,
+          start_date = ?, end_date = ?, day_of_month = ?
+        WHERE id = ?`,
+      [description.trim(), toCents(amount), req.body.currency || null, category, frequency, start_date,
+        end_date || null, day_of_month || null, id]
     );
 
-    const expense = await db.query('SELECT * FROM expenses WHERE id = ?', [id]);
-    res.json(expense[0]);
+    const updated = await db.query('SELECT * FROM recurring_expenses WHERE id = ?', [id]);
+    res.json(withDecimals(updated[0]));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Delete expense
-app.delete('/api/expenses/:id', async (req, res) => {
+// Delete recurring rule (expenses already generated are kept)
+app.delete('/api/recurring/:id', validate({ params: idParams }), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const existing = await db.query('SELECT id FROM expenses WHERE id = ?', [id]);
+    const existing = await db.query(
+      'SELECT id FROM recurring_expenses WHERE id = ? AND user_id = ?',
+      [id, req.user.id]
+    );
     if (existing.length === 0) {
-      return res.status(404).json({ error: 'Despesa nao encontrada' });
+      return res.status(404).json({ error: 'Despesa recorrente nao encontrada' });
     }
 
-    await db.run('DELETE FROM expenses WHERE id = ?', [id]);
-    res.json({ message: 'Despesa eliminada' });
+    await db.run('UPDATE expenses SET recurring_id = NULL WHERE recurring_id = ?', [id]);
+    await db.run('DELETE FROM recurring_expenses WHERE id = ?', [id]);
+    res.json({ message: 'Despesa recorrente eliminada' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -133,53 +1573,258 @@ app.delete('/api/expenses/:id', async (req, res) => {
 
 // ==================== BUDGETS ====================
 
+// Create or update the budget for a month (amount in cents)
+const saveBudget = async (userId, month, amount) => {
+  // One statement, so two requests for a new month cannot both insert it
+  await db.run(
+    `INSERT INTO budgets (user_id, month, amount) VALUES (?, ?, ?)
+      ON CONFLICT (user_id, month) DO UPDATE SET amount = excluded.amount`,
+    [userId, month, amount]
+  );
+
+  const budget = await db.query('SELECT * FROM budgets WHERE user_id = ? AND month = ?', [userId, month]);
+  return budget[0];
+};
+
+// Replace the per-category limits for a month ({ category: amount }; empty or 0 removes)
+const saveCategoryBudgets = async (userId, month, limits) => {
+  await db.run('DELETE FROM category_budgets WHERE user_id = ? AND month = ?', [userId, month]);
+
+  for (const [category, amount] of Object.entries(limits)) {
+    if (toCents(amount) > 0) {
+      await db.run(
+        'INSERT INTO category_budgets (user_id, month, category, amount) VALUES (?, ?, ?, ?)',
+        [userId, month, category, toCents(amount)]
+      );
+    }
+  }
+};
+
+// Get the per-category limits for a month as { category: amount in cents }
+const getCategoryBudgets = async (userId, month) => {
+  const rows = await db.query(
+    'SELECT category, amount FROM category_budgets WHERE user_id = ? AND month = ?',
+    [userId, month]
+  );
+  return Object.fromEntries(rows.map((row) => [row.category, row.amount]));
+};
+
+// A month's budget as the API returns it, amounts and category limits as decimal strings
+const presentBudget = (budget, categories) => ({
+  ...withDecimals(budget, ['amount', 'base', 'carried', 'effective']),
+  categories: Object.fromEntries(Object.entries(categories).map(([category, amount]) => [category, fromCents(amount)]))
+});
+
+// Fields of a monthly budget. Without an amount the month keeps the budget it has
+// (its own or the default one) and only the category limits change.
+const budgetFields = {
+  month: rules.month(),
+  amount: optional(rules.amount({ allowZero: true })),
+  categories: optional(rules.categoryLimits())
+};
+
 // Get all budgets
 app.get('/api/budgets', async (req, res) => {
   try {
-    const budgets = await db.query('SELECT * FROM budgets ORDER BY month DESC');
-    res.json(budgets);
+    const budgets = await db.query('SELECT * FROM budgets WHERE user_id = ? ORDER BY month DESC', [req.user.id]);
+    res.json(budgets.map((budget) => withDecimals(budget)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fields of the budget policies
+const budgetSettingsFields = {
+  // Budget of months without one of their own (none when left out)
+  default_amount: optional(rules.amount({ allowZero: true })),
+  rollover: rules.oneOf(ROLLOVER_MODES),
+  // First month whose leftover carries over (when left out, the one set before or the current month)
+  rollover_from: optional(rules.month())
+};
+
+// Get the budget policies (declared before /api/budgets/:month)
+app.get('/api/budgets/settings', async (req, res) => {
+  try {
+    res.json(withDecimals(await getBudgetSettings(req.user.id), ['default_amount']));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set the budget policies
+app.put('/api/budgets/settings', validate({ body: budgetSettingsFields }), async (req, res) => {
+  try {
+    const current = await getBudgetSettings(req.user.id);
+    const settings = await saveBudgetSettings(req.user.id, {
+      ...req.body,
+      default_amount: toCents(req.body.default_amount),
+      rollover_from: req.body.rollover_from || current.rollover_from || new Date().toISOString().slice(0, 7)
+    });
+    res.json(withDecimals(settings, ['default_amount']));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get budget for specific month: its own amount (0 when unset), the base budget (that or the
+// default budget), what carried over from the month before and the effective budget
+app.get('/api/budgets/:month', validate({ params: { month: rules.month() } }), async (req, res) => {
+  try {
+    const budgets = await db.query(
+      'SELECT * FROM budgets WHERE user_id = ? AND month = ?',
+      [req.user.id, req.params.month]
+    );
+    const categories = await getCategoryBudgets(req.user.id, req.params.month);
+    const effective = await getEffectiveBudget(req.user, req.params.month);
+
+    res.json(presentBudget({ ...budgets[0], ...effective }, categories));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a month's own budget, so the default budget applies to it again
+app.delete('/api/budgets/:month', validate({ params: { month: rules.month() } }), async (req, res) => {
+  try {
+    await db.run('DELETE FROM budgets WHERE user_id = ? AND month = ?', [req.user.id, req.params.month]);
+
+    const categories = await getCategoryBudgets(req.user.id, req.params.month);
+    res.json(presentBudget(await getEffectiveBudget(req.user, req.params.month), categories));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set budget for month (create or update), optionally with per-category limits
+app.post('/api/budgets', validate({ body: budgetFields }), async (req, res) => {
+  try {
+    const { month, amount, categories } = req.body;
+
+    // The month's budget and its category limits are saved together or not at all
+    const [budget, limits] = await db.transaction(async () => {
+      const saved = toCents(amount) === null ? {} : await saveBudget(req.user.id, month, toCents(amount));
+      if (categories) await saveCategoryBudgets(req.user.id, month, categories);
+      return [saved, await getCategoryBudgets(req.user.id, month)];
+    });
+
+    res.json(presentBudget({ ...budget, ...(await getEffectiveBudget(req.user, month)) }, limits));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== CURRENCIES ====================
+
+// Most rates one import may store
+const MAX_IMPORT_RATES = 20000;
+
+// Fields of an exchange rate: 1 EUR = rate units of the currency, from that date on
+const rateFields = {
+  body: {
+    currency: rules.currency(),
+    date: rules.date(),
+    rate: rules.number({ min: 0.000001 })
+  },
+  check: ({ body }) => (body.currency === currency.REFERENCE_CURRENCY
+    ? { currency: 'O euro e a moeda de referencia (taxa 1)' }
+    : null)
+};
+
+// Get the base currency and the currencies offered
+app.get('/api/currency', (req, res) => {
+  res.json({ base: req.user.base_currency, reference: currency.REFERENCE_CURRENCY, currencies: currency.CURRENCIES });
+});
+
+// Change the currency totals are converted to
+app.put('/api/currency', validate({ body: { base: rules.currency() } }), async (req, res) => {
+  try {
+    await db.run('UPDATE users SET base_currency = ? WHERE id = ?', [req.body.base, req.user.id]);
+    res.json({ base: req.body.base, reference: currency.REFERENCE_CURRENCY, currencies: currency.CURRENCIES });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get budget for specific month
-app.get('/api/budgets/:month', async (req, res) => {
+// Get exchange rates, newest first (optionally for one currency)
+app.get('/api/exchange-rates', validate({
+  query: { currency: optional(rules.currency()), limit: optional(rules.integer({ min: 1, max: 1000 })) }
+}), async (req, res) => {
   try {
-    const budgets = await db.query('SELECT * FROM budgets WHERE month = ?', [req.params.month]);
+    const { currency: code, limit = 200 } = req.query;
+
+    let sql = 'SELECT id, currency, date, rate FROM exchange_rates WHERE user_id = ?';
+    const params = [req.user.id];
 
-    if (budgets.length === 0) {
-      return res.json({ month: req.params.month, amount: 0 });
+    if (code) {
+      sql += ' AND currency = ?';
+      params.push(code);
     }
 
-    res.json(budgets[0]);
+    sql += ' ORDER BY date DESC, currency LIMIT ?';
+    params.push(Number(limit));
+
+    const rates = await db.query(sql, params);
+    res.json(rates);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set the rate for a currency on a date (replacing any rate already there)
+app.post('/api/exchange-rates', validate(rateFields), async (req, res) => {
+  try {
+    const { currency: code, date } = req.body;
+
+    await currency.saveRates(req.user.id, [{ currency: code, date, rate: Number(req.body.rate) }]);
+
+    const rate = await db.query(
+      'SELECT id, currency, date, rate FROM exchange_rates WHERE user_id = ? AND currency = ? AND date = ?',
+      [req.user.id, code, date]
+    );
+    res.status(201).json(rate[0]);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Set budget for month (create or update)
-app.post('/api/budgets', async (req, res) => {
+// Import rates from a CSV file (ECB layout or one rate per row), optionally only from a date on
+app.post('/api/exchange-rates/import', validate({
+  body: { content: rules.text({ max: 5 * 1024 * 1024 }), from: optional(rules.date()) }
+}), async (req, res) => {
   try {
-    const { month, amount } = req.body;
+    const { content, from } = req.body;
 
-    if (!month || amount === undefined) {
-      return res.status(400).json({ error: 'Mes e valor sao obrigatorios' });
+    const { rates, skipped } = currency.parseRatesFile(content);
+    const selected = rates.filter((rate) => !from || rate.date >= from);
+
+    if (selected.length === 0) {
+      return sendInvalid(res, { content: 'Nenhuma taxa de cambio encontrada no ficheiro' });
+    }
+    if (selected.length > MAX_IMPORT_RATES) {
+      return sendInvalid(res, {
+        content: `Demasiadas taxas (${selected.length}, maximo ${MAX_IMPORT_RATES}). Escolha uma data de inicio mais recente`
+      });
     }
 
-    // Check if budget exists for this month
-    const existing = await db.query('SELECT id FROM budgets WHERE month = ?', [month]);
+    await currency.saveRates(req.user.id, selected);
+    res.status(201).json({ imported: selected.length, skipped });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete exchange rate
+app.delete('/api/exchange-rates/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
 
-    if (existing.length > 0) {
-      // Update existing
-      await db.run('UPDATE budgets SET amount = ? WHERE month = ?', [amount, month]);
-    } else {
-      // Create new
-      await db.run('INSERT INTO budgets (month, amount) VALUES (?, ?)', [month, amount]);
+    const existing = await db.query('SELECT id FROM exchange_rates WHERE id = ? AND user_id = ?', [id, req.user.id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Taxa de cambio nao encontrada' });
     }
 
-    const budget = await db.query('SELECT * FROM budgets WHERE month = ?', [month]);
-    res.json(budget[0]);
+    await db.run('DELETE FROM exchange_rates WHERE id = ?', [id]);
+    res.json({ message: 'Taxa de cambio eliminada' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -187,42 +1832,532 @@ app.post('/api/budgets', async (req, res) => {
 
 // ==================== STATS ====================
 
+// Monthly trends as the API returns them, amounts as decimal strings
+const presentTrends = (trends) => ({
+  ...trends,
+  months: trends.months.map((row) => ({
+    ...withDecimals(row, ['total', 'income', 'budget']),
+    byCategory: Object.fromEntries(Object.entries(row.byCategory).map(([category, total]) => [category, fromCents(total)])),
+    yearOverYear: withDecimals(row.yearOverYear, ['total', 'change'])
+  })),
+  summary: {
+    ...withDecimals(trends.summary, ['total', 'income', 'average']),
+    yearOverYear: withDecimals(trends.summary.yearOverYear, ['total', 'change'])
+  }
+});
+
+// Get monthly trends between two months (declared before /:month so "range" is not read as a month)
+app.get('/api/stats/range', validate({
+  query: { from: rules.month(), to: rules.month() },
+  check: ({ query }) => {
+    if (query.from > query.to) return { to: 'Deve ser igual ou posterior ao inicio' };
+    if (reports.listMonths(query.from, query.to).length > reports.MAX_RANGE_MONTHS) {
+      return { to: `Maximo de ${reports.MAX_RANGE_MONTHS} meses` };
+    }
+    return null;
+  }
+}), async (req, res) => {
+  try {
+    await recurring.materializeRecurring(req.user.id);
+
+    const trends = await reports.getMonthlyTrends(req.user, req.query.from, req.query.to);
+    res.json(presentTrends(trends));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get monthly statistics
-app.get('/api/stats/:month', async (req, res) => {
+app.get('/api/stats/:month', validate({ params: { month: rules.month() } }), async (req, res) => {
   try {
     const { month } = req.params;
 
-    // Get total spent
-    const totalResult = await db.query(
-      'SELECT COALESCE(SUM(amount), 0) as total FROM expenses WHERE date LIKE ?',
-      [`${month}%`]
+    await recurring.materializeRecurring(req.user.id);
+
+    // Amounts are converted to the base currency before adding them up, all in whole cents
+    const converter = await currency.createConverter(req.user.id, req.user.base_currency);
+    const sumConverted = (rows) => sumCents(rows.map((row) => converter.convert(row.amount, row.currency, row.date) ?? 0));
+
+    const expenseRows = await db.query(
+      'SELECT amount, currency, category, date FROM expenses WHERE user_id = ? AND deleted_at IS NULL AND date LIKE ?',
+      [req.user.id, `${month}%`]
     );
 
-    // Get budget
-    const budgetResult = await db.query('SELECT amount FROM budgets WHERE month = ?', [month]);
+    // Get budget, with the default budget and rollover applied
+    const budget = await getEffectiveBudget(req.user, month);
 
     // Get by category
-    const categoryResult = await db.query(`
-      SELECT category, SUM(amount) as total
-      FROM expenses
-      WHERE date LIKE ?
-      GROUP BY category
-      ORDER BY total DESC
-    `, [`${month}%`]);
+    const categoryResult = [...new Set(expenseRows.map((row) => row.category))]
+      .map((category) => ({ category, total: sumConverted(expenseRows.filter((row) => row.category === category)) }))
+      .sort((a, b) => b.total - a.total);
 
-    // Get expense count
-    const countResult = await db.query(
-      'SELECT COUNT(*) as count FROM expenses WHERE date LIKE ?',
-      [`${month}%`]
+    // Get income and what was left of it
+    const incomeRows = await db.query(
+      'SELECT amount, currency, date FROM incomes WHERE user_id = ? AND date LIKE ?',
+      [req.user.id, `${month}%`]
     );
+    const income = sumConverted(incomeRows);
+    const expenses = sumConverted(expenseRows);
+    const net = income - expenses;
+
+    // Compare each category's spending with its limit
+    const limits = await getCategoryBudgets(req.user.id, month);
+    const categoryBudgets = Object.entries(limits).map(([category, limit]) => {
+      const spent = categoryResult.find((row) => row.category === category)?.total || 0;
+      return {
+        category,
+        spent: fromCents(spent),
+        limit: fromCents(limit),
+        remaining: fromCents(limit - spent),
+        percentage: (spent / limit) * 100
+      };
+    });
 
     res.json({
       month,
-      total: totalResult[0]?.total || 0,
-      budget: budgetResult[0]?.amount || 0,
-      byCategory: categoryResult,
-      count: countResult[0]?.count || 0
+      baseCurrency: converter.base,
+      total: fromCents(expenses),
+      budget: fromCents(budget.effective),
+      budgetDetails: {
+        base: fromCents(budget.base),
+        carried: fromCents(budget.carried),
+        effective: fromCents(budget.effective),
+        source: budget.source
+      },
+      byCategory: categoryResult.map((row) => withDecimals(row, ['total'])),
+      categoryBudgets,
+      count: expenseRows.length,
+      income: fromCents(income),
+      expenses: fromCents(expenses),
+      net: fromCents(net),
+      // Share of income saved (null without income)
+      savingsRate: income > 0 ? (net / income) * 100 : null,
+      // Currencies left out of the totals for lack of an exchange rate
+      missingRates: currency.missingRates([...expenseRows, ...incomeRows], converter)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== IMPORT ====================
+
+// Compare descriptions ignoring case, spacing and extra text around them
+const similarDescriptions = (a, b) => {
+  const normalize = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+  const [first, second] = [normalize(a), normalize(b)];
+  return first.includes(second) || second.includes(first);
+};
+
+// Import a bank statement. Without a column mapping the file is only described
+// (headers and sample rows); with one, rows are parsed and checked against existing
+// expenses; with commit, the selected rows are inserted in a single transaction.
+// Rows without a category are categorized by the user's rules, or get defaultCategory.
+app.post('/api/import/csv', validate({
+  body: {
+    content: rules.text({ max: 5 * 1024 * 1024 }),
+    delimiter: optional(rules.oneOf([';', ',', '\t', '|'])),
+    hasHeader: optional(rules.boolean()),
+    mapping: optional(rules.object()),
+    defaultCategory: optional(rules.category()),
+    debitsOnly: optional(rules.boolean()),
+    commit: optional(rules.boolean()),
+    include: optional(rules.array())
+  }
+}), async (req, res) => {
+  try {
+    const {
+      content, delimiter, hasHeader = true, mapping,
+      defaultCategory = UNCATEGORIZED, debitsOnly = false, commit = false, include
+    } = req.body;
+
+    const usedDelimiter = delimiter || csv.detectDelimiter(content);
+    const table = csv.parseCsv(content, usedDelimiter);
+    if (table.length === 0) {
+      return sendInvalid(res, { content: 'O ficheiro nao tem linhas' });
+    }
+    const headers = hasHeader ? table[0] : table[0].map((_, i) => `Coluna ${i + 1}`);
+    const dataRows = hasHeader ? table.slice(1) : table;
+
+    if (!mapping) {
+      return res.json({ delimiter: usedDelimiter, headers, sample: dataRows.slice(0, 5), total: dataRows.length });
+    }
+
+    const missingColumns = ['description', 'amount', 'date']
+      .filter((field) => mapping[field] === undefined || mapping[field] === null);
+    if (missingColumns.length > 0) {
+      return sendInvalid(
+        res,
+        Object.fromEntries(missingColumns.map((field) => [`mapping.${field}`, 'Indique a coluna'])),
+        'Indique as colunas de descricao, valor e data'
+      );
+    }
+
+    const categories = await db.query('SELECT slug, name FROM categories WHERE user_id = ?', [req.user.id]);
+    if (!categories.some((c) => c.slug === defaultCategory)) {
+      return sendInvalid(res, { defaultCategory: 'Categoria desconhecida' });
+    }
+
+    // A category column may hold the category name or its identifier
+    const resolveCategory = (value) => {
+      const text = (value || '').trim().toLowerCase();
+      const match = categories.find((c) => c.slug === text || c.name.toLowerCase() === text);
+      return match ? match.slug : null;
+    };
+    // Rows without a (known) category go through the categorization rules first
+    const categorize = await categorization.createCategorizer(req.user.id);
+
+    const rows = dataRows.map((cells, index) => {
+      const description = (cells[mapping.description] || '').trim();
+      const parsed = csv.parseAmount(cells[mapping.amount]);
+      // Statements list debits as negative amounts; expenses are stored as positive values
+      const amount = parsed === null ? null : toCents(Math.abs(parsed));
+      const date = csv.parseDate(cells[mapping.date]);
+      const errors = [];
+
+      if (!description) errors.push('Descricao em falta');
+      if (!amount) errors.push('Valor invalido');
+      if (!date) errors.push('Data invalida');
+
+      return {
+        index,
+        description,
+        amount,
+        date,
+        category: (mapping.category !== undefined && mapping.category !== null
+          && resolveCategory(cells[mapping.category]))
+          || categorize({ description, amount: amount || 0 })
+          || defaultCategory,
+        errors,
+        skipped: debitsOnly && parsed > 0,
+        duplicate: null
+      };
+    });
+
+    // The duplicate check and the insert see the same expenses, so importing a file twice at once
+    // does not add its rows twice
+    const selected = await db.transaction(async (tx) => {
+      // Flag rows matching an existing expense with the same date and amount
+      const dates = rows.map((row) => row.date).filter(Boolean).sort();
+      const existing = dates.length === 0 ? [] : await tx.query(
+        `SELECT id, description, amount, date FROM expenses
+          WHERE user_id = ? AND deleted_at IS NULL AND date >= ? AND date <= ?`,
+        [req.user.id, dates[0], dates[dates.length - 1]]
+      );
+
+      for (const row of rows) {
+        if (row.errors.length > 0) continue;
+        const match = existing.find((e) => e.date === row.date
+          && Number(e.amount) === row.amount
+          && similarDescriptions(e.description, row.description));
+        if (match) row.duplicate = { id: match.id, description: match.description };
+      }
+      if (!commit) return null;
+
+      // Unless told otherwise, valid rows are imported and likely duplicates left out
+      const chosen = rows.filter((row) => row.errors.length === 0 && !row.skipped
+        && (Array.isArray(include) ? include.includes(row.index) : !row.duplicate));
+      const now = new Date().toISOString();
+
+      // Statements are in the account's currency, taken to be the base currency
+      await tx.runBatch(chosen.map((row) => [
+        'INSERT INTO expenses (user_id, description, amount, currency, category, date, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [req.user.id, row.description, row.amount, req.user.base_currency, row.category, row.date, now]
+      ]));
+      return chosen;
     });
+
+    if (!commit) {
+      return res.json({ delimiter: usedDelimiter, headers, rows: rows.map((row) => withDecimals(row)) });
+    }
+    res.status(201).json({ imported: selected.length, skipped: rows.length - selected.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== IRS ====================
+
+// Deductible expenses of a year per IRS class, totalled against the legal caps, as JSON or CSV
+app.get('/api/reports/irs/:year', validate({
+  params: { year: rules.integer({ min: 2000, max: 2100 }) },
+  query: { format: optional(rules.oneOf(['json', 'csv'])) }
+}), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    const report = await irs.getIrsReport(req.user.id, year);
+
+    if (req.query.format !== 'csv') {
+      return res.json({
+        ...report,
+        classes: report.classes.map((irsClass) => ({
+          ...withDecimals(irsClass, ['cap', 'total', 'deduction', 'remaining']),
+          expenses: irsClass.expenses.map((expense) => withDecimals(expense, ['amount', 'converted_amount']))
+        })),
+        totalDeduction: fromCents(report.totalDeduction)
+      });
+    }
+
+    const rows = [
+      ['Classe', 'Data', 'Descricao', 'NIF', 'Fatura', 'Valor (EUR)', 'Recibos'],
+      ...report.classes.flatMap((irsClass) => irsClass.expenses.map((e) => [
+        irsClass.name, csv.formatDate(e.date), e.description, e.nif, e.invoice_number,
+        e.converted_amount === null ? '' : csv.formatAmount(e.converted_amount), e.attachments.length
+      ])),
+      [],
+      ['Classe', 'Total (EUR)', 'Deducao (EUR)', 'Limite (EUR)'],
+      ...report.classes.map((irsClass) => [
+        irsClass.name, csv.formatAmount(irsClass.total), csv.formatAmount(irsClass.deduction),
+        csv.formatAmount(irsClass.cap)
+      ]),
+      ['Total', '', csv.formatAmount(report.totalDeduction), '']
+    ];
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="irs_${year}.csv"`);
+    res.send(csv.toCsv(rows));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== EXPORT ====================
+
+// Export expenses for a date range (from/to as YYYY-MM-DD, both optional),
+// optionally limited to some categories (comma separated), as CSV or JSON
+app.get('/api/export', validate({
+  query: {
+    from: optional(rules.date()),
+    to: optional(rules.date()),
+    categories: optional(rules.text({ max: 2000 })),
+    format: optional(rules.oneOf(['csv', 'json']))
+  }
+}), async (req, res) => {
+  try {
+    const { from, to, categories, format = 'csv' } = req.query;
+
+    let sql = `
+      SELECT expenses.*, categories.name as category_name
+      FROM expenses
+      LEFT JOIN categories ON categories.user_id = expenses.user_id AND categories.slug = expenses.category
+      WHERE expenses.user_id = ? AND expenses.deleted_at IS NULL
+    `;
+    const params = [req.user.id];
+
+    if (from) {
+      sql += ' AND expenses.date >= ?';
+      params.push(from);
+    }
+
+    if (to) {
+      sql += ' AND expenses.date <= ?';
+      params.push(to);
+    }
+
+    const categoryList = categories ? categories.split(',').filter(Boolean) : [];
+    if (categoryList.length > 0) {
+      sql += ` AND expenses.category IN (${categoryList.map(() => '?').join(', ')})`;
+      params.push(...categoryList);
+    }
+
+    sql += ' ORDER BY expenses.date, expenses.id';
+
+    const expenses = await db.query(sql, params);
+    const fileName = `despesas_${from || 'inicio'}_${to || 'hoje'}`;
+
+    if (format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.json"`);
+      return res.json({
+        exported_at: new Date().toISOString(),
+        from: from || null,
+        to: to || null,
+        expenses: expenses.map(({ id, description, amount, currency: code, category, category_name, date }) => ({
+          id, description, amount: fromCents(amount), currency: code, category, category_name, date
+        }))
+      });
+    }
+
+    const rows = [
+      ['Data', 'Descricao', 'Categoria', 'Valor', 'Moeda'],
+      ...expenses.map((e) => [
+        csv.formatDate(e.date), e.description, e.category_name || e.category, csv.formatAmount(e.amount), e.currency
+      ])
+    ];
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+    res.send(csv.toCsv(rows));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== BACKUP ====================
+
+// Download a versioned snapshot of all the user's data
+app.get('/api/backup', async (req, res) => {
+  try {
+    const snapshot = await backup.createBackup(req.user.id);
+    const fileName = `gestao-gastos_backup_${snapshot.exported_at.slice(0, 10)}.json`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.json(snapshot);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Restore a snapshot ({ backup, mode }): "merge" adds what is missing, "replace" swaps all data
+app.post('/api/restore', validate({
+  body: { backup: rules.object(), mode: optional(rules.oneOf(backup.RESTORE_MODES)) }
+}), async (req, res) => {
+  try {
+    const { backup: snapshot, mode = 'merge' } = req.body;
+
+    const validationError = backup.validateBackup(snapshot);
+    if (validationError) {
+      return sendInvalid(res, { backup: validationError }, validationError);
+    }
+
+    const restored = await backup.restoreBackup(req.user.id, snapshot, mode);
+    res.json({ mode, restored });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== SYNC ====================
+
+// Find the expense a sync change targets, by server id or by the client id it was created with
+const findSyncTarget = async (userId, change) => {
+  const rows = change.id
+    ? await db.query('SELECT * FROM expenses WHERE id = ? AND user_id = ?', [change.id, userId])
+    : await db.query('SELECT * FROM expenses WHERE client_id = ? AND user_id = ?', [change.client_id, userId]);
+  return rows[0];
+};
+
+// Result for a change that failed validation
+const invalidChange = (fields) => ({ status: 'error', error: 'Dados invalidos', fields });
+
+// Apply one change recorded while offline. The server copy wins when it was
+// modified after the version the client edited (base_updated_at).
+// New expenses without a currency are in the user's base currency.
+const applySyncChange = async (userId, change, baseCurrency) => {
+  const { op, entity, data = {}, base_updated_at: baseUpdatedAt } = change;
+
+  if (entity === 'budget') {
+    const fields = await checkFields(budgetFields, data, { userId });
+    if (Object.keys(fields).length > 0) return invalidChange(fields);
+
+    const budget = toCents(data.amount) === null ? null : await saveBudget(userId, data.month, toCents(data.amount));
+    if (data.categories) await saveCategoryBudgets(userId, data.month, data.categories);
+    return { status: 'applied', server: budget && withDecimals(budget) };
+  }
+
+  if (entity !== 'expense') {
+    return { status: 'error', error: 'Entidade desconhecida' };
+  }
+
+  const existing = await findSyncTarget(userId, change);
+
+  if (op === 'create') {
+    // Replayed create: the row already made it to the server
+    if (existing) return { status: 'applied', id: existing.id, server: presentExpense(existing) };
+
+    if (!change.client_id) {
+      return invalidChange({ client_id: 'Campo obrigatorio' });
+    }
+
+    const fields = await checkFields(expenseFields, data, { userId });
+    if (Object.keys(fields).length > 0) return invalidChange(fields);
+
+    const { description, amount, category, date } = data;
+    const result = await db.run(
+      `INSERT INTO expenses (user_id, description, amount, currency, category, date, irs_class, nif, invoice_number,
+        client_id, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [userId, description.trim(), toCents(amount), data.currency || baseCurrency, category, date, ...irsValues(data),
+        change.client_id, new Date().toISOString()]
+    );
+    const created = await db.query('SELECT * FROM expenses WHERE id = ?', [result.lastId]);
+    return { status: 'applied', id: result.lastId, server: presentExpense(created[0]) };
+  }
+
+  if (op === 'restore') {
+    if (!existing) return { status: 'conflict', reason: 'deleted' };
+    // Restoring an expense already out of the trash is not a conflict
+    if (existing.deleted_at) await trash.restore(userId, [existing.id]);
+    const restored = await db.query('SELECT * FROM expenses WHERE id = ?', [existing.id]);
+    return { status: 'applied', id: existing.id, server: presentExpense(restored[0]) };
+  }
+
+  // An expense in the trash counts as gone
+  if (!existing || existing.deleted_at) {
+    // Deleting something already gone is not a conflict
+    return op === 'delete' ? { status: 'applied' } : { status: 'conflict', reason: 'deleted' };
+  }
+
+  if (baseUpdatedAt && existing.updated_at && existing.updated_at > baseUpdatedAt) {
+    return { status: 'conflict', reason: 'modified', id: existing.id, server: presentExpense(existing) };
+  }
+
+  if (op === 'update') {
+    const merged = { ...withDecimals(existing), ...data };
+    const fields = await checkFields(expenseFields, merged, { userId });
+    if (Object.keys(fields).length > 0) return invalidChange(fields);
+
+    // Offline edits do not touch the split, but its shares follow the new amount
+    // (exact amounts are scaled in proportion)
+    const amount = toCents(merged.amount);
+    const [{ splits }] = await household.withSplits([existing]);
+    await db.runBatch([
+      [
+        `UPDATE expenses SET description = ?, amount = ?, currency = ?, category = ?, date = ?,
+          irs_class = ?, nif = ?, invoice_number = ?, updated_at = ? WHERE id = ?`,
+        [merged.description, amount, merged.currency, merged.category, merged.date, ...irsValues(merged),
+          new Date().toISOString(), existing.id]
+      ],
+      ...(existing.split_type ? household.splitStatements(existing.id, {
+        ...merged,
+        amount,
+        splits: splits.map((split) => withDecimals(split, ['value']))
+      }) : [])
+    ]);
+    const updated = await db.query('SELECT * FROM expenses WHERE id = ?', [existing.id]);
+    return { status: 'applied', id: existing.id, server: presentExpense(updated[0]) };
+  }
+
+  if (op === 'delete') {
+    await trash.moveToTrash(userId, [existing.id]);
+    return { status: 'applied', id: existing.id };
+  }
+
+  return { status: 'error', error: 'Operacao desconhecida' };
+};
+
+// Replay a batch of offline changes, in order, reporting the outcome of each
+app.post('/api/sync', validate({ body: { changes: rules.array({ max: 1000 }) } }), async (req, res) => {
+  try {
+    const { changes } = req.body;
+
+    // Each change is applied whole or not at all
+    const results = [];
+    for (const change of changes) {
+      if (!change || typeof change !== 'object' || Array.isArray(change)) {
+        results.push({ status: 'error', error: 'Alteracao invalida' });
+        continue;
+      }
+
+      try {
+        results.push({
+          client_id: change.client_id,
+          ...(await db.transaction(() => applySyncChange(req.user.id, change, req.user.base_currency)))
+        });
+      } catch (error) {
+        results.push({ client_id: change.client_id, status: 'error', error: error.message });
+      }
+    }
+
+    res.json({ results });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -238,8 +2373,12 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Servidor a correr na porta ${PORT}`);
-  console.log(`API: http://localhost:${PORT}/api`);
-});
+// Start server, unless loaded by the tests, which listen on a port of their own
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Servidor a correr na porta ${PORT}`);
+    console.log(`API: http://localhost:${PORT}/api`);
+  });
+}
+
+module.exports = app;
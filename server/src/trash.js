@@ -0,0 +1,81 @@
+const db = require('./db');
+const { removeFiles } = require('./attachments');
+
+// Days a deleted expense stays in the trash before it is removed for good
+const RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const placeholders = (ids) => ids.map(() => '?').join(', ');
+
+// Move expenses to the trash. They leave every list and total, but keep their splits and
+// receipts until they are purged. Resolves to how many were moved.
+const moveToTrash = async (userId, ids) => {
+  const now = new Date().toISOString();
+  const result = await db.run(
+    `UPDATE expenses SET deleted_at = ?, updated_at = ?
+      WHERE user_id = ? AND deleted_at IS NULL AND id IN (${placeholders(ids)})`,
+    [now, now, userId, ...ids]
+  );
+  return result.changes;
+};
+
+// Take expenses out of the trash. Resolves to how many were there.
+const restore = async (userId, ids) => {
+  const result = await db.run(
+    `UPDATE expenses SET deleted_at = NULL, updated_at = ?
+      WHERE user_id = ? AND deleted_at IS NOT NULL AND id IN (${placeholders(ids)})`,
+    [new Date().toISOString(), userId, ...ids]
+  );
+  return result.changes;
+};
+
+// The expenses in the trash, most recently deleted first, each with purge_at,
+// when it is to be removed for good
+const listTrash = async (userId) => {
+  const rows = await db.query(
+    'SELECT * FROM expenses WHERE user_id = ? AND deleted_at IS NOT NULL ORDER BY deleted_at DESC, id DESC',
+    [userId]
+  );
+  return rows.map((row) => ({
+    ...row,
+    purge_at: new Date(new Date(row.deleted_at).getTime() + RETENTION_DAYS * DAY_MS).toISOString()
+  }));
+};
+
+// Remove for good the expenses in the trash for longer than RETENTION_DAYS (every one in it
+// with all), with their splits and receipts. Resolves to how many were removed.
+const purge = async (userId, { all = false } = {}) => {
+  const cutoff = all ? null : new Date(Date.now() - RETENTION_DAYS * DAY_MS).toISOString();
+
+  const { ids, files } = await db.transaction(async (tx) => {
+    const rows = await tx.query(
+      `SELECT id FROM expenses WHERE user_id = ? AND deleted_at IS NOT NULL${cutoff ? ' AND deleted_at < ?' : ''}`,
+      cutoff ? [userId, cutoff] : [userId]
+    );
+    const expenseIds = rows.map((row) => row.id);
+    if (expenseIds.length === 0) return { ids: expenseIds, files: [] };
+
+    const attachments = await tx.query(
+      `SELECT user_id, stored_name FROM attachments WHERE user_id = ? AND expense_id IN (${placeholders(expenseIds)})`,
+      [userId, ...expenseIds]
+    );
+    await tx.runBatch([
+      [`DELETE FROM attachments WHERE user_id = ? AND expense_id IN (${placeholders(expenseIds)})`, [userId, ...expenseIds]],
+      [`DELETE FROM expense_splits WHERE expense_id IN (${placeholders(expenseIds)})`, expenseIds],
+      [`DELETE FROM expenses WHERE user_id = ? AND id IN (${placeholders(expenseIds)})`, [userId, ...expenseIds]]
+    ]);
+    return { ids: expenseIds, files: attachments };
+  });
+
+  // Receipt files go once their rows are gone for good
+  await removeFiles(files);
+  return ids.length;
+};
+
+module.exports = {
+  RETENTION_DAYS,
+  moveToTrash,
+  restore,
+  listTrash,
+  purge
+};
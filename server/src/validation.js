@@ -0,0 +1,212 @@
+const db = require('./db');
+const { toCents } = require('./money');
+
+// Field rules. Each rule receives a value that is present and the request context
+// ({ userId }), and returns an error message, or null when the value is valid.
+// Rules for nested values may return { key: message } instead.
+// Fields are required unless the rule is wrapped in optional().
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const text = ({ min = 1, max = 255 } = {}) => (value) => {
+  if (typeof value !== 'string') return 'Deve ser texto';
+  const length = value.trim().length;
+  if (length < min) return min === 1 ? 'Campo obrigatorio' : `Minimo de ${min} caracteres`;
+  if (length > max) return `Maximo de ${max} caracteres`;
+  return null;
+};
+
+// Money amounts: decimal strings ("12.34") or numbers, with up to two decimal places
+const amount = ({ allowZero = false } = {}) => (value) => {
+  const isDecimal = typeof value === 'string' && /^[-+]?\d+(\.\d+)?$/.test(value.trim());
+  if (!isNumber(value) && !isDecimal) return 'Deve ser um numero';
+
+  const cents = toCents(value);
+  if (cents === null) return 'Maximo de duas casas decimais';
+  if (allowZero ? cents < 0 : cents <= 0) return allowZero ? 'Nao pode ser negativo' : 'Deve ser positivo';
+  if (cents >= 1e11) return 'Valor demasiado alto';
+  return null;
+};
+
+// Whole numbers, also given as strings (route params and query strings)
+const integer = ({ min = -Infinity, max = Infinity } = {}) => (value) => {
+  const number = typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+  if (!Number.isInteger(number)) return 'Deve ser um numero inteiro';
+  if (number < min || number > max) {
+    return max === Infinity ? `Deve ser pelo menos ${min}` : `Deve estar entre ${min} e ${max}`;
+  }
+  return null;
+};
+
+// Numbers, also given as strings (query strings)
+const number = ({ min = -Infinity, max = Infinity } = {}) => (value) => {
+  const parsed = typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+  if (!isNumber(parsed)) return 'Deve ser um numero';
+  if (parsed < min || parsed > max) {
+    return max === Infinity ? `Deve ser pelo menos ${min}` : `Deve estar entre ${min} e ${max}`;
+  }
+  return null;
+};
+
+// Calendar dates as YYYY-MM-DD
+const date = () => (value) => {
+  const match = typeof value === 'string' && value.match(DATE_PATTERN);
+  if (!match) return 'Data invalida (AAAA-MM-DD)';
+
+  const [, year, month, day] = match.map(Number);
+  const parsed = new Date(Date.UTC(year, month - 1, day));
+  if (parsed.getUTCMonth() !== month - 1 || parsed.getUTCDate() !== day) return 'Data inexistente';
+  return null;
+};
+
+const month = () => (value) => (
+  typeof value === 'string' && MONTH_PATTERN.test(value) ? null : 'Mes invalido (AAAA-MM)'
+);
+
+const oneOf = (values) => (value) => (values.includes(value) ? null : `Deve ser um de: ${values.join(', ')}`);
+
+const boolean = () => (value) => (typeof value === 'boolean' ? null : 'Deve ser verdadeiro ou falso');
+
+const email = () => (value) => {
+  if (typeof value !== 'string' || !EMAIL_PATTERN.test(value.trim())) return 'Email invalido';
+  return value.length > 255 ? 'Maximo de 255 caracteres' : null;
+};
+
+const color = () => (value) => (
+  typeof value === 'string' && COLOR_PATTERN.test(value) ? null : 'Cor invalida (#rrggbb)'
+);
+
+const array = ({ max = Infinity } = {}) => (value) => {
+  if (!Array.isArray(value)) return 'Deve ser uma lista';
+  return value.length > max ? `Maximo de ${max} elementos` : null;
+};
+
+const object = () => (value) => (
+  value && typeof value === 'object' && !Array.isArray(value) ? null : 'Deve ser um objeto'
+);
+
+// ISO 4217 currency codes ("EUR")
+const currency = () => (value) => (
+  typeof value === 'string' && CURRENCY_PATTERN.test(value) ? null : 'Moeda invalida (ex: EUR)'
+);
+
+// Portuguese tax numbers (NIF): nine digits, the last one a mod 11 check digit
+const nif = () => (value) => {
+  if (typeof value !== 'string' || !/^\d{9}$/.test(value)) return 'NIF invalido (9 digitos)';
+  const digits = value.split('').map(Number);
+  const sum = digits.slice(0, 8).reduce((total, digit, index) => total + digit * (9 - index), 0);
+  const check = 11 - (sum % 11);
+  return digits[8] === (check >= 10 ? 0 : check) ? null : 'NIF invalido (digito de controlo)';
+};
+
+// A category the user has defined
+const category = () => async (value, { userId }) => {
+  if (typeof value !== 'string' || !value) return 'Categoria desconhecida';
+  const rows = await db.query('SELECT id FROM categories WHERE user_id = ? AND slug = ?', [userId, value]);
+  return rows.length > 0 ? null : 'Categoria desconhecida';
+};
+
+// { category: amount } limits; empty values or 0 remove a limit
+const categoryLimits = () => async (value, context) => {
+  const notObject = object()(value);
+  if (notObject) return notObject;
+
+  const errors = {};
+  for (const [slug, limit] of Object.entries(value)) {
+    const message = await category()(slug, context)
+      || (limit === null || limit === '' ? null : amount({ allowZero: true })(limit));
+    if (message) errors[slug] = message;
+  }
+  return Object.keys(errors).length > 0 ? errors : null;
+};
+
+// Let a field be left out (undefined, null or an empty string)
+const optional = (rule) => Object.assign((value, context) => rule(value, context), { optional: true });
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+// Check values against a schema ({ field: rule }). Returns { field: message } for
+// the fields that failed, with nested messages flattened to "field.key".
+const checkFields = async (schema, values, context) => {
+  const source = values && typeof values === 'object' ? values : {};
+  const fields = {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = source[field];
+
+    if (isMissing(value)) {
+      if (!rule.optional) fields[field] = 'Campo obrigatorio';
+      continue;
+    }
+
+    const result = await rule(value, context);
+    if (typeof result === 'string') {
+      fields[field] = result;
+    } else if (result) {
+      Object.entries(result).forEach(([key, message]) => {
+        fields[`${field}.${key}`] = message;
+      });
+    }
+  }
+
+  return fields;
+};
+
+// Send the standard validation error response
+const sendInvalid = (res, fields, error = 'Dados invalidos') => res.status(400).json({ error, fields });
+
+// Middleware: validate req.params, req.query and req.body against their schemas.
+// check(req) runs after the fields pass, for rules that involve several fields,
+// and returns (or resolves to) { field: message } or null.
+const validate = ({ params, query, body, check }) => async (req, res, next) => {
+  try {
+    const context = { userId: req.user?.id };
+    const fields = {
+      ...(params && await checkFields(params, req.params, context)),
+      ...(query && await checkFields(query, req.query, context)),
+      ...(body && await checkFields(body, req.body, context))
+    };
+
+    if (Object.keys(fields).length === 0 && check) {
+      Object.assign(fields, (await check(req)) || {});
+    }
+
+    if (Object.keys(fields).length > 0) {
+      return sendInvalid(res, fields);
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  rules: {
+    text,
+    amount,
+    integer,
+    number,
+    date,
+    month,
+    oneOf,
+    boolean,
+    email,
+    color,
+    currency,
+    nif,
+    array,
+    object,
+    category,
+    categoryLimits
+  },
+  optional,
+  checkFields,
+  sendInvalid,
+  validate
+};
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Start the API on a free port, with a database and receipts folder of its own, for tests that
+// go through HTTP. The environment is set first, as the database is opened on require.
+// Resolves to { signUp, stop }: signUp(email) creates an account and resolves to
+// request(method, url, body), which sends its token and resolves to { status, body }.
+const startApi = async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gestao-gastos-'));
+  process.env.SQLITE_FILE = path.join(dataDir, 'test.db');
+  process.env.UPLOAD_DIR = path.join(dataDir, 'attachments');
+  const app = require('../src/server');
+  const db = require('../src/db');
+  await db.initDb();
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const base = `http://localhost:${server.address().port}/api`;
+
+  const request = async (method, url, body, token) => {
+    const response = await fetch(base + url, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const signUp = async (email) => {
+    const { body } = await request('POST', '/auth/register', { name: 'Teste', email, password: '12345678' });
+    return (method, url, data) => request(method, url, data, body.token);
+  };
+
+  const stop = async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  };
+
+  return { signUp, stop };
+};
+
+module.exports = { startApi };
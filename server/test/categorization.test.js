@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkRule, ruleMatches } = require('../src/categorization');
+
+const regexRule = (pattern) => ({ match_type: 'regex', pattern, min_amount: null, max_amount: null });
+
+test('regex rules that would backtrack without end are refused', () => {
+  for (const pattern of ['(a+)+$', '(a|aa)+$', '(\\d+\\s?)+x', '(.*a){20}', 'a.*b.*c.*d.*e', '(a)\\1']) {
+    assert.deepEqual(checkRule(regexRule(pattern)), { pattern: 'Expressao regular demasiado complexa' }, pattern);
+  }
+});
+
+test('ordinary regex rules are accepted', () => {
+  for (const pattern of ['^galp|bp ', 'continente|pingo doce', 'uber\\s*(eats)?', '^compra\\s+\\d+\\s+continente', '[ab]+']) {
+    assert.equal(checkRule(regexRule(pattern)), null, pattern);
+  }
+});
+
+test('unsafe rules saved before they were refused never match', () => {
+  const started = Date.now();
+  assert.equal(ruleMatches(regexRule('(a+)+$'), { description: `${'a'.repeat(40)}b`, amount: 100 }), false);
+  assert.ok(Date.now() - started < 100);
+  assert.equal(ruleMatches(regexRule('^galp|bp '), { description: 'GALP Lisboa', amount: 100 }), true);
+});
+
+test('regex rules only look at the start of very long descriptions', () => {
+  const rule = regexRule('a.*b.*c.*d');
+  assert.equal(ruleMatches(rule, { description: `${'a'.repeat(300)}bcd`, amount: 100 }), false);
+  assert.equal(ruleMatches(rule, { description: 'a b c d', amount: 100 }), true);
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A SQLite database of its own, removed when the tests end
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gestao-gastos-'));
+process.env.SQLITE_FILE = path.join(dataDir, 'test.db');
+const db = require('../src/db');
+
+const { toPgSql, withReturningId } = db;
+
+// What Postgres is sent for a statement given to db.run
+const pgRun = (sql) => withReturningId(toPgSql(sql));
+
+test('placeholders are numbered in order', () => {
+  assert.equal(
+    toPgSql('SELECT * FROM expenses WHERE user_id = ? AND date >= ? AND date <= ?'),
+    'SELECT * FROM expenses WHERE user_id = $1 AND date >= $2 AND date <= $3'
+  );
+});
+
+test('inserts return the id of the new row', () => {
+  assert.equal(
+    pgRun('INSERT INTO expenses (user_id, description) VALUES (?, ?)'),
+    'INSERT INTO expenses (user_id, description) VALUES ($1, $2) RETURNING id'
+  );
+  assert.equal(
+    pgRun('\n  insert into budgets (user_id, month, amount) VALUES (?, ?, ?)\n  ON CONFLICT (user_id, month) DO UPDATE SET amount = excluded.amount'),
+    '\n  insert into budgets (user_id, month, amount) VALUES ($1, $2, $3)\n  ON CONFLICT (user_id, month) DO UPDATE SET amount = excluded.amount RETURNING id'
+  );
+});
+
+test('inserts into tables without an id column return nothing', () => {
+  assert.equal(
+    pgRun('INSERT INTO sessions (token, user_id, expires_at) VALUES (?, ?, ?)'),
+    'INSERT INTO sessions (token, user_id, expires_at) VALUES ($1, $2, $3)'
+  );
+  assert.equal(
+    pgRun('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)'),
+    'INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, $3)'
+  );
+});
+
+test('other statements and inserts that already return are left alone', () => {
+  assert.equal(pgRun('UPDATE expenses SET amount = ? WHERE id = ?'), 'UPDATE expenses SET amount = $1 WHERE id = $2');
+  assert.equal(pgRun('DELETE FROM sessions WHERE token = ?'), 'DELETE FROM sessions WHERE token = $1');
+  assert.equal(
+    pgRun('INSERT INTO users (name) VALUES (?) RETURNING id, name'),
+    'INSERT INTO users (name) VALUES ($1) RETURNING id, name'
+  );
+});
+
+test.before(() => db.initDb());
+
+test.after(async () => {
+  await db.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const countUsers = async (email) => Number((await db.query('SELECT COUNT(*) as count FROM users WHERE email = ?', [email]))[0].count);
+const addUser = (run, email) => run('INSERT INTO users (name, email, password_hash) VALUES (?, ?, ?)', [email, email, 'x']);
+
+test('a transaction commits its writes and resolves to what it returns', async () => {
+  const value = await db.transaction(async (tx) => {
+    await addUser(tx.run, 'commit@test.pt');
+    return 'done';
+  });
+  assert.equal(value, 'done');
+  assert.equal(await countUsers('commit@test.pt'), 1);
+});
+
+test('a transaction that throws leaves nothing behind, writes made through db.run included', async () => {
+  await assert.rejects(db.transaction(async (tx) => {
+    await addUser(tx.run, 'rollback-tx@test.pt');
+    await addUser(db.run, 'rollback-db@test.pt');
+    throw new Error('falhou');
+  }), /falhou/);
+  assert.equal(await countUsers('rollback-tx@test.pt'), 0);
+  assert.equal(await countUsers('rollback-db@test.pt'), 0);
+});
+
+test('a transaction started inside another joins it and rolls back with it', async () => {
+  await assert.rejects(db.transaction(async () => {
+    await db.transaction((inner) => addUser(inner.run, 'nested@test.pt'));
+    assert.equal(await countUsers('nested@test.pt'), 1);
+    await db.runBatch([['UPDATE users SET name = ? WHERE email = ?', ['Outro', 'nested@test.pt']]]);
+    throw new Error('falhou');
+  }), /falhou/);
+  assert.equal(await countUsers('nested@test.pt'), 0);
+});
+
+test('statements from other requests wait for a transaction and are not rolled back with it', async () => {
+  let opened;
+  let release;
+  const isOpen = new Promise((resolve) => { opened = resolve; });
+  const mayEnd = new Promise((resolve) => { release = resolve; });
+
+  const failing = db.transaction(async (tx) => {
+    await addUser(tx.run, 'inside@test.pt');
+    opened();
+    await mayEnd;
+    throw new Error('falhou');
+  });
+  await isOpen;
+  const outside = addUser(db.run, 'outside@test.pt');
+  release();
+
+  await assert.rejects(failing, /falhou/);
+  await outside;
+  assert.equal(await countUsers('inside@test.pt'), 0);
+  assert.equal(await countUsers('outside@test.pt'), 1);
+});
+
+test('runBatch hands each statement the earlier results and applies all or none', async () => {
+  const results = await db.runBatch([
+    ['INSERT INTO users (name, email, password_hash) VALUES (?, ?, ?)', ['Lote', 'batch@test.pt', 'x']],
+    (earlier) => ['UPDATE users SET name = ? WHERE id = ?', ['Lote 2', earlier[0].lastId]]
+  ]);
+  assert.equal(results[1].changes, 1);
+  const [user] = await db.query('SELECT name FROM users WHERE id = ?', [results[0].lastId]);
+  assert.equal(user.name, 'Lote 2');
+
+  await assert.rejects(db.runBatch([
+    ['INSERT INTO users (name, email, password_hash) VALUES (?, ?, ?)', ['Lote', 'batch-undone@test.pt', 'x']],
+    ['INSERT INTO users (name, email, password_hash) VALUES (?, ?, ?)', ['Lote', 'batch@test.pt', 'x']]
+  ]));
+  assert.equal(await countUsers('batch-undone@test.pt'), 0);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./api');
+
+let api;
+test.before(async () => {
+  api = await startApi();
+});
+test.after(() => api.stop());
+
+const expense = (description, extra = {}) => ({
+  description, amount: '10.50', category: 'lazer', date: '2026-03-10', ...extra
+});
+
+// Descriptions of the expenses in use and in the trash
+const descriptions = async (request) => ({
+  active: (await request('GET', '/expenses')).body.map((e) => e.description).sort(),
+  trash: (await request('GET', '/expenses/trash')).body.expenses.map((e) => e.description).sort()
+});
+
+test('bulk create adds every expense, or none when one is invalid', async () => {
+  const request = await api.signUp('bulk-create@test.pt');
+
+  const refused = await request('POST', '/expenses/bulk', { expenses: [expense('Cinema'), expense('', { amount: 'x' })] });
+  assert.equal(refused.status, 400);
+  assert.deepEqual(refused.body.results.map((r) => r.status), ['skipped', 'error']);
+  assert.deepEqual(Object.keys(refused.body.results[1].fields).sort(), ['amount', 'description']);
+  assert.deepEqual((await descriptions(request)).active, []);
+
+  const created = await request('POST', '/expenses/bulk', { expenses: [expense('Cinema'), expense('Teatro')] });
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body.results.map((r) => [r.index, r.status]), [[0, 'applied'], [1, 'applied']]);
+  // The same shape as the expense list
+  const [first] = created.body.results;
+  assert.equal(first.expense.amount, '10.50');
+  assert.equal(first.expense.converted_amount, '10.50');
+  assert.deepEqual(first.expense.attachments, []);
+  assert.deepEqual((await descriptions(request)).active, ['Cinema', 'Teatro']);
+});
+
+test('bulk update changes every expense, or none when one is not the user\'s', async () => {
+  const request = await api.signUp('bulk-update@test.pt');
+  const other = await api.signUp('bulk-update-other@test.pt');
+  const mine = (await request('POST', '/expenses', expense('Jantar'))).body;
+  const theirs = (await other('POST', '/expenses', expense('Almoco'))).body;
+
+  const refused = await request('PATCH', '/expenses/bulk', { ids: [mine.id, theirs.id], category: 'saude' });
+  assert.equal(refused.status, 400);
+  assert.deepEqual(refused.body.results, [
+    { id: mine.id, status: 'skipped' },
+    { id: theirs.id, status: 'error', error: 'Despesa nao encontrada' }
+  ]);
+  assert.equal((await request('GET', `/expenses/${mine.id}`)).body.category, 'lazer');
+
+  const updated = await request('PATCH', '/expenses/bulk', { ids: [mine.id], category: 'saude', date: '2026-03-01' });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.results[0].expense.category, 'saude');
+  assert.equal(updated.body.results[0].expense.date, '2026-03-01');
+});
+
+test('bulk update refuses to put two occurrences of a recurring expense on the same day', async () => {
+  const request = await api.signUp('bulk-recurring@test.pt');
+  await request('POST', '/recurring', {
+    description: 'Ginasio', amount: '30', category: 'lazer', frequency: 'monthly', start_date: '2026-01-05', end_date: '2026-03-05'
+  });
+  const occurrences = (await request('GET', '/expenses')).body.sort((a, b) => a.date.localeCompare(b.date));
+  const [january, february, march] = occurrences.map((e) => e.id);
+
+  const together = await request('PATCH', '/expenses/bulk', { ids: [january, february], date: '2026-01-20' });
+  assert.equal(together.status, 400);
+  assert.deepEqual(together.body.results.map((r) => r.status).sort(), ['error', 'skipped']);
+
+  const onTaken = await request('PATCH', '/expenses/bulk', { ids: [january], date: '2026-03-05' });
+  assert.equal(onTaken.status, 400);
+  assert.equal(onTaken.body.results[0].error, 'Ja existe uma ocorrencia desta despesa recorrente nesta data');
+
+  // A day taken by an occurrence in the trash is taken too
+  await request('DELETE', '/expenses/bulk', { ids: [march] });
+  assert.equal((await request('PATCH', '/expenses/bulk', { ids: [january], date: '2026-03-05' })).status, 400);
+  assert.equal((await request('PATCH', '/expenses/bulk', { ids: [january], date: '2026-01-06' })).status, 200);
+});
+
+test('bulk delete and restore move every expense, or none when one cannot move', async () => {
+  const request = await api.signUp('bulk-trash@test.pt');
+  const { results } = (await request('POST', '/expenses/bulk', { expenses: [expense('Livro'), expense('Disco')] })).body;
+  const [book, record] = results.map((r) => r.id);
+
+  const refusedDelete = await request('DELETE', '/expenses/bulk', { ids: [book, 999999] });
+  assert.equal(refusedDelete.status, 400);
+  assert.deepEqual(await descriptions(request), { active: ['Disco', 'Livro'], trash: [] });
+
+  assert.equal((await request('DELETE', '/expenses/bulk', { ids: [book] })).status, 200);
+  assert.deepEqual(await descriptions(request), { active: ['Disco'], trash: ['Livro'] });
+
+  // Disco is not in the trash
+  const refusedRestore = await request('POST', '/expenses/bulk/restore', { ids: [book, record] });
+  assert.equal(refusedRestore.status, 400);
+  assert.deepEqual(refusedRestore.body.results[1], { id: record, status: 'error', error: 'Despesa nao encontrada no lixo' });
+  assert.deepEqual(await descriptions(request), { active: ['Disco'], trash: ['Livro'] });
+
+  const restored = await request('POST', '/expenses/bulk/restore', { ids: [book] });
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.results[0].expense.deleted_at, null);
+  assert.deepEqual(await descriptions(request), { active: ['Disco', 'Livro'], trash: [] });
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A SQLite database of its own, removed when the tests end
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gestao-gastos-'));
+process.env.SQLITE_FILE = path.join(dataDir, 'test.db');
+const db = require('../src/db');
+const migrations = require('../src/migrations');
+
+test.before(() => db.connect());
+
+test.after(async () => {
+  await db.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const sqlite = (sql, params) => db.transaction((tx) => tx.query(sql, params));
+const schemaObjects = async (type) => (await sqlite('SELECT name FROM sqlite_master WHERE type = ? ORDER BY name', [type]))
+  .map((row) => row.name)
+  .filter((name) => !name.startsWith('sqlite_'));
+
+test('every migration applies in order and rolls back in reverse', async () => {
+  const applied = await migrations.up(db);
+  const versions = applied.map((m) => m.version);
+  assert.deepEqual(versions, [...versions].sort((a, b) => a - b));
+  assert.ok((await migrations.status(db)).every((m) => m.applied));
+  assert.deepEqual(await migrations.up(db), []);
+
+  const reverted = await migrations.down(db, Infinity);
+  assert.deepEqual(reverted.map((m) => m.version), [...versions].reverse());
+  assert.deepEqual(await schemaObjects('table'), ['schema_migrations']);
+  assert.ok((await migrations.status(db)).every((m) => !m.applied));
+
+  assert.deepEqual((await migrations.up(db)).map((m) => m.version), versions);
+});
+
+test('amounts survive the move to cents and back', async () => {
+  await migrations.down(db, Infinity);
+  await migrations.up(db, 14);
+  await db.transaction((tx) => tx.runBatch([
+    ["INSERT INTO users (name, email, password_hash) VALUES ('Ana', 'ana@test.pt', 'x')"],
+    (results) => [
+      "INSERT INTO expenses (user_id, description, amount, category, date) VALUES (?, 'Cafe', 12.34, 'outros', '2026-01-02')",
+      [results[0].lastId]
+    ]
+  ]));
+
+  await migrations.up(db, 15);
+  assert.deepEqual(await sqlite('SELECT amount FROM expenses'), [{ amount: 1234 }]);
+  await migrations.down(db, 1);
+  assert.deepEqual(await sqlite('SELECT amount FROM expenses'), [{ amount: 12.34 }]);
+  await migrations.up(db);
+});
+
+test('changing a column type keeps the table\'s indexes and triggers', async () => {
+  await migrations.up(db);
+  const indexes = await schemaObjects('index');
+  const triggers = await schemaObjects('trigger');
+  assert.ok(triggers.includes('expenses_category_insert'));
+
+  await db.transaction((tx) => migrations.createSchema(db.dialect, tx).changeColumnType('expenses', 'amount', 'INTEGER', 'amount'));
+  assert.deepEqual(await schemaObjects('index'), indexes);
+  assert.deepEqual(await schemaObjects('trigger'), triggers);
+
+  // Including the ones on other tables that look into it
+  const [user] = await sqlite("SELECT id FROM users WHERE email = 'ana@test.pt'");
+  await db.transaction((tx) => tx.runBatch([
+    ["INSERT INTO categories (user_id, slug, name, color, icon) VALUES (?, 'lazer', 'Lazer', '#000000', 'x')", [user.id]],
+    ["INSERT INTO expenses (user_id, description, amount, category, date) VALUES (?, 'Cinema', 700, 'lazer', '2026-01-03')", [user.id]]
+  ]));
+  await assert.rejects(db.transaction((tx) => tx.run('DELETE FROM categories WHERE user_id = ?', [user.id])), /Categoria em uso/);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toCents, fromCents, sumCents, withDecimals } = require('../src/money');
+const { computeShares } = require('../src/household');
+
+test('decimal strings and numbers become cents', () => {
+  assert.equal(toCents('12.34'), 1234);
+  assert.equal(toCents('12.3'), 1230);
+  assert.equal(toCents(' 7 '), 700);
+  assert.equal(toCents('-4.05'), -405);
+  assert.equal(toCents('-0.00'), 0);
+  assert.equal(toCents(0.1 + 0.2), 30);
+  assert.equal(toCents(19.99), 1999);
+});
+
+test('amounts that are not money are refused', () => {
+  for (const value of ['12.345', '1,50', '', 'abc', '1e3', null, undefined, NaN, Infinity, 1.005, {}]) {
+    assert.equal(toCents(value), null, String(value));
+  }
+});
+
+test('cents become decimal strings with two places', () => {
+  assert.equal(fromCents(123450), '1234.50');
+  assert.equal(fromCents(5), '0.05');
+  assert.equal(fromCents(-405), '-4.05');
+  assert.equal(fromCents(0), '0.00');
+  assert.equal(fromCents(null), null);
+  assert.equal(fromCents(undefined), null);
+});
+
+test('sums of cents do not drift', () => {
+  assert.equal(sumCents(Array(10).fill(10)), 100);
+  assert.equal(sumCents(['250', 150, null]), 400);
+  assert.equal(fromCents(sumCents([toCents('0.1'), toCents('0.2')])), '0.30');
+});
+
+test('only the named columns of a row are turned into decimals', () => {
+  const row = { id: 3, amount: 1250, converted_amount: null };
+  assert.deepEqual(withDecimals(row), { id: 3, amount: '12.50', converted_amount: null });
+  assert.deepEqual(withDecimals(row, ['amount', 'converted_amount', 'missing']), { id: 3, amount: '12.50', converted_amount: null });
+  assert.equal(row.amount, 1250);
+});
+
+test('equal splits share every cent, the first members taking what is left over', () => {
+  const shares = computeShares(1000, 'equal', [{ member_id: 1 }, { member_id: 2 }, { member_id: 3 }]);
+  assert.deepEqual(shares, [
+    { member_id: 1, value: null, share: 334 },
+    { member_id: 2, value: null, share: 333 },
+    { member_id: 3, value: null, share: 333 }
+  ]);
+});
+
+test('percentage and exact splits follow their values', () => {
+  const percentages = computeShares(999, 'percentage', [{ member_id: '1', value: 3333 }, { member_id: '2', value: 6667 }]);
+  assert.deepEqual(percentages.map((split) => split.share), [333, 666]);
+  assert.equal(percentages[0].member_id, 1);
+
+  const exact = computeShares(1500, 'exact', [{ member_id: 1, value: 1000 }, { member_id: 2, value: 500 }]);
+  assert.deepEqual(exact.map((split) => split.share), [1000, 500]);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./api');
+
+let api;
+test.before(async () => {
+  api = await startApi();
+});
+test.after(() => api.stop());
+
+const data = { description: 'Mercado', amount: '12.30', category: 'alimentacao', date: '2026-04-02' };
+
+const sync = async (request, changes) => (await request('POST', '/sync', { changes })).body.results;
+
+test('a create replayed after a lost response is applied once', async () => {
+  const request = await api.signUp('sync-replay@test.pt');
+  const change = { op: 'create', entity: 'expense', client_id: 'c-1', data };
+
+  const [first] = await sync(request, [change]);
+  const [again] = await sync(request, [change]);
+  assert.equal(first.status, 'applied');
+  assert.deepEqual(again, first);
+  assert.equal((await request('GET', '/expenses')).body.length, 1);
+});
+
+test('an edit of a version the server has since changed is a conflict and keeps the server copy', async () => {
+  const request = await api.signUp('sync-modified@test.pt');
+  const created = (await request('POST', '/expenses', data)).body;
+  const edited = (await request('PUT', `/expenses/${created.id}`, { ...data, amount: '20' })).body;
+
+  const [result] = await sync(request, [{
+    op: 'update', entity: 'expense', id: created.id, base_updated_at: created.updated_at, data: { amount: '15' }
+  }]);
+  assert.equal(result.status, 'conflict');
+  assert.equal(result.reason, 'modified');
+  assert.equal(result.server.amount, '20.00');
+
+  // Edits of the current version go through
+  const [current] = await sync(request, [{
+    op: 'update', entity: 'expense', id: created.id, base_updated_at: edited.updated_at, data: { amount: '15' }
+  }]);
+  assert.equal(current.status, 'applied');
+  assert.equal(current.server.amount, '15.00');
+});
+
+test('changes to expenses deleted on the server are conflicts, deleting them again is not', async () => {
+  const request = await api.signUp('sync-deleted@test.pt');
+  const created = (await request('POST', '/expenses', data)).body;
+  await request('DELETE', `/expenses/${created.id}`);
+
+  const [update, remove, restoreMissing] = await sync(request, [
+    { op: 'update', entity: 'expense', id: created.id, data: { amount: '1' } },
+    { op: 'delete', entity: 'expense', id: created.id },
+    { op: 'restore', entity: 'expense', id: 999999 }
+  ]);
+  assert.deepEqual(update, { status: 'conflict', reason: 'deleted' });
+  assert.deepEqual(remove, { status: 'applied' });
+  assert.deepEqual(restoreMissing, { status: 'conflict', reason: 'deleted' });
+
+  const [restore] = await sync(request, [{ op: 'restore', entity: 'expense', id: created.id }]);
+  assert.equal(restore.status, 'applied');
+  assert.equal(restore.server.deleted_at, null);
+});
+
+test('invalid changes are reported one by one without stopping the others', async () => {
+  const request = await api.signUp('sync-invalid@test.pt');
+
+  const results = await sync(request, [
+    'not a change',
+    { op: 'create', entity: 'expense', client_id: 'c-bad', data: { ...data, amount: 'muito' } },
+    { op: 'create', entity: 'expense', data },
+    { op: 'create', entity: 'expense', client_id: 'c-good', data }
+  ]);
+  assert.deepEqual(results[0], { status: 'error', error: 'Alteracao invalida' });
+  assert.equal(results[1].status, 'error');
+  assert.ok(results[1].fields.amount);
+  assert.deepEqual(results[2].fields, { client_id: 'Campo obrigatorio' });
+  assert.equal(results[3].status, 'applied');
+  assert.deepEqual((await request('GET', '/expenses')).body.map((e) => e.client_id), ['c-good']);
+});
@@ -1,17 +1,33 @@
 import { useState, useEffect, useCallback } from 'react';
-import { Chart as ChartJS, ArcElement, Tooltip, Legend, CategoryScale, LinearScale, BarElement } from 'chart.js';
-import { Doughnut } from 'react-chartjs-2';
+import {
+  Chart as ChartJS, ArcElement, Tooltip, Legend, CategoryScale, LinearScale, BarElement, PointElement, LineElement
+} from 'chart.js';
+import { Doughnut, Bar, Line } from 'react-chartjs-2';
 import {
   FiPlus, FiTrash2, FiEdit2, FiX, FiDollarSign, FiTarget,
   FiTrendingUp, FiCalendar, FiFilter, FiCheck, FiAlertCircle,
-  FiSettings, FiPieChart, FiLoader, FiChevronLeft, FiChevronRight
+  FiSettings, FiPieChart, FiLoader, FiChevronLeft, FiChevronRight,
+  FiLogOut, FiMail, FiLock, FiUser, FiCloudOff, FiRepeat, FiTag, FiGitMerge, FiUpload,
+  FiDownload, FiMenu, FiDatabase, FiUploadCloud, FiBriefcase, FiActivity, FiBarChart2,
+  FiSearch, FiArrowUp, FiArrowDown, FiGlobe, FiPaperclip, FiFileText, FiUsers, FiZap,
+  FiBookmark, FiCopy, FiRotateCcw
 } from 'react-icons/fi';
 
 // Pagination config
 const ITEMS_PER_PAGE = 10;
 
+// How often to check whether the API is back while offline
+const RECONNECT_INTERVAL = 30000;
+
+// Wait after the last keystroke before searching (ms)
+const SEARCH_DELAY = 300;
+
+// Days deleted expenses stay in the trash before they are removed for good (as on the server)
+const TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 // Register Chart.js components
-ChartJS.register(ArcElement, Tooltip, Legend, CategoryScale, LinearScale, BarElement);
+ChartJS.register(ArcElement, Tooltip, Legend, CategoryScale, LinearScale, BarElement, PointElement, LineElement);
 
 // API Base URL - use Render in production, localhost in development
 const API_URL = window.location.hostname === 'localhost'
@@ -22,16 +38,327 @@ const API_URL = window.location.hostname === 'localhost'
 const STORAGE_KEYS = {
   expenses: 'gestao-gastos-expenses',
   budgets: 'gestao-gastos-budgets',
+  token: 'gestao-gastos-token',
+  syncQueue: 'gestao-gastos-sync-queue',
+  categories: 'gestao-gastos-categories',
+  categoryBudgets: 'gestao-gastos-category-budgets',
+  settings: 'gestao-gastos-settings',
 };
 
+// Budget usage (%) at which progress bars turn yellow and red, and the currency totals are shown in
+const DEFAULT_SETTINGS = { warnAt: 70, alertAt: 90, baseCurrency: 'EUR' };
+
 // LocalStorage helpers
 const storage = {
   getExpenses: () => JSON.parse(localStorage.getItem(STORAGE_KEYS.expenses) || '[]'),
   setExpenses: (expenses) => localStorage.setItem(STORAGE_KEYS.expenses, JSON.stringify(expenses)),
   getBudgets: () => JSON.parse(localStorage.getItem(STORAGE_KEYS.budgets) || '{}'),
   setBudgets: (budgets) => localStorage.setItem(STORAGE_KEYS.budgets, JSON.stringify(budgets)),
+  getSyncQueue: () => JSON.parse(localStorage.getItem(STORAGE_KEYS.syncQueue) || '[]'),
+  setSyncQueue: (queue) => localStorage.setItem(STORAGE_KEYS.syncQueue, JSON.stringify(queue)),
+  getCategories: () => JSON.parse(localStorage.getItem(STORAGE_KEYS.categories) || 'null') || CATEGORIES,
+  setCategories: (categories) => localStorage.setItem(STORAGE_KEYS.categories, JSON.stringify(categories)),
+  getCategoryBudgets: () => JSON.parse(localStorage.getItem(STORAGE_KEYS.categoryBudgets) || '{}'),
+  setCategoryBudgets: (budgets) => localStorage.setItem(STORAGE_KEYS.categoryBudgets, JSON.stringify(budgets)),
+  getSettings: () => ({ ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEYS.settings) || '{}') }),
+  setSettings: (settings) => localStorage.setItem(STORAGE_KEYS.settings, JSON.stringify(settings)),
+};
+
+// Fetch from the API, sending the session token when there is one
+const apiFetch = async (path, options = {}) => {
+  const token = localStorage.getItem(STORAGE_KEYS.token);
+  const response = await fetch(`${API_URL}${path}`, {
+    ...options,
+    headers: {
+      // File uploads let the browser set the multipart boundary
+      ...(!(options.body instanceof FormData) && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...options.headers,
+    },
+  });
+
+  // Let the app drop back to the login screen when the session is gone
+  if (response.status === 401 && token) {
+    localStorage.removeItem(STORAGE_KEYS.token);
+    window.dispatchEvent(new Event('session-expired'));
+  }
+
+  return response;
+};
+
+// Error for a failed API response. Validation failures keep their per-field messages in error.fields.
+const responseError = (data, fallback) => Object.assign(new Error(data.error || fallback), { fields: data.fields || {} });
+
+// Upload receipts (images or PDFs) for an expense; resolves to the expense's attachments
+const uploadAttachments = async (expenseId, files) => {
+  const body = new FormData();
+  files.forEach((file) => body.append('files', file));
+
+  const response = await apiFetch(`/expenses/${expenseId}/attachments`, { method: 'POST', body });
+  const data = await response.json();
+  if (!response.ok) throw responseError(data, 'Erro ao enviar recibos');
+  return data;
+};
+
+// Attachments need the session token, so they are fetched and shown as blob URLs
+const fetchAttachmentUrl = async (id) => {
+  const response = await apiFetch(`/attachments/${id}`);
+  if (!response.ok) throw new Error('Erro ao abrir recibo');
+  return URL.createObjectURL(await response.blob());
+};
+
+const openAttachment = async (attachment) => {
+  // Opened before the download so popup blockers allow it
+  const tab = window.open('', '_blank');
+  try {
+    const url = await fetchAttachmentUrl(attachment.id);
+    if (tab) tab.location.href = url;
+  } catch (error) {
+    tab?.close();
+    console.error(error.message);
+  }
+};
+
+// Check an expense form the way the server does, so mistakes show inline even offline
+const validateExpenseForm = ({ description, amount, date }) => {
+  const fields = {};
+  const value = parseAmount(amount);
+
+  if (!description.trim()) fields.description = 'Campo obrigatorio';
+  else if (description.trim().length > 200) fields.description = 'Maximo de 200 caracteres';
+
+  if (value === null) {
+    fields.amount = /[.,]\d{3,}$/.test(amount.trim()) ? 'Maximo de duas casas decimais' : 'Deve ser um numero';
+  } else if (!(toCents(value) > 0)) {
+    fields.amount = 'Deve ser positivo';
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) fields.date = 'Data invalida';
+  return fields;
+};
+
+// Search and sort expenses the way GET /api/expenses does, for offline use
+const searchExpenses = (expenses, { q, sort, order }) => {
+  const terms = q.toLowerCase().split(/\s+/).filter(Boolean);
+  const direction = order === 'asc' ? 1 : -1;
+  const compare = {
+    date: (a, b) => a.date.localeCompare(b.date),
+    amount: (a, b) => toCents(a.amount) - toCents(b.amount),
+    description: (a, b) => a.description.toLowerCase().localeCompare(b.description.toLowerCase()),
+  }[sort];
+
+  return expenses
+    .filter((e) => terms.every((term) => e.description.toLowerCase().includes(term)))
+    .sort((a, b) => direction * compare(a, b));
+};
+
+// Record a change made offline so it can be replayed on the server. Each change gets a
+// change_id, by which it leaves the queue once the server has dealt with it.
+// Changes to an expense that never reached the server are folded into its create.
+const queueChange = (change) => {
+  const queue = storage.getSyncQueue();
+
+  if (change.entity === 'expense' && !change.id) {
+    const createIndex = queue.findIndex((c) => c.op === 'create' && c.client_id === change.client_id);
+    if (createIndex !== -1) {
+      if (change.op === 'update') {
+        // A new change_id, so a create already on its way does not take the update out of the queue
+        queue[createIndex] = {
+          ...queue[createIndex],
+          change_id: crypto.randomUUID(),
+          data: { ...queue[createIndex].data, ...change.data },
+        };
+      } else if (change.op === 'delete') {
+        queue.splice(createIndex, 1);
+      }
+      storage.setSyncQueue(queue);
+      return;
+    }
+  }
+
+  // Restoring an expense whose delete was not sent yet only drops the delete
+  if (change.op === 'restore') {
+    const deleteIndex = queue.findIndex((c) => c.op === 'delete' && c.entity === 'expense' && c.id === change.id);
+    if (deleteIndex !== -1) {
+      queue.splice(deleteIndex, 1);
+      storage.setSyncQueue(queue);
+      return;
+    }
+  }
+
+  // Only the latest budget for a month matters
+  const pending = change.entity === 'budget'
+    ? queue.filter((c) => c.entity !== 'budget' || c.data.month !== change.data.month)
+    : queue;
+
+  storage.setSyncQueue([...pending, { ...change, change_id: crypto.randomUUID() }]);
+};
+
+// Replay queued offline changes and replace local copies with the server versions.
+// Resolves to how many were applied and were in conflict, and to a description of each change
+// the server rejected as invalid.
+const flushSyncQueue = async () => {
+  // Changes queued before they had ids get one now
+  const queue = storage.getSyncQueue().map((change) => (
+    change.change_id ? change : { ...change, change_id: crypto.randomUUID() }
+  ));
+  storage.setSyncQueue(queue);
+
+  const response = await apiFetch('/sync', {
+    method: 'POST',
+    body: JSON.stringify({ changes: queue }),
+  });
+  if (!response.ok) throw new Error('Erro ao sincronizar');
+
+  const { results } = await response.json();
+  const expenses = storage.getExpenses();
+  let applied = 0;
+  let conflicts = 0;
+  const rejected = [];
+  // Changes the server dealt with. Others failed for a reason that may pass (a server error)
+  // and are tried again next time.
+  const done = new Set();
+
+  results.forEach((result, index) => {
+    const change = queue[index];
+    if (!change) return;
+    if (result.status === 'applied') applied++;
+    if (result.status === 'conflict') conflicts++;
+    if (result.status !== 'error' || result.fields) done.add(change.change_id);
+
+    const localIndex = change.entity === 'expense'
+      ? expenses.findIndex((e) => e.id === (change.id ?? change.client_id))
+      : -1;
+
+    // Invalid changes would be rejected every time. They are dropped and reported, with the
+    // local copy of an expense the server never accepted.
+    if (result.status === 'error' && result.fields) {
+      const reason = Object.values(result.fields)[0];
+      rejected.push(change.data?.description ? `${change.data.description}: ${reason}` : reason);
+      if (change.op === 'create' && localIndex !== -1) expenses.splice(localIndex, 1);
+      return;
+    }
+    if (result.status === 'error' || localIndex === -1) return;
+
+    // Temporary ids are swapped for the server id here
+    if (result.server) {
+      expenses[localIndex] = { ...result.server, synced: true };
+    } else if (result.reason === 'deleted') {
+      expenses.splice(localIndex, 1);
+    }
+  });
+
+  storage.setExpenses(expenses);
+
+  // Changes queued while the request was out stay for the next time
+  storage.setSyncQueue(storage.getSyncQueue().filter((change) => !done.has(change.change_id)));
+  return { applied, conflicts, rejected };
+};
+
+// Send a bulk change to POST, PATCH or DELETE /api/expenses/bulk (or to a path under it,
+// such as /restore). The server applies it whole or not at all; resolves to its per-expense results.
+const bulkRequest = async (method, body, fallback, path = '') => {
+  const response = await apiFetch(`/expenses/bulk${path}`, { method, body: JSON.stringify(body) });
+  const data = await response.json();
+  if (!response.ok) {
+    const failed = (data.results || []).filter((result) => result.status === 'error').length;
+    throw responseError({ ...data, error: failed > 0 ? `${data.error} (${failed})` : data.error }, fallback);
+  }
+  return data.results;
+};
+
+// The same bulk changes offline: the local copies are edited and one change per expense
+// is queued for the server
+const localBulk = {
+  create: (items) => {
+    const allExpenses = storage.getExpenses();
+    items.forEach((data) => {
+      const clientId = `tmp-${crypto.randomUUID()}`;
+      allExpenses.push({ id: clientId, client_id: clientId, ...data, created_at: new Date().toISOString() });
+      queueChange({ op: 'create', entity: 'expense', client_id: clientId, data });
+    });
+    storage.setExpenses(allExpenses);
+  },
+  update: (ids, changes) => {
+    storage.setExpenses(storage.getExpenses().map((expense) => {
+      if (!ids.includes(expense.id)) return expense;
+      if (expense.synced || expense.client_id) {
+        queueChange({
+          op: 'update',
+          entity: 'expense',
+          id: expense.synced ? expense.id : undefined,
+          client_id: expense.client_id,
+          base_updated_at: expense.updated_at,
+          data: changes,
+        });
+      }
+      return { ...expense, ...changes };
+    }));
+  },
+  delete: (ids) => {
+    const allExpenses = storage.getExpenses();
+    allExpenses.filter((e) => ids.includes(e.id) && (e.synced || e.client_id)).forEach((expense) => {
+      queueChange({
+        op: 'delete',
+        entity: 'expense',
+        id: expense.synced ? expense.id : undefined,
+        client_id: expense.client_id,
+        base_updated_at: expense.updated_at,
+      });
+    });
+    const now = new Date().toISOString();
+    storage.setExpenses(allExpenses.map((e) => (ids.includes(e.id) ? { ...e, deleted_at: now } : e)));
+  },
+  // Take expenses out of the trash. One that never reached the server is queued as new again,
+  // since deleting it dropped its create.
+  restore: (ids) => {
+    storage.setExpenses(storage.getExpenses().map((expense) => {
+      if (!ids.includes(expense.id)) return expense;
+      if (expense.synced) {
+        queueChange({ op: 'restore', entity: 'expense', id: expense.id, client_id: expense.client_id });
+      } else if (expense.client_id) {
+        queueChange({ op: 'create', entity: 'expense', client_id: expense.client_id, data: copyExpense(expense) });
+      }
+      return { ...expense, deleted_at: null };
+    }));
+  },
+};
+
+// Expenses kept in this browser, leaving out the ones in the trash
+const activeExpenses = () => storage.getExpenses().filter((e) => !e.deleted_at);
+
+// Expenses in this browser's trash, most recently deleted first, each with when it is removed for good
+const localTrash = () => storage.getExpenses()
+  .filter((e) => e.deleted_at)
+  .map((e) => ({
+    ...e,
+    purge_at: new Date(new Date(e.deleted_at).getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString(),
+  }))
+  .sort((a, b) => b.deleted_at.localeCompare(a.deleted_at));
+
+// Remove for good the local expenses in the trash past the retention period (all of them with all)
+const purgeLocalTrash = ({ all = false } = {}) => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+  storage.setExpenses(storage.getExpenses().filter((e) => !e.deleted_at || (!all && e.deleted_at >= cutoff)));
 };
 
+// The fields of an expense a copy starts with (its payer and split too, online)
+const copyExpense = (expense) => ({
+  description: expense.description,
+  amount: expense.amount,
+  currency: expense.currency,
+  category: expense.category,
+  date: expense.date,
+  irs_class: expense.irs_class || '',
+  nif: expense.nif || '',
+  invoice_number: expense.invoice_number || '',
+  payer_id: expense.payer_id || null,
+  ...(expense.split_type && {
+    split_type: expense.split_type,
+    splits: expense.splits.map(({ member_id: memberId, value }) => ({ member_id: memberId, value })),
+  }),
+});
+
 // Check if API is available
 const checkApiAvailable = async () => {
   try {
@@ -48,74 +375,2695 @@ const checkApiAvailable = async () => {
   }
 };
 
-// Categories with colors
-const CATEGORIES = [
-  { id: 'alimentacao', name: 'Alimentacao', color: '#f97316', bgColor: 'bg-orange-500', icon: '🍔' },
-  { id: 'transporte', name: 'Transporte', color: '#3b82f6', bgColor: 'bg-blue-500', icon: '🚗' },
-  { id: 'habitacao', name: 'Habitacao', color: '#8b5cf6', bgColor: 'bg-purple-500', icon: '🏠' },
-  { id: 'saude', name: 'Saude', color: '#ef4444', bgColor: 'bg-red-500', icon: '💊' },
-  { id: 'lazer', name: 'Lazer', color: '#ec4899', bgColor: 'bg-pink-500', icon: '🎬' },
-  { id: 'compras', name: 'Compras', color: '#eab308', bgColor: 'bg-yellow-500', icon: '🛒' },
-  { id: 'contas', name: 'Contas', color: '#6366f1', bgColor: 'bg-indigo-500', icon: '📄' },
-  { id: 'outros', name: 'Outros', color: '#6b7280', bgColor: 'bg-gray-500', icon: '📦' },
-];
+// Default categories (used offline; the API keeps each user's own list)
+const CATEGORIES = [
+  { id: 'alimentacao', name: 'Alimentacao', color: '#f97316', icon: '🍔' },
+  { id: 'transporte', name: 'Transporte', color: '#3b82f6', icon: '🚗' },
+  { id: 'habitacao', name: 'Habitacao', color: '#8b5cf6', icon: '🏠' },
+  { id: 'saude', name: 'Saude', color: '#ef4444', icon: '💊' },
+  { id: 'lazer', name: 'Lazer', color: '#ec4899', icon: '🎬' },
+  { id: 'compras', name: 'Compras', color: '#eab308', icon: '🛒' },
+  { id: 'contas', name: 'Contas', color: '#6366f1', icon: '📄' },
+  { id: 'outros', name: 'Outros', color: '#6b7280', icon: '📦' },
+];
+
+// Recurring expense frequencies
+const FREQUENCIES = [
+  { id: 'weekly', name: 'Semanal' },
+  { id: 'monthly', name: 'Mensal' },
+  { id: 'yearly', name: 'Anual' },
+];
+
+// Columns the expense list can be sorted by, with the order each starts in
+const EXPENSE_SORTS = [
+  { id: 'date', name: 'Data', order: 'desc' },
+  { id: 'amount', name: 'Valor', order: 'desc' },
+  { id: 'description', name: 'Descricao', order: 'asc' },
+];
+
+// Income sources (kept in sync with the server's list)
+const INCOME_SOURCES = [
+  { id: 'salario', name: 'Salario', color: '#22c55e', icon: '💼' },
+  { id: 'freelance', name: 'Freelance', color: '#14b8a6', icon: '💻' },
+  { id: 'reembolso', name: 'Reembolso', color: '#0ea5e9', icon: '↩️' },
+  { id: 'outros', name: 'Outros', color: '#6b7280', icon: '💰' },
+];
+
+// IRS deduction classes an expense can count for (kept in sync with the server's list)
+const IRS_CLASSES = [
+  { id: 'gerais', name: 'Despesas gerais familiares' },
+  { id: 'saude', name: 'Saude' },
+  { id: 'educacao', name: 'Educacao' },
+  { id: 'habitacao', name: 'Habitacao (rendas)' },
+  { id: 'fatura', name: 'Exigencia de fatura' },
+];
+
+// What carries over from one month's budget into the next
+const ROLLOVER_MODES = [
+  { id: 'none', name: 'Nao transitar' },
+  { id: 'unspent', name: 'Transitar o que sobrar' },
+  { id: 'overspent', name: 'Descontar o excesso' },
+  { id: 'both', name: 'Transitar sobras e excessos' },
+];
+
+// Ways to split an expense between household members
+const SPLIT_TYPES = [
+  { id: 'equal', name: 'Igual' },
+  { id: 'percentage', name: 'Percentagem' },
+  { id: 'exact', name: 'Valores' },
+];
+
+// How a categorization rule matches an expense
+const RULE_TYPES = [
+  { id: 'contains', name: 'Descricao contem' },
+  { id: 'regex', name: 'Expressao regular' },
+  { id: 'amount', name: 'So pelo valor' },
+];
+
+// Currencies offered for expenses (kept in sync with the server's list)
+const CURRENCIES = ['EUR', 'USD', 'GBP', 'CHF', 'BRL', 'JPY', 'CAD', 'AUD', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'CNY', 'MXN'];
+
+// Currency totals are converted to (the account's, kept in the settings)
+const getBaseCurrency = () => storage.getSettings().baseCurrency;
+
+// Format currency (the base currency unless told otherwise). Amounts may be decimal strings.
+const formatCurrency = (value, currency = getBaseCurrency()) => {
+  return new Intl.NumberFormat('pt-PT', {
+    style: 'currency',
+    currency,
+  }).format(Number(value));
+};
+
+// Read an amount typed in a form, with the pt-PT decimal comma ("1.234,56", "12,5") or a
+// decimal point ("12.50"), as the decimal string the API takes ("1234.56").
+// Returns null when it is not a non-negative amount with up to two decimal places.
+const parseAmount = (value) => {
+  let text = String(value ?? '').replace(/[\s€]/g, '');
+  // With a comma, dots can only be thousands separators
+  if (text.includes(',')) text = text.replace(/\./g, '').replace(',', '.');
+
+  const match = text.match(/^(\d+)(?:\.(\d{1,2}))?$/);
+  if (!match) return null;
+  return `${match[1].replace(/^0+(?=\d)/, '')}.${(match[2] || '').padEnd(2, '0')}`;
+};
+
+// Money is added up in integer cents, so totals never drift (0.1 + 0.2 is not 0.3 in floating point).
+// Takes amounts from the API (decimal strings) or from local storage (numbers).
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+
+// Value of an expense or income in the base currency. The API adds converted_amount,
+// which is null without an exchange rate; those are left out of totals.
+const baseAmount = (item) => ('converted_amount' in item ? item.converted_amount ?? 0 : item.amount);
+
+// Total of some expenses or incomes in the base currency, in cents
+const sumCents = (items) => items.reduce((sum, item) => sum + toCents(baseAmount(item)), 0);
+
+// Get month name
+const getMonthName = (date) => {
+  return new Date(date).toLocaleDateString('pt-PT', { month: 'long', year: 'numeric' });
+};
+
+// Amount as entered, with its value in the base currency underneath when the currency differs
+const MoneyAmount = ({ item, className = 'font-semibold text-gray-900', prefix = '' }) => (
+  <div className="text-right flex-shrink-0">
+    <p className={className}>{prefix}{formatCurrency(item.amount, item.currency)}</p>
+    {item.currency && item.currency !== getBaseCurrency() && (
+      <p className="text-xs text-gray-400">
+        {item.converted_amount != null ? `≈ ${formatCurrency(item.converted_amount)}` : 'Sem taxa de cambio'}
+      </p>
+    )}
+  </div>
+);
+
+// Receipt thumbnail: a preview for images, an icon for PDFs. Opens the file on click.
+const AttachmentThumb = ({ attachment, onDelete, size = 'w-12 h-12' }) => {
+  const [preview, setPreview] = useState(null);
+  const { id } = attachment;
+  const isImage = attachment.mime_type.startsWith('image/');
+
+  useEffect(() => {
+    if (!isImage) return;
+    let url = null;
+    let active = true;
+    fetchAttachmentUrl(id)
+      .then((created) => {
+        url = created;
+        if (active) setPreview(created);
+        else URL.revokeObjectURL(created);
+      })
+      .catch(() => {});
+    return () => {
+      active = false;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [id, isImage]);
+
+  return (
+    <div className={`relative group flex-shrink-0 ${size}`}>
+      <button
+        type="button"
+        onClick={() => openAttachment(attachment)}
+        title={attachment.filename}
+        className="w-full h-full rounded-lg border border-gray-200 bg-gray-50 overflow-hidden flex items-center justify-center text-gray-400 hover:border-primary-300"
+      >
+        {preview
+          ? <img src={preview} alt={attachment.filename} className="w-full h-full object-cover" />
+          : isImage ? <FiPaperclip size={14} /> : <FiFileText size={16} />}
+      </button>
+      {onDelete && (
+        <button
+          type="button"
+          onClick={() => onDelete(attachment)}
+          className="absolute -top-1.5 -right-1.5 p-0.5 bg-white border border-gray-200 rounded-full text-gray-400 hover:text-red-500"
+          title="Eliminar recibo"
+        >
+          <FiX size={12} />
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Toast notification component. An action ({ label, onClick }), such as undoing what was
+// just done, keeps it on screen for longer.
+const Toast = ({ message, type, action, onClose }) => {
+  useEffect(() => {
+    const timer = setTimeout(onClose, action ? 6000 : 3000);
+    return () => clearTimeout(timer);
+  }, [onClose, action]);
+
+  return (
+    <div className={`fixed bottom-4 right-4 z-50 flex items-center gap-3 px-4 py-3 rounded-xl shadow-lg animate-slide-up ${
+      type === 'success' ? 'bg-green-500 text-white' :
+      type === 'error' ? 'bg-red-500 text-white' :
+      'bg-gray-800 text-white'
+    }`}>
+      {type === 'success' && <FiCheck size={20} />}
+      {type === 'error' && <FiAlertCircle size={20} />}
+      <span className="font-medium">{message}</span>
+      {action && (
+        <button
+          onClick={() => { onClose(); action.onClick(); }}
+          className="ml-1 px-2 py-1 text-sm font-semibold underline rounded-lg hover:bg-white/20"
+        >
+          {action.label}
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Validation message shown under a form field
+const FieldError = ({ message }) => (
+  message ? <p className="mt-1 text-xs text-red-600">{message}</p> : null
+);
+
+// Login / register screen
+const AuthScreen = ({ onAuthenticated }) => {
+  const [mode, setMode] = useState('login');
+  const [form, setForm] = useState({ name: '', email: '', password: '' });
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setFieldErrors({});
+    setSubmitting(true);
+
+    try {
+      const response = await apiFetch(`/auth/${mode}`, {
+        method: 'POST',
+        body: JSON.stringify(form),
+      });
+      const data = await response.json();
+      if (!response.ok) throw responseError(data, 'Erro ao autenticar');
+
+      localStorage.setItem(STORAGE_KEYS.token, data.token);
+      onAuthenticated(data.user);
+    } catch (err) {
+      // Field problems are shown next to each field instead
+      if (Object.keys(err.fields || {}).length > 0) {
+        setFieldErrors(err.fields);
+      } else {
+        setError(err.message);
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const inputClass = 'w-full pl-10 pr-3 py-2.5 border border-gray-200 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl max-w-sm w-full p-6">
+        <div className="flex items-center gap-2 mb-6">
+          <div className="w-9 h-9 bg-primary-500 rounded-xl flex items-center justify-center">
+            <FiDollarSign className="text-white" size={20} />
+          </div>
+          <h1 className="text-lg font-bold text-gray-900">Gestao de Gastos</h1>
+        </div>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {mode === 'register' && (
+            <div className="relative">
+              <FiUser className="absolute left-3 top-3 text-gray-400" size={18} />
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="Nome"
+                required
+                className={inputClass}
+              />
+              <FieldError message={fieldErrors.name} />
+            </div>
+          )}
+          <div className="relative">
+            <FiMail className="absolute left-3 top-3 text-gray-400" size={18} />
+            <input
+              type="email"
+              value={form.email}
+              onChange={(e) => setForm({ ...form, email: e.target.value })}
+              placeholder="Email"
+              required
+              className={inputClass}
+            />
+            <FieldError message={fieldErrors.email} />
+          </div>
+          <div className="relative">
+            <FiLock className="absolute left-3 top-3 text-gray-400" size={18} />
+            <input
+              type="password"
+              value={form.password}
+              onChange={(e) => setForm({ ...form, password: e.target.value })}
+              placeholder="Password"
+              minLength={mode === 'register' ? 8 : undefined}
+              required
+              className={inputClass}
+            />
+            <FieldError message={fieldErrors.password} />
+          </div>
+          {error && (
+            <p className="text-sm text-red-600 flex items-center gap-1">
+              <FiAlertCircle size={14} />
+              {error}
+            </p>
+          )}
+          <button
+            type="submit"
+            disabled={submitting}
+            className="w-full px-4 py-2.5 bg-primary-500 text-white rounded-lg hover:bg-primary-600 disabled:opacity-50 transition-colors"
+          >
+            {mode === 'login' ? 'Entrar' : 'Criar conta'}
+          </button>
+        </form>
+        <button
+          onClick={() => { setMode(mode === 'login' ? 'register' : 'login'); setError(''); setFieldErrors({}); }}
+          className="mt-4 w-full text-sm text-primary-500 hover:text-primary-600 font-medium"
+        >
+          {mode === 'login' ? 'Ainda nao tem conta? Registe-se' : 'Ja tem conta? Entre'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Recurring expenses management modal
+const RecurringModal = ({ getCategoryInfo, onClose, onChanged, showToast }) => {
+  const [rules, setRules] = useState([]);
+  const [loadingRules, setLoadingRules] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [errors, setErrors] = useState({});
+
+  const fetchRules = useCallback(async () => {
+    try {
+      const response = await apiFetch('/recurring');
+      if (response.ok) setRules(await response.json());
+    } catch (error) {
+      console.error('Erro ao carregar despesas recorrentes:', error);
+    } finally {
+      setLoadingRules(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  const saveRule = async () => {
+    try {
+      const response = await apiFetch(`/recurring/${editing.id}`, {
+        method: 'PUT',
+        body: JSON.stringify({
+          ...editing,
+          amount: parseAmount(editing.amount) ?? editing.amount,
+          day_of_month: editing.day_of_month ? parseInt(editing.day_of_month, 10) : null,
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw responseError(data, 'Erro ao atualizar');
+
+      setEditing(null);
+      setErrors({});
+      showToast('Despesa recorrente atualizada');
+      fetchRules();
+      onChanged();
+    } catch (error) {
+      setErrors(error.fields || {});
+      showToast(error.message, 'error');
+    }
+  };
+
+  const deleteRule = async (id) => {
+    if (!confirm('Eliminar esta despesa recorrente? As despesas ja criadas sao mantidas.')) return;
+
+    try {
+      const response = await apiFetch(`/recurring/${id}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error('Erro ao eliminar');
+
+      showToast('Despesa recorrente eliminada');
+      fetchRules();
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-start sm:items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-white rounded-2xl shadow-xl max-w-md w-full my-4 max-h-[calc(100vh-2rem)] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b flex-shrink-0">
+          <h2 className="text-lg font-semibold">Despesas Recorrentes</h2>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+            <FiX size={20} />
+          </button>
+        </div>
+        <div className="divide-y divide-gray-50 overflow-y-auto flex-1">
+          {loadingRules && (
+            <div className="p-8 flex justify-center">
+              <FiLoader className="animate-spin text-primary-500" size={24} />
+            </div>
+          )}
+          {!loadingRules && rules.length === 0 && (
+            <div className="p-8 text-center text-gray-400">
+              <FiRepeat size={32} className="mx-auto mb-2 opacity-50" />
+              <p className="text-sm">Nenhuma despesa recorrente. Ative "Recorrente" ao adicionar uma despesa.</p>
+            </div>
+          )}
+          {rules.map((rule) => {
+            const category = getCategoryInfo(rule.category);
+            const frequency = FREQUENCIES.find((f) => f.id === rule.frequency);
+
+            if (editing?.id === rule.id) {
+              return (
+                <div key={rule.id} className="p-4 space-y-3 bg-gray-50">
+                  <input
+                    type="text"
+                    value={editing.description}
+                    onChange={(e) => setEditing({ ...editing, description: e.target.value })}
+                    className={inputClass}
+                  />
+                  <FieldError message={errors.description} />
+                  <div className="grid grid-cols-2 gap-2">
+                    <div>
+                      <input
+                        type="text"
+                        inputMode="decimal"
+                        value={editing.amount}
+                        onChange={(e) => setEditing({ ...editing, amount: e.target.value })}
+                        className={inputClass}
+                      />
+                      <FieldError message={errors.amount} />
+                    </div>
+                    <select
+                      value={editing.frequency}
+                      onChange={(e) => setEditing({ ...editing, frequency: e.target.value })}
+                      className={inputClass}
+                    >
+                      {FREQUENCIES.map((f) => (
+                        <option key={f.id} value={f.id}>{f.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="grid grid-cols-2 gap-2">
+                    <label className="text-xs text-gray-500">
+                      Dia do mes
+                      <input
+                        type="number"
+                        value={editing.day_of_month ?? ''}
+                        onChange={(e) => setEditing({ ...editing, day_of_month: e.target.value })}
+                        min="1"
+                        max="31"
+                        disabled={editing.frequency === 'weekly'}
+                        className={inputClass}
+                      />
+                      <FieldError message={errors.day_of_month} />
+                    </label>
+                    <label className="text-xs text-gray-500">
+                      Data de fim
+                      <input
+                        type="date"
+                        value={editing.end_date ?? ''}
+                        onChange={(e) => setEditing({ ...editing, end_date: e.target.value })}
+                        className={inputClass}
+                      />
+                      <FieldError message={errors.end_date} />
+                    </label>
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => { setEditing(null); setErrors({}); }}
+                      className="flex-1 px-3 py-2 border border-gray-200 text-gray-700 rounded-lg text-sm hover:bg-white"
+                    >
+                      Cancelar
+                    </button>
+                    <button
+                      onClick={saveRule}
+                      className="flex-1 px-3 py-2 bg-primary-500 text-white rounded-lg text-sm hover:bg-primary-600"
+                    >
+                      Guardar
+                    </button>
+                  </div>
+                </div>
+              );
+            }
+
+            return (
+              <div key={rule.id} className="flex items-center gap-3 p-4">
+                <div
+                  className="w-10 h-10 rounded-lg flex items-center justify-center text-lg flex-shrink-0"
+                  style={{ backgroundColor: category.color }}
+                >
+                  {category.icon}
+                </div>
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium text-gray-900 text-sm truncate">{rule.description}</p>
+                  <p className="text-xs text-gray-500">
+                    {frequency?.name} • desde {new Date(rule.start_date).toLocaleDateString('pt-PT')}
+                    {rule.end_date && ` ate ${new Date(rule.end_date).toLocaleDateString('pt-PT')}`}
+                  </p>
+                </div>
+                <p className="font-semibold text-gray-900 text-sm">{formatCurrency(rule.amount, rule.currency)}</p>
+                <div className="flex items-center gap-1 flex-shrink-0">
+                  <button
+                    onClick={() => setEditing({ ...rule })}
+                    className="p-2 text-gray-400 hover:text-primary-500 hover:bg-primary-50 rounded-lg transition-colors"
+                  >
+                    <FiEdit2 size={16} />
+                  </button>
+                  <button
+                    onClick={() => deleteRule(rule.id)}
+                    className="p-2 text-gray-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                  >
+                    <FiTrash2 size={16} />
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Base currency and exchange rates modal
+const ExchangeRatesModal = ({ baseCurrency, onClose, onBaseChanged, onRatesChanged, showToast }) => {
+  const emptyRate = { currency: 'USD', date: new Date().toISOString().split('T')[0], rate: '' };
+  const [rates, setRates] = useState([]);
+  const [loadingRates, setLoadingRates] = useState(true);
+  const [newRate, setNewRate] = useState(emptyRate);
+  const [importFrom, setImportFrom] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [errors, setErrors] = useState({});
+
+  const fetchRates = useCallback(async () => {
+    try {
+      const response = await apiFetch('/exchange-rates');
+      if (response.ok) setRates(await response.json());
+    } catch (error) {
+      console.error('Erro ao carregar taxas de cambio:', error);
+    } finally {
+      setLoadingRates(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRates();
+  }, [fetchRates]);
+
+  const changeBase = async (base) => {
+    try {
+      const response = await apiFetch('/currency', { method: 'PUT', body: JSON.stringify({ base }) });
+      const data = await response.json();
+      if (!response.ok) throw responseError(data, 'Erro ao mudar moeda');
+
+      showToast(`Totais passam a ser mostrados em ${base}`);
+      onBaseChanged(data.base);
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  const addRate = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await apiFetch('/exchange-rates', {
+        method: 'POST',
+        body: JSON.stringify({ ...newRate, rate: parseFloat(newRate.rate) }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw responseError(data, 'Erro ao guardar taxa');
+
+      setNewRate(emptyRate);
+      setErrors({});
+      showToast('Taxa de cambio guardada');
+      fetchRates();
+      onRatesChanged();
+    } catch (error) {
+      setErrors(error.fields || {});
+      showToast(error.message, 'error');
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setBusy(true);
+    try {
+      const response = await apiFetch('/exchange-rates/import', {
+        method: 'POST',
+        body: JSON.stringify({ content: await readTextFile(file), from: importFrom || undefined }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw responseError(data, 'Erro ao importar taxas');
+
+      setErrors({});
+      showToast(`${data.imported} taxas importadas${data.skipped > 0 ? `, ${data.skipped} ignoradas` : ''}`);
+      fetchRates();
+      onRatesChanged();
+    } catch (error) {
+      setErrors(error.fields || {});
+      showToast(error.message, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const deleteRate = async (id) => {
+    try {
+      const response = await apiFetch(`/exchange-rates/${id}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error('Erro ao eliminar');
+
+      fetchRates();
+      onRatesChanged();
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  const inputClass = 'px-3 py-2 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-start sm:items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-white rounded-2xl shadow-xl max-w-md w-full my-4 max-h-[calc(100vh-2rem)] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b flex-shrink-0">
+          <h2 className="text-lg font-semibold">Moedas e Cambio</h2>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+            <FiX size={20} />
+          </button>
+        </div>
+        <div className="p-4 space-y-4 border-b flex-shrink-0">
+          <label className="block text-sm font-medium text-gray-700">
+            Moeda dos totais
+            <select
+              value={baseCurrency}
+              onChange={(e) => changeBase(e.target.value)}
+              className={`${inputClass} w-full mt-1 font-normal`}
+            >
+              {CURRENCIES.map((code) => (
+                <option key={code} value={code}>{code}</option>
+              ))}
+            </select>
+          </label>
+
+          {/* Rates are against the euro, as published by the ECB */}
+          <form onSubmit={addRate} className="space-y-2">
+            <p className="text-sm font-medium text-gray-700">Nova taxa (1 EUR = ...)</p>
+            <div className="flex gap-2">
+              <select
+                value={newRate.currency}
+                onChange={(e) => setNewRate({ ...newRate, currency: e.target.value })}
+                className={inputClass}
+              >
+                {CURRENCIES.filter((code) => code !== 'EUR').map((code) => (
+                  <option key={code} value={code}>{code}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                value={newRate.rate}
+                onChange={(e) => setNewRate({ ...newRate, rate: e.target.value })}
+                placeholder="1.0850"
+                min="0"
+                step="any"
+                required
+                className={`${inputClass} flex-1 min-w-0`}
+              />
+              <input
+                type="date"
+                value={newRate.date}
+                onChange={(e) => setNewRate({ ...newRate, date: e.target.value })}
+                required
+                className={inputClass}
+              />
+              <button type="submit" className="p-2.5 bg-primary-500 text-white rounded-lg hover:bg-primary-600">
+                <FiPlus size={18} />
+              </button>
+            </div>
+            <FieldError message={errors.currency || errors.rate || errors.date} />
+          </form>
+
+          <div className="space-y-2">
+            <p className="text-sm font-medium text-gray-700">Importar ficheiro de taxas (CSV do BCE)</p>
+            <div className="flex gap-2 items-center">
+              <label className="text-xs text-gray-500 flex-shrink-0">
+                Desde
+                <input
+                  type="date"
+                  value={importFrom}
+                  onChange={(e) => setImportFrom(e.target.value)}
+                  className={`${inputClass} ml-2`}
+                />
+              </label>
+              <label className={`flex-1 flex items-center justify-center gap-2 px-3 py-2 border-2 border-dashed border-gray-200 rounded-lg text-sm text-gray-600 cursor-pointer hover:border-primary-300 ${busy ? 'opacity-50 pointer-events-none' : ''}`}>
+                {busy ? <FiLoader className="animate-spin" size={16} /> : <FiUpload size={16} />}
+                Escolher ficheiro
+                <input type="file" accept=".csv,text/csv" onChange={handleFile} className="hidden" />
+              </label>
+            </div>
+            <FieldError message={errors.content} />
+          </div>
+        </div>
+        <div className="divide-y divide-gray-50 overflow-y-auto flex-1">
+          {loadingRates && (
+            <div className="p-8 flex justify-center">
+              <FiLoader className="animate-spin text-primary-500" size={24} />
+            </div>
+          )}
+          {!loadingRates && rates.length === 0 && (
+            <div className="p-8 text-center text-gray-400">
+              <FiGlobe size={32} className="mx-auto mb-2 opacity-50" />
+              <p className="text-sm">Nenhuma taxa de cambio. Despesas noutras moedas ficam fora dos totais.</p>
+            </div>
+          )}
+          {rates.map((rate) => (
+            <div key={rate.id} className="flex items-center gap-3 px-4 py-2.5">
+              <span className="font-medium text-gray-900 text-sm w-12">{rate.currency}</span>
+              <span className="text-sm text-gray-500 flex-1">{new Date(rate.date).toLocaleDateString('pt-PT')}</span>
+              <span className="text-sm text-gray-900">1 EUR = {Number(rate.rate).toFixed(4)}</span>
+              <button
+                onClick={() => deleteRate(rate.id)}
+                className="p-2 text-gray-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+              >
+                <FiTrash2 size={16} />
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Household members and settlements modal
+const HouseholdModal = ({ members, onClose, onChanged, showToast }) => {
+  const [newName, setNewName] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [settlements, setSettlements] = useState([]);
+  const [errors, setErrors] = useState({});
+
+  const fetchSettlements = useCallback(async () => {
+    try {
+      const response = await apiFetch('/settlements');
+      if (response.ok) setSettlements(await response.json());
+    } catch (error) {
+      console.error('Erro ao carregar acertos:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSettlements();
+  }, [fetchSettlements]);
+
+  // Send a request and refresh the app's members when it succeeds
+  const submit = async (path, method, body, successMessage) => {
+    try {
+      const response = await apiFetch(path, { method, body: body && JSON.stringify(body) });
+      const data = await response.json();
+      if (!response.ok) throw responseError(data, 'Erro ao guardar membro');
+
+      setErrors({});
+      showToast(successMessage);
+      onChanged();
+      return true;
+    } catch (error) {
+      setErrors(error.fields || {});
+      showToast(error.message, 'error');
+      return false;
+    }
+  };
+
+  const addMember = async (e) => {
+    e.preventDefault();
+    if (await submit('/members', 'POST', { name: newName }, 'Membro adicionado')) {
+      setNewName('');
+    }
+  };
+
+  const saveMember = async () => {
+    if (await submit(`/members/${editing.id}`, 'PUT', { name: editing.name }, 'Membro atualizado')) {
+      setEditing(null);
+    }
+  };
+
+  const deleteMember = async (id) => {
+    if (!confirm('Eliminar este membro?')) return;
+    await submit(`/members/${id}`, 'DELETE', null, 'Membro eliminado');
+  };
+
+  const deleteSettlement = async (id) => {
+    if (!confirm('Eliminar este acerto?')) return;
+    if (await submit(`/settlements/${id}`, 'DELETE', null, 'Acerto eliminado')) {
+      fetchSettlements();
+    }
+  };
+
+  const memberName = (id) => members.find((m) => m.id === id)?.name ?? '?';
+  const inputClass = 'px-3 py-2 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-start sm:items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-white rounded-2xl shadow-xl max-w-md w-full my-4 max-h-[calc(100vh-2rem)] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b flex-shrink-0">
+          <h2 className="text-lg font-semibold">Agregado Familiar</h2>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+            <FiX size={20} />
+          </button>
+        </div>
+        <form onSubmit={addMember} className="flex gap-2 p-4 border-b flex-shrink-0">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="Novo membro"
+            required
+            className={`${inputClass} flex-1 min-w-0`}
+          />
+          <button type="submit" className="p-2.5 bg-primary-500 text-white rounded-lg hover:bg-primary-600">
+            <FiPlus size={18} />
+          </button>
+        </form>
+        {!editing && errors.name && (
+          <div className="px-4 pt-2 flex-shrink-0">
+            <FieldError message={errors.name} />
+          </div>
+        )}
+        <div className="overflow-y-auto flex-1">
+          <div className="divide-y divide-gray-50">
+            {members.map((member) => (
+              editing?.id === member.id ? (
+                <div key={member.id} className="p-4 space-y-2 bg-gray-50">
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={editing.name}
+                      onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                      className={`${inputClass} flex-1 min-w-0`}
+                    />
+                    <button onClick={() => { setEditing(null); setErrors({}); }} className="p-2 text-gray-400 hover:bg-white rounded-lg">
+                      <FiX size={16} />
+                    </button>
+                    <button onClick={saveMember} className="p-2 text-primary-500 hover:bg-white rounded-lg">
+                      <FiCheck size={16} />
+                    </button>
+                  </div>
+                  <FieldError message={errors.name} />
+                </div>
+              ) : (
+                <div key={member.id} className="flex items-center gap-3 px-4 py-3">
+                  <FiUser size={16} className="text-gray-400" />
+                  <span className="flex-1 text-sm text-gray-900">
+                    {member.name}
+                    {member.is_owner && <span className="text-xs text-gray-400 ml-2">(titular)</span>}
+                  </span>
+                  <button
+                    onClick={() => setEditing({ ...member })}
+                    className="p-2 text-gray-400 hover:text-primary-500 hover:bg-primary-50 rounded-lg transition-colors"
+                  >
+                    <FiEdit2 size={16} />
+                  </button>
+                  {!member.is_owner && (
+                    <button
+                      onClick={() => deleteMember(member.id)}
+                      className="p-2 text-gray-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                    >
+                      <FiTrash2 size={16} />
+                    </button>
+                  )}
+                </div>
+              )
+            ))}
+          </div>
+          {settlements.length > 0 && (
+            <>
+              <p className="px-4 pt-4 pb-2 text-sm font-medium text-gray-700 border-t">Acertos registados</p>
+              <div className="divide-y divide-gray-50">
+                {settlements.map((settlement) => (
+                  <div key={settlement.id} className="flex items-center gap-3 px-4 py-2.5 text-sm">
+                    <span className="text-gray-500 w-20 flex-shrink-0">
+                      {new Date(settlement.date).toLocaleDateString('pt-PT')}
+                    </span>
+                    <span className="flex-1 text-gray-900 truncate">
+                      {memberName(settlement.from_member_id)} → {memberName(settlement.to_member_id)}
+                    </span>
+                    <span className="text-gray-900">{formatCurrency(settlement.amount, settlement.currency)}</span>
+                    <button
+                      onClick={() => deleteSettlement(settlement.id)}
+                      className="p-2 text-gray-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                    >
+                      <FiTrash2 size={16} />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Categorization rules modal: rules that pick the category of new and imported expenses
+const CategorizationRulesModal = ({ categories, getCategoryInfo, onClose, onApplied, showToast }) => {
+  const emptyRule = {
+    match_type: 'contains', pattern: '', min_amount: '', max_amount: '', category: categories[0]?.id ?? 'outros',
+  };
+  const [rules, setRules] = useState([]);
+  const [newRule, setNewRule] = useState(emptyRule);
+  const [errors, setErrors] = useState({});
+  const [applying, setApplying] = useState(false);
+
+  const fetchRules = useCallback(async () => {
+    try {
+      const response = await apiFetch('/categorization-rules');
+      if (response.ok) setRules(await response.json());
+    } catch (error) {
+      console.error('Erro ao carregar regras:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  const createRule = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await apiFetch('/categorization-rules', {
+        method: 'POST',
+        body: JSON.stringify({
+          ...newRule,
+          min_amount: parseAmount(newRule.min_amount) ?? newRule.min_amount,
+          max_amount: parseAmount(newRule.max_amount) ?? newRule.max_amount,
+        }),
+      });
+      if (!response.ok) throw responseError(await response.json(), 'Erro ao criar regra');
+
+      setErrors({});
+      setNewRule({ ...emptyRule, category: newRule.category });
+      showToast('Regra criada');
+      fetchRules();
+    } catch (error) {
+      setErrors(error.fields || {});
+      showToast(error.message, 'error');
+    }
+  };
+
+  const deleteRule = async (id) => {
+    if (!confirm('Eliminar esta regra?')) return;
+    try {
+      const response = await apiFetch(`/categorization-rules/${id}`, { method: 'DELETE' });
+      if (!response.ok) throw responseError(await response.json(), 'Erro ao eliminar regra');
+
+      showToast('Regra eliminada');
+      fetchRules();
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  // Run the rules over past expenses left in "Outros"
+  const applyRules = async () => {
+    setApplying(true);
+    try {
+      const response = await apiFetch('/categorization-rules/apply', { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) throw responseError(data, 'Erro ao aplicar regras');
+
+      showToast(data.updated > 0
+        ? `${data.updated} de ${data.checked} despesas recategorizadas`
+        : 'Nenhuma despesa corresponde as regras');
+      if (data.updated > 0) onApplied();
+    } catch (error) {
+      showToast(error.message, 'error');
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  // "contem galp · ate 50,00 €"
+  const describeRule = (rule) => [
+    rule.match_type === 'contains' && `contem "${rule.pattern}"`,
+    rule.match_type === 'regex' && `/${rule.pattern}/`,
+    rule.min_amount !== null && `a partir de ${formatCurrency(rule.min_amount)}`,
+    rule.max_amount !== null && `ate ${formatCurrency(rule.max_amount)}`,
+  ].filter(Boolean).join(' · ');
+
+  const inputClass = 'px-3 py-2 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-start sm:items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-white rounded-2xl shadow-xl max-w-md w-full my-4 max-h-[calc(100vh-2rem)] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b flex-shrink-0">
+          <h2 className="text-lg font-semibold">Regras de Categorias</h2>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+            <FiX size={20} />
+          </button>
+        </div>
+        <form onSubmit={createRule} className="p-4 border-b space-y-2 flex-shrink-0">
+          <div className="flex gap-2">
+            <select
+              value={newRule.match_type}
+              onChange={(e) => setNewRule({ ...newRule, match_type: e.target.value })}
+              className={`${inputClass} w-40`}
+            >
+              {RULE_TYPES.map((type) => (
+                <option key={type.id} value={type.id}>{type.name}</option>
+              ))}
+            </select>
+            {newRule.match_type !== 'amount' && (
+              <input
+                type="text"
+                value={newRule.pattern}
+                onChange={(e) => setNewRule({ ...newRule, pattern: e.target.value })}
+                placeholder={newRule.match_type === 'regex' ? '^galp|bp ' : 'Continente'}
+                className={`${inputClass} flex-1 min-w-0`}
+              />
+            )}
+          </div>
+          <FieldError message={errors.pattern || errors.match_type} />
+          <div className="flex gap-2">
+            <input
+              type="text"
+              inputMode="decimal"
+              value={newRule.min_amount}
+              onChange={(e) => setNewRule({ ...newRule, min_amount: e.target.value })}
+              placeholder="Valor minimo"
+              className={`${inputClass} flex-1 min-w-0`}
+            />
+            <input
+              type="text"
+              inputMode="decimal"
+              value={newRule.max_amount}
+              onChange={(e) => setNewRule({ ...newRule, max_amount: e.target.value })}
+              placeholder="Valor maximo"
+              className={`${inputClass} flex-1 min-w-0`}
+            />
+          </div>
+          <FieldError message={errors.min_amount || errors.max_amount} />
+          <div className="flex gap-2">
+            <select
+              value={newRule.category}
+              onChange={(e) => setNewRule({ ...newRule, category: e.target.value })}
+              className={`${inputClass} flex-1 min-w-0`}
+            >
+              {categories.map((cat) => (
+                <option key={cat.id} value={cat.id}>{cat.icon} {cat.name}</option>
+              ))}
+            </select>
+            <button type="submit" className="p-2.5 bg-primary-500 text-white rounded-lg hover:bg-primary-600">
+              <FiPlus size={18} />
+            </button>
+          </div>
+          <FieldError message={errors.category} />
+        </form>
+        <div className="divide-y divide-gray-50 overflow-y-auto flex-1">
+          {rules.length === 0 && (
+            <p className="p-4 text-sm text-gray-400 text-center">
+              Sem regras. Despesas sem categoria ficam em Outros.
+            </p>
+          )}
+          {rules.map((rule) => {
+            const category = getCategoryInfo(rule.category);
+            return (
+              <div key={rule.id} className="flex items-center gap-3 px-4 py-3">
+                <span className="text-lg flex-shrink-0">{category.icon}</span>
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm text-gray-900 truncate">{describeRule(rule)}</p>
+                  <p className="text-xs text-gray-500">{category.name}</p>
+                </div>
+                <button
+                  onClick={() => deleteRule(rule.id)}
+                  className="p-2 text-gray-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                >
+                  <FiTrash2 size={16} />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+        <div className="p-4 border-t flex-shrink-0">
+          <button
+            onClick={applyRules}
+            disabled={applying || rules.length === 0}
+            className="w-full flex items-center justify-center gap-2 px-4 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            {applying ? <FiLoader className="animate-spin" size={16} /> : <FiZap size={16} />}
+            Aplicar as despesas em Outros
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Expense templates modal: saved expenses added in one tap from the header
+const TemplatesModal = ({ categories, getCategoryInfo, templates, onClose, onChanged, showToast }) => {
+  const emptyTemplate = { name: '', description: '', amount: '', category: categories[0]?.id ?? 'outros' };
+  const [newTemplate, setNewTemplate] = useState(emptyTemplate);
+  const [errors, setErrors] = useState({});
+
+  const createTemplate = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await apiFetch('/templates', {
+        method: 'POST',
+        body: JSON.stringify({
+          ...newTemplate,
+          // The name defaults to the description
+          name: newTemplate.name.trim() || newTemplate.description,
+          amount: parseAmount(newTemplate.amount) ?? newTemplate.amount,
+        }),
+      });
+      if (!response.ok) throw responseError(await response.json(), 'Erro ao criar modelo');
+
+      setErrors({});
+      setNewTemplate(emptyTemplate);
+      showToast('Modelo criado');
+      onChanged();
+    } catch (error) {
+      setErrors(error.fields || {});
+      showToast(error.message, 'error');
+    }
+  };
+
+  const deleteTemplate = async (id) => {
+    if (!confirm('Eliminar este modelo?')) return;
+    try {
+      const response = await apiFetch(`/templates/${id}`, { method: 'DELETE' });
+      if (!response.ok) throw responseError(await response.json(), 'Erro ao eliminar modelo');
+
+      showToast('Modelo eliminado');
+      onChanged();
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  const inputClass = 'px-3 py-2 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-start sm:items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-white rounded-2xl shadow-xl max-w-md w-full my-4 max-h-[calc(100vh-2rem)] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b flex-shrink-0">
+          <h2 className="text-lg font-semibold">Modelos Rapidos</h2>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+            <FiX size={20} />
+          </button>
+        </div>
+        <form onSubmit={createTemplate} className="p-4 border-b space-y-2 flex-shrink-0">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={newTemplate.description}
+              onChange={(e) => setNewTemplate({ ...newTemplate, description: e.target.value })}
+              placeholder="Descricao (ex: Cafe)"
+              required
+              className={`${inputClass} flex-1 min-w-0`}
+            />
+            <input
+              type="text"
+              inputMode="decimal"
+              value={newTemplate.amount}
+              onChange={(e) => setNewTemplate({ ...newTemplate, amount: e.target.value })}
+              placeholder="0,00"
+              required
+              className={`${inputClass} w-24`}
+            />
+          </div>
+          <FieldError message={errors.description || errors.amount} />
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={newTemplate.name}
+              onChange={(e) => setNewTemplate({ ...newTemplate, name: e.target.value })}
+              placeholder="Nome no botao (opcional)"
+              className={`${inputClass} flex-1 min-w-0`}
+            />
+            <select
+              value={newTemplate.category}
+              onChange={(e) => setNewTemplate({ ...newTemplate, category: e.target.value })}
+              className={`${inputClass} w-36`}
+            >
+              {categories.map((cat) => (
+                <option key={cat.id} value={cat.id}>{cat.icon} {cat.name}</option>
+              ))}
+            </select>
+            <button type="submit" className="p-2.5 bg-primary-500 text-white rounded-lg hover:bg-primary-600">
+              <FiPlus size={18} />
+            </button>
+          </div>
+          <FieldError message={errors.name || errors.category} />
+        </form>
+        <div className="divide-y divide-gray-50 overflow-y-auto flex-1">
+          {templates.length === 0 && (
+            <p className="p-4 text-sm text-gray-400 text-center">
+              Sem modelos. Crie um para adicionar despesas frequentes com um toque.
+            </p>
+          )}
+          {templates.map((template) => {
+            const category = getCategoryInfo(template.category);
+            return (
+              <div key={template.id} className="flex items-center gap-3 px-4 py-3">
+                <span className="text-lg flex-shrink-0">{category.icon}</span>
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">{template.name}</p>
+                  <p className="text-xs text-gray-500 truncate">{template.description} • {category.name}</p>
+                </div>
+                <span className="text-sm text-gray-900">{formatCurrency(template.amount, template.currency)}</span>
+                <button
+                  onClick={() => deleteTemplate(template.id)}
+                  className="p-2 text-gray-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                >
+                  <FiTrash2 size={16} />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Categories management modal
+const CategoriesModal = ({ categories, onClose, onChanged, showToast }) => {
+  const emptyCategory = { name: '', color: '#6b7280', icon: '📦' };
+  const [newCategory, setNewCategory] = useState(emptyCategory);
+  const [editing, setEditing] = useState(null);
+  const [merging, setMerging] = useState(null);
+  const [errors, setErrors] = useState({});
+
+  // Send a request and refresh the app's categories when it succeeds
+  const submit = async (path, method, body, successMessage) => {
+    try {
+      const response = await apiFetch(path, { method, body: body && JSON.stringify(body) });
+      const data = await response.json();
+      if (!response.ok) throw responseError(data, 'Erro ao guardar categoria');
+
+      setErrors({});
+      showToast(successMessage);
+      onChanged();
+      return true;
+    } catch (error) {
+      setErrors(error.fields || {});
+      showToast(error.message, 'error');
+      return false;
+    }
+  };
+
+  // Messages for the row being created or edited, shown under it
+  const errorMessages = Object.values(errors).join(' · ');
+
+  const createCategory = async (e) => {
+    e.preventDefault();
+    if (await submit('/categories', 'POST', newCategory, 'Categoria criada')) {
+      setNewCategory(emptyCategory);
+    }
+  };
+
+  const saveCategory = async () => {
+    const { id, name, color, icon } = editing;
+    if (await submit(`/categories/${id}`, 'PUT', { name, color, icon }, 'Categoria atualizada')) {
+      setEditing(null);
+    }
+  };
+
+  const mergeCategory = async () => {
+    if (await submit(`/categories/${merging.id}/merge`, 'POST', { into: merging.into }, 'Categorias fundidas')) {
+      setMerging(null);
+    }
+  };
+
+  const deleteCategory = async (id) => {
+    if (!confirm('Eliminar esta categoria?')) return;
+    await submit(`/categories/${id}`, 'DELETE', null, 'Categoria eliminada');
+  };
+
+  const inputClass = 'px-3 py-2 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-start sm:items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-white rounded-2xl shadow-xl max-w-md w-full my-4 max-h-[calc(100vh-2rem)] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b flex-shrink-0">
+          <h2 className="text-lg font-semibold">Categorias</h2>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+            <FiX size={20} />
+          </button>
+        </div>
+        <form onSubmit={createCategory} className="flex gap-2 p-4 border-b flex-shrink-0">
+          <input
+            type="text"
+            value={newCategory.icon}
+            onChange={(e) => setNewCategory({ ...newCategory, icon: e.target.value })}
+            className={`${inputClass} w-12 text-center`}
+            title="Icone"
+          />
+          <input
+            type="text"
+            value={newCategory.name}
+            onChange={(e) => setNewCategory({ ...newCategory, name: e.target.value })}
+            placeholder="Nova categoria"
+            required
+            className={`${inputClass} flex-1 min-w-0`}
+          />
+          <input
+            type="color"
+            value={newCategory.color}
+            onChange={(e) => setNewCategory({ ...newCategory, color: e.target.value })}
+            className="w-10 h-10 rounded-lg cursor-pointer"
+            title="Cor"
+          />
+          <button type="submit" className="p-2.5 bg-primary-500 text-white rounded-lg hover:bg-primary-600">
+            <FiPlus size={18} />
+          </button>
+        </form>
+        {!editing && !merging && errorMessages && (
+          <div className="px-4 pb-2 -mt-2 flex-shrink-0">
+            <FieldError message={errorMessages} />
+          </div>
+        )}
+        <div className="divide-y divide-gray-50 overflow-y-auto flex-1">
+          {categories.map((cat) => {
+            if (editing?.id === cat.id) {
+              return (
+                <div key={cat.id} className="p-4 bg-gray-50">
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={editing.icon}
+                      onChange={(e) => setEditing({ ...editing, icon: e.target.value })}
+                      className={`${inputClass} w-12 text-center`}
+                    />
+                    <input
+                      type="text"
+                      value={editing.name}
+                      onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                      className={`${inputClass} flex-1 min-w-0`}
+                    />
+                    <input
+                      type="color"
+                      value={editing.color}
+                      onChange={(e) => setEditing({ ...editing, color: e.target.value })}
+                      className="w-10 h-10 rounded-lg cursor-pointer"
+                    />
+                    <button onClick={saveCategory} className="p-2.5 bg-primary-500 text-white rounded-lg hover:bg-primary-600">
+                      <FiCheck size={18} />
+                    </button>
+                    <button onClick={() => { setEditing(null); setErrors({}); }} className="p-2.5 hover:bg-gray-100 rounded-lg">
+                      <FiX size={18} />
+                    </button>
+                  </div>
+                  <FieldError message={errorMessages} />
+                </div>
+              );
+            }
+
+            if (merging?.id === cat.id) {
+              return (
+                <div key={cat.id} className="flex items-center gap-2 p-4 bg-gray-50">
+                  <span className="text-sm text-gray-600 whitespace-nowrap">{cat.icon} {cat.name} para</span>
+                  <select
+                    value={merging.into}
+                    onChange={(e) => setMerging({ ...merging, into: e.target.value })}
+                    className={`${inputClass} flex-1 min-w-0`}
+                  >
+                    {categories.filter((c) => c.id !== cat.id).map((c) => (
+                      <option key={c.id} value={c.id}>{c.icon} {c.name}</option>
+                    ))}
+                  </select>
+                  <button onClick={mergeCategory} className="p-2.5 bg-primary-500 text-white rounded-lg hover:bg-primary-600">
+                    <FiCheck size={18} />
+                  </button>
+                  <button onClick={() => setMerging(null)} className="p-2.5 hover:bg-gray-100 rounded-lg">
+                    <FiX size={18} />
+                  </button>
+                </div>
+              );
+            }
+
+            return (
+              <div key={cat.id} className="flex items-center gap-3 p-4">
+                <div
+                  className="w-10 h-10 rounded-lg flex items-center justify-center text-lg flex-shrink-0"
+                  style={{ backgroundColor: cat.color }}
+                >
+                  {cat.icon}
+                </div>
+                <p className="flex-1 min-w-0 font-medium text-gray-900 text-sm truncate">{cat.name}</p>
+                <div className="flex items-center gap-1 flex-shrink-0">
+                  <button
+                    onClick={() => { setMerging(null); setEditing({ ...cat }); }}
+                    className="p-2 text-gray-400 hover:text-primary-500 hover:bg-primary-50 rounded-lg transition-colors"
+                    title="Editar"
+                  >
+                    <FiEdit2 size={16} />
+                  </button>
+                  <button
+                    onClick={() => {
+                      setEditing(null);
+                      setMerging({ id: cat.id, into: categories.find((c) => c.id !== cat.id)?.id });
+                    }}
+                    disabled={categories.length < 2}
+                    className="p-2 text-gray-400 hover:text-primary-500 hover:bg-primary-50 rounded-lg transition-colors disabled:opacity-50"
+                    title="Fundir com outra categoria"
+                  >
+                    <FiGitMerge size={16} />
+                  </button>
+                  <button
+                    onClick={() => deleteCategory(cat.id)}
+                    className="p-2 text-gray-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                    title="Eliminar"
+                  >
+                    <FiTrash2 size={16} />
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Build CSV text the way Excel pt-PT reads it: ";" separators and a byte order mark for accents
+const toCsv = (rows) => {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return '\uFEFF' + rows.map((row) => row.map(escape).join(';')).join('\r\n') + '\r\n';
+};
+
+// Save a Blob as a downloaded file
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Last day of a YYYY-MM month as YYYY-MM-DD
+const getMonthEnd = (month) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return `${month}-${String(new Date(year, monthIndex, 0).getDate()).padStart(2, '0')}`;
+};
+
+// Move a YYYY-MM month by a number of months
+const shiftMonth = (month, delta) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const date = new Date(year, monthIndex - 1 + delta, 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// Export expenses modal (from the API, or from localStorage when offline)
+const ExportModal = ({ categories, useApi, selectedMonth, getCategoryInfo, onClose, showToast }) => {
+  const currentYear = new Date().getFullYear();
+  const [range, setRange] = useState({ from: `${selectedMonth}-01`, to: getMonthEnd(selectedMonth) });
+  const [selectedCategories, setSelectedCategories] = useState([]);
+  const [format, setFormat] = useState('csv');
+
+  const presets = [
+    { label: 'Mes selecionado', from: `${selectedMonth}-01`, to: getMonthEnd(selectedMonth) },
+    { label: `${currentYear}`, from: `${currentYear}-01-01`, to: `${currentYear}-12-31` },
+    { label: `${currentYear - 1}`, from: `${currentYear - 1}-01-01`, to: `${currentYear - 1}-12-31` },
+  ];
+
+  const toggleCategory = (id) => {
+    setSelectedCategories(selectedCategories.includes(id)
+      ? selectedCategories.filter((c) => c !== id)
+      : [...selectedCategories, id]);
+  };
+
+  // Build the export from localStorage, matching the API's output
+  const exportLocal = () => {
+    const expenses = activeExpenses()
+      .filter((e) => (!range.from || e.date >= range.from) && (!range.to || e.date <= range.to))
+      .filter((e) => selectedCategories.length === 0 || selectedCategories.includes(e.category))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    if (format === 'json') {
+      const data = {
+        exported_at: new Date().toISOString(),
+        from: range.from || null,
+        to: range.to || null,
+        expenses: expenses.map(({ id, description, amount, currency, category, date }) => ({
+          id, description, amount, currency: currency || getBaseCurrency(), category,
+          category_name: getCategoryInfo(category).name, date,
+        })),
+      };
+      return new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    }
+
+    const rows = [
+      ['Data', 'Descricao', 'Categoria', 'Valor', 'Moeda'],
+      ...expenses.map((e) => [
+        e.date.split('-').reverse().join('/'),
+        e.description,
+        getCategoryInfo(e.category).name,
+        Number(e.amount).toFixed(2).replace('.', ','),
+        e.currency || getBaseCurrency(),
+      ]),
+    ];
+    return new Blob([toCsv(rows)], { type: 'text/csv;charset=utf-8' });
+  };
+
+  const handleExport = async () => {
+    try {
+      let blob;
+      if (useApi) {
+        const params = new URLSearchParams({ format });
+        if (range.from) params.append('from', range.from);
+        if (range.to) params.append('to', range.to);
+        if (selectedCategories.length > 0) params.append('categories', selectedCategories.join(','));
+
+        const response = await apiFetch(`/export?${params}`);
+        if (!response.ok) throw new Error('Erro ao exportar');
+        blob = await response.blob();
+      } else {
+        blob = exportLocal();
+      }
+
+      downloadBlob(blob, `despesas_${range.from || 'inicio'}_${range.to || 'hoje'}.${format}`);
+      onClose();
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-primary-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-start sm:items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-white rounded-2xl shadow-xl max-w-md w-full my-4 max-h-[calc(100vh-2rem)] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b flex-shrink-0">
+          <h2 className="text-lg font-semibold">Exportar Despesas</h2>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+            <FiX size={20} />
+          </button>
+        </div>
+        <div className="p-4 space-y-4 overflow-y-auto flex-1">
+          <div className="flex gap-2">
+            {presets.map((preset) => (
+              <button
+                key={preset.label}
+                onClick={() => setRange({ from: preset.from, to: preset.to })}
+                className={`flex-1 px-3 py-1.5 rounded-lg text-sm border transition-colors ${
+                  range.from === preset.from && range.to === preset.to
+                    ? 'border-primary-500 bg-primary-50 text-primary-600'
+                    : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                {preset.label}
+              </button>
+            ))}
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-xs text-gray-500">
+              De
+              <input
+                type="date"
+                value={range.from}
+                onChange={(e) => setRange({ ...range, from: e.target.value })}
+                className={inputClass}
+              />
+            </label>
+            <label className="text-xs text-gray-500">
+              Ate
+              <input
+                type="date"
+                value={range.to}
+                onChange={(e) => setRange({ ...range, to: e.target.value })}
+                className={inputClass}
+              />
+            </label>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-2">Categorias (nenhuma selecionada = todas)</label>
+            <div className="flex flex-wrap gap-2">
+              {categories.map((cat) => (
+                <button
+                  key={cat.id}
+                  onClick={() => toggleCategory(cat.id)}
+                  className={`px-2.5 py-1 rounded-lg text-xs border transition-colors ${
+                    selectedCategories.includes(cat.id)
+                      ? 'border-primary-500 bg-primary-50 text-primary-600'
+                      : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+                  }`}
+                >
+                  {cat.icon} {cat.name}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Formato</label>
+            <select value={format} onChange={(e) => setFormat(e.target.value)} className={inputClass}>
+              <option value="csv">CSV (Excel)</option>
+              <option value="json">JSON</option>
+            </select>
+          </div>
+        </div>
+        <div className="flex gap-3 p-4 border-t flex-shrink-0">
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-2.5 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50"
+          >
+            Cancelar
+          </button>
+          <button
+            onClick={handleExport}
+            className="flex-1 flex items-center justify-center gap-2 px-4 py-2.5 bg-primary-500 text-white rounded-lg hover:bg-primary-600"
+          >
+            <FiDownload size={16} />
+            Exportar
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Change against the same months a year earlier, e.g. "+12%"
+const formatChange = (percentage) => (
+  percentage === null ? '-' : `${percentage > 0 ? '+' : ''}${percentage.toFixed(0)}%`
+);
+
+// Reports modal: monthly trends per category, budget adherence and year-over-year changes
+const ReportsModal = ({ selectedMonth, getCategoryInfo, onClose }) => {
+  const [range, setRange] = useState({ from: shiftMonth(selectedMonth, -11), to: selectedMonth });
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+  const [loadingReport, setLoadingReport] = useState(true);
+
+  const presets = [6, 12, 24].map((months) => ({
+    label: `${months} meses`,
+    from: shiftMonth(selectedMonth, -(months - 1)),
+    to: selectedMonth,
+  }));
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      setLoadingReport(true);
+      try {
+        const response = await apiFetch(`/stats/range?${new URLSearchParams(range)}`);
+        const data = await response.json();
+        if (!response.ok) throw responseError(data, 'Erro ao carregar relatorio');
+
+        setReport(data);
+        setError('');
+      } catch (err) {
+        setReport(null);
+        setError(Object.values(err.fields || {})[0] || err.message);
+      } finally {
+        setLoadingReport(false);
+      }
+    };
+    fetchReport();
+  }, [range]);
+
+  const labels = (report?.months || []).map((m) => (
+    new Date(`${m.month}-01`).toLocaleDateString('pt-PT', { month: 'short', year: '2-digit' })
+  ));
+
+  const barData = {
+    labels,
+    datasets: (report?.categories || []).map((slug) => {
+      const category = getCategoryInfo(slug);
+      return {
+        label: category.name,
+        data: report.months.map((m) => Number(m.byCategory[slug] || 0)),
+        backgroundColor: category.color,
+        stack: 'expenses',
+      };
+    }),
+  };
+
+  const lineData = {
+    labels,
+    datasets: [
+      {
+        label: 'Gasto',
+        data: (report?.months || []).map((m) => Number(m.total)),
+        borderColor: '#3b82f6',
+        backgroundColor: '#3b82f6',
+        tension: 0.3,
+      },
+      {
+        label: 'Orcamento',
+        data: (report?.months || []).map((m) => Number(m.budget) || null),
+        borderColor: '#f97316',
+        backgroundColor: '#f97316',
+        borderDash: [6, 4],
+        spanGaps: true,
+      },
+      {
+        label: 'Ano anterior',
+        data: (report?.months || []).map((m) => Number(m.yearOverYear.total)),
+        borderColor: '#9ca3af',
+        backgroundColor: '#9ca3af',
+        borderDash: [2, 3],
+        tension: 0.3,
+      },
+    ],
+  };
+
+  const chartOptions = (stacked) => ({
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { position: 'bottom', labels: { boxWidth: 12, font: { size: 11 } } },
+      tooltip: {
+        callbacks: {
+          label: (context) => `${context.dataset.label}: ${formatCurrency(context.raw ?? 0)}`,
+        },
+      },
+    },
+    scales: {
+      x: { stacked },
+      y: { stacked, beginAtZero: true },
+    },
+  });
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-primary-500';
+  const summary = report?.summary;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-start sm:items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-white rounded-2xl shadow-xl max-w-3xl w-full my-4 max-h-[calc(100vh-2rem)] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b flex-shrink-0">
+          <h2 className="text-lg font-semibold">Relatorios</h2>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+            <FiX size={20} />
+          </button>
+        </div>
+        <div className="p-4 space-y-4 overflow-y-auto flex-1">
+          <div className="flex flex-col sm:flex-row gap-2">
+            <div className="flex gap-2 sm:w-1/2">
+              {presets.map((preset) => (
+                <button
+                  key={preset.label}
+                  onClick={() => setRange({ from: preset.from, to: preset.to })}
+                  className={`flex-1 px-3 py-1.5 rounded-lg text-sm border transition-colors ${
+                    range.from === preset.from && range.to === preset.to
+                      ? 'border-primary-500 bg-primary-50 text-primary-600'
+                      : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+                  }`}
+                >
+                  {preset.label}
+                </button>
+              ))}
+            </div>
+            <div className="grid grid-cols-2 gap-2 sm:w-1/2">
+              <input
+                type="month"
+                value={range.from}
+                onChange={(e) => e.target.value && setRange({ ...range, from: e.target.value })}
+                className={inputClass}
+              />
+              <input
+                type="month"
+                value={range.to}
+                onChange={(e) => e.target.value && setRange({ ...range, to: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          {error && <p className="text-sm text-red-600 bg-red-50 rounded-lg px-3 py-2">{error}</p>}
+          {report?.missingRates.length > 0 && (
+            <p className="text-sm text-yellow-800 bg-yellow-50 rounded-lg px-3 py-2">
+              Sem taxa de cambio para {report.missingRates.join(', ')}: estes valores nao entram nos totais.
+            </p>
+          )}
+
+          {loadingReport && !report && (
+            <div className="h-64 flex items-center justify-center text-gray-400">
+              <FiLoader className="animate-spin" size={24} />
+            </div>
+          )}
+
+          {report && (
+            <>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                <div className="bg-gray-50 rounded-lg p-3">
+                  <p className="text-xs text-gray-500">Total gasto</p>
+                  <p className="font-semibold text-gray-900">{formatCurrency(summary.total)}</p>
+                </div>
+                <div className="bg-gray-50 rounded-lg p-3">
+                  <p className="text-xs text-gray-500">Media mensal</p>
+                  <p className="font-semibold text-gray-900">{formatCurrency(summary.average)}</p>
+                </div>
+                <div className="bg-gray-50 rounded-lg p-3">
+                  <p className="text-xs text-gray-500">Face ao ano anterior</p>
+                  <p className={`font-semibold ${summary.yearOverYear.change > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                    {formatChange(summary.yearOverYear.percentage)}
+                  </p>
+                </div>
+                <div className="bg-gray-50 rounded-lg p-3">
+                  <p className="text-xs text-gray-500">Dentro do orcamento</p>
+                  <p className="font-semibold text-gray-900">
+                    {summary.monthsWithBudget > 0 ? `${summary.monthsWithinBudget} de ${summary.monthsWithBudget} meses` : '-'}
+                  </p>
+                </div>
+              </div>
+
+              <div>
+                <h3 className="text-sm font-semibold text-gray-900 mb-2">Gastos por categoria</h3>
+                <div className="h-64">
+                  <Bar data={barData} options={chartOptions(true)} />
+                </div>
+              </div>
+
+              <div>
+                <h3 className="text-sm font-semibold text-gray-900 mb-2">Evolucao face ao orcamento e ao ano anterior</h3>
+                <div className="h-64">
+                  <Line data={lineData} options={chartOptions(false)} />
+                </div>
+              </div>
+
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500 border-b">
+                      <th className="py-2 pr-2 font-medium">Mes</th>
+                      <th className="py-2 px-2 font-medium text-right">Gasto</th>
+                      <th className="py-2 px-2 font-medium text-right">Orcamento</th>
+                      <th className="py-2 pl-2 font-medium text-right">Ano anterior</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-50">
+                    {report.months.map((m, index) => {
+                      const budgetClass = m.withinBudget === null
+                        ? 'text-gray-400'
+                        : m.withinBudget ? 'text-green-600' : 'text-red-600';
+                      return (
+                        <tr key={m.month}>
+                          <td className="py-2 pr-2 text-gray-600">{labels[index]}</td>
+                          <td className="py-2 px-2 text-right text-gray-900">{formatCurrency(m.total)}</td>
+                          <td className={`py-2 px-2 text-right ${budgetClass}`}>
+                            {m.budgetUsed === null ? '-' : `${m.budgetUsed.toFixed(0)}%`}
+                          </td>
+                          <td className={`py-2 pl-2 text-right ${m.yearOverYear.change > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                            {formatChange(m.yearOverYear.percentage)}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Yearly IRS summary: deductible expenses per class against the legal caps
+const IrsReportModal = ({ onClose, showToast }) => {
+  // Returns are filed for the year before
+  const [year, setYear] = useState(new Date().getFullYear() - 1);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+  const [loadingReport, setLoadingReport] = useState(true);
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      setLoadingReport(true);
+      try {
+        const response = await apiFetch(`/reports/irs/${year}`);
+        const data = await response.json();
+        if (!response.ok) throw responseError(data, 'Erro ao carregar resumo do IRS');
+
+        setReport(data);
+        setError('');
+      } catch (err) {
+        setReport(null);
+        setError(err.message);
+      } finally {
+        setLoadingReport(false);
+      }
+    };
+    fetchReport();
+  }, [year]);
+
+  const handleExport = async () => {
+    try {
+      const response = await apiFetch(`/reports/irs/${year}?format=csv`);
+      if (!response.ok) throw new Error('Erro ao exportar');
+      downloadBlob(await response.blob(), `irs_${year}.csv`);
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  };
+
+  const years = Array.from({ length: 6 }, (_, index) => new Date().getFullYear() - index);
+  const formatEuros = (value) => formatCurrency(value, 'EUR');
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-start sm:items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-white rounded-2xl shadow-xl max-w-2xl w-full my-4 max-h-[calc(100vh-2rem)] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b flex-shrink-0">
+          <h2 className="text-lg font-semibold">Resumo IRS</h2>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+            <FiX size={20} />
+          </button>
+        </div>
+        <div className="p-4 space-y-4 overflow-y-auto flex-1">
+          <div className="flex gap-2">
+            <select
+              value={year}
+              onChange={(e) => setYear(Number(e.target.value))}
+              className="flex-1 px-3 py-2 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-primary-500"
+            >
+              {years.map((y) => (
+                <option key={y} value={y}>{y}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleExport}
+              disabled={!report}
+              className="flex items-center gap-2 px-4 py-2 bg-primary-500 text-white rounded-lg text-sm hover:bg-primary-600 disabled:opacity-50"
+            >
+              <FiDownload size={16} />
+              Exportar CSV
+            </button>
+          </div>
+
+          {error && <p className="text-sm text-red-600 bg-red-50 rounded-lg px-3 py-2">{error}</p>}
+          {report?.missingRates.length > 0 && (
+            <p className="text-sm text-yellow-800 bg-yellow-50 rounded-lg px-3 py-2">
+              Sem taxa de cambio para {report.missingRates.join(', ')}: estes valores nao entram nos totais.
+            </p>
+          )}
+
+          {loadingReport && !report && (
+            <div className="h-40 flex items-center justify-center text-gray-400">
+              <FiLoader className="animate-spin" size={24} />
+            </div>
+          )}
+
+          {report && (
+            <>
+              <div className="bg-primary-50 rounded-lg p-4 flex items-center justify-between">
+                <div>
+                  <p className="text-xs text-primary-600">Deducao estimada em {report.year}</p>
+                  <p className="text-2xl font-bold text-primary-700">{formatEuros(report.totalDeduction)}</p>
+                </div>
+                {report.unclassified > 0 && (
+                  <p className="text-xs text-gray-500 text-right max-w-[12rem]">
+                    {report.unclassified} despesas sem classe IRS neste ano
+                  </p>
+                )}
+              </div>
+
+              <div className="space-y-2">
+                {report.classes.map((irsClass) => {
+                  const used = irsClass.cap > 0 ? Math.min((irsClass.deduction / irsClass.cap) * 100, 100) : 0;
+                  const open = expanded === irsClass.id;
+                  return (
+                    <div key={irsClass.id} className="border border-gray-100 rounded-lg">
+                      <button
+                        onClick={() => setExpanded(open ? null : irsClass.id)}
+                        className="w-full p-3 text-left hover:bg-gray-50 rounded-lg"
+                      >
+                        <div className="flex items-center justify-between gap-2 mb-1">
+                          <span className="font-medium text-gray-900 text-sm">{irsClass.name}</span>
+                          <span className="text-sm text-gray-900">
+                            {formatEuros(irsClass.deduction)}
+                            <span className="text-gray-400"> / {formatEuros(irsClass.cap)}</span>
+                          </span>
+                        </div>
+                        <div className="w-full bg-gray-100 rounded-full h-1.5 mb-1">
+                          <div
+                            className={`h-1.5 rounded-full ${irsClass.capReached ? 'bg-green-500' : 'bg-primary-500'}`}
+                            style={{ width: `${used}%` }}
+                          />
+                        </div>
+                        <p className="text-xs text-gray-500">
+                          {irsClass.expenses.length} despesas • {formatEuros(irsClass.total)} gastos
+                          {irsClass.capReached ? ' • limite atingido' : ` • faltam ${formatEuros(irsClass.remaining)} de deducao`}
+                          {irsClass.withoutInvoice > 0 && (
+                            <span className="text-yellow-700"> • {irsClass.withoutInvoice} sem NIF ou fatura</span>
+                          )}
+                        </p>
+                      </button>
+                      {open && irsClass.expenses.length > 0 && (
+                        <div className="border-t border-gray-100 divide-y divide-gray-50">
+                          {irsClass.expenses.map((expense) => (
+                            <div key={expense.id} className="flex items-center gap-3 px-3 py-2 text-sm">
+                              <span className="text-gray-500 w-20 flex-shrink-0">
+                                {new Date(expense.date).toLocaleDateString('pt-PT')}
+                              </span>
+                              <div className="flex-1 min-w-0">
+                                <p className="text-gray-900 truncate">{expense.description}</p>
+                                <p className="text-xs text-gray-400 truncate">
+                                  {[expense.nif && `NIF ${expense.nif}`, expense.invoice_number].filter(Boolean).join(' • ') || 'Sem fatura'}
+                                </p>
+                              </div>
+                              {expense.attachments.length > 0 && <FiPaperclip size={14} className="text-gray-400" title="Com recibo" />}
+                              <span className="text-gray-900 flex-shrink-0">
+                                {expense.converted_amount !== null ? formatEuros(expense.converted_amount) : '-'}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+              <p className="text-xs text-gray-400">
+                Valores indicativos, com os limites legais em vigor. Na exigencia de fatura o IVA e estimado a 23%.
+              </p>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Snapshot of the data kept in this browser, in the server's backup format
+const buildLocalBackup = () => ({
+  app: 'gestao-gastos',
+  version: 1,
+  exported_at: new Date().toISOString(),
+  categories: storage.getCategories().map(({ id, name, color, icon }) => ({ slug: id, name, color, icon })),
+  expenses: activeExpenses().map(({ id, description, amount, category, date }) => ({
+    id, description, amount, category, date,
+  })),
+  budgets: Object.entries(storage.getBudgets()).map(([month, amount]) => ({ month, amount })),
+  category_budgets: Object.entries(storage.getCategoryBudgets()).flatMap(([month, limits]) => (
+    Object.entries(limits).map(([category, amount]) => ({ month, category, amount }))
+  )),
+});
+
+// Backup and restore modal. Offline it can only save the browser's data.
+const BackupModal = ({ useApi, onClose, onRestored, showToast }) => {
+  const [snapshot, setSnapshot] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [mode, setMode] = useState('merge');
+  const [busy, setBusy] = useState(false);
+  const localExpenses = activeExpenses().length;
+
+  const handleDownload = async () => {
+    try {
+      let blob;
+      if (useApi) {
+        const response = await apiFetch('/backup');
+        if (!response.ok) throw new Error('Erro ao criar copia de seguranca');
+        blob = await response.blob();
+      } else {
+        blob = new Blob([JSON.stringify(buildLocalBackup(), null, 2)], { type: 'application/json' });
+      }
+      downloadBlob(blob, `gestao-gastos_backup_${new Date().toISOString().slice(0, 10)}.json`);
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      setSnapshot(JSON.parse(await file.text()));
+      setFileName(file.name);
+    } catch {
+      showToast('O ficheiro nao e uma copia de seguranca valida', 'error');
+    }
+  };
+
+  // Send a snapshot to the server and report what was loaded
+  const restore = async (backup, restoreMode) => {
+    setBusy(true);
+    try {
+      const response = await apiFetch('/restore', {
+        method: 'POST',
+        body: JSON.stringify({ backup, mode: restoreMode }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Erro ao restaurar');
+
+      showToast(`${data.restored.expenses} despesas restauradas`);
+      onRestored();
+      onClose();
+    } catch (error) {
+      showToast(error.message, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRestore = () => {
+    if (mode === 'replace' && !confirm('Substituir todos os dados atuais pela copia de seguranca?')) return;
+    restore(snapshot, mode);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-start sm:items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-white rounded-2xl shadow-xl max-w-md w-full my-4 max-h-[calc(100vh-2rem)] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b flex-shrink-0">
+          <h2 className="text-lg font-semibold">Copia de Seguranca</h2>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+            <FiX size={20} />
+          </button>
+        </div>
+        <div className="p-4 space-y-5 overflow-y-auto flex-1">
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 mb-1">Guardar</h3>
+            <p className="text-xs text-gray-500 mb-2">
+              {useApi
+                ? 'Descarrega todas as despesas, orcamentos, categorias e despesas recorrentes.'
+                : 'Descarrega os dados guardados neste navegador.'}
+            </p>
+            <button
+              onClick={handleDownload}
+              className="w-full flex items-center justify-center gap-2 px-4 py-2.5 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              <FiDownload size={16} />
+              Descarregar copia
+            </button>
+          </div>
+
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 mb-1">Restaurar</h3>
+            {useApi ? (
+              <div className="space-y-2">
+                <label className="flex items-center gap-2 px-3 py-2.5 border-2 border-dashed border-gray-200 rounded-lg cursor-pointer hover:border-primary-500 text-sm text-gray-500">
+                  <FiUpload size={16} />
+                  <span className="truncate">{fileName || 'Escolher ficheiro de copia (.json)'}</span>
+                  <input type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+                </label>
+                <select
+                  value={mode}
+                  onChange={(e) => setMode(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-primary-500"
+                >
+                  <option value="merge">Juntar aos dados atuais</option>
+                  <option value="replace">Substituir os dados atuais</option>
+                </select>
+                <button
+                  onClick={handleRestore}
+                  disabled={!snapshot || busy}
+                  className="w-full px-4 py-2.5 bg-primary-500 text-white rounded-lg hover:bg-primary-600 disabled:opacity-50"
+                >
+                  Restaurar
+                </button>
+              </div>
+            ) : (
+              <p className="text-xs text-gray-500">Restaurar uma copia requer ligacao ao servidor.</p>
+            )}
+          </div>
+
+          {useApi && localExpenses > 0 && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 mb-1">Dados deste navegador</h3>
+              <p className="text-xs text-gray-500 mb-2">
+                Existem {localExpenses} despesas guardadas apenas neste navegador. Envie-as para a sua conta.
+              </p>
+              <button
+                onClick={() => restore(buildLocalBackup(), 'merge')}
+                disabled={busy}
+                className="w-full flex items-center justify-center gap-2 px-4 py-2.5 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+              >
+                <FiUploadCloud size={16} />
+                Enviar para o servidor
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Deleted expenses, until they are removed for good. Works offline on this browser's copy.
+const TrashModal = ({ useApi, getCategoryInfo, onClose, onChanged, showToast }) => {
+  const [items, setItems] = useState([]);
+  const [loadingItems, setLoadingItems] = useState(true);
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      if (useApi) {
+        const response = await apiFetch('/expenses/trash');
+        if (response.ok) setItems((await response.json()).expenses);
+      } else {
+        purgeLocalTrash();
+        setItems(localTrash());
+      }
+    } catch (error) {
+      console.error('Erro ao carregar o lixo:', error);
+    } finally {
+      setLoadingItems(false);
+    }
+  }, [useApi]);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const restoreItem = async (id) => {
+    try {
+      if (useApi) {
+        const response = await apiFetch(`/expenses/${id}/restore`, { method: 'POST' });
+        if (!response.ok) throw responseError(await response.json(), 'Erro ao restaurar');
+      } else {
+        localBulk.restore([id]);
+      }
+
+      showToast('Despesa restaurada');
+      setItems((current) => current.filter((item) => item.id !== id));
+      onChanged();
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  const emptyTrash = async () => {
+    if (!confirm(`Eliminar definitivamente ${items.length} despesa(s)? Esta acao nao pode ser desfeita.`)) return;
+    try {
+      if (useApi) {
+        const response = await apiFetch('/expenses/trash', { method: 'DELETE' });
+        if (!response.ok) throw responseError(await response.json(), 'Erro ao esvaziar o lixo');
+      } else {
+        purgeLocalTrash({ all: true });
+      }
+
+      showToast('Lixo esvaziado');
+      setItems([]);
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-start sm:items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-white rounded-2xl shadow-xl max-w-md w-full my-4 max-h-[calc(100vh-2rem)] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b flex-shrink-0">
+          <h2 className="text-lg font-semibold">Lixo</h2>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+            <FiX size={20} />
+          </button>
+        </div>
+        <p className="px-4 pt-3 text-xs text-gray-500">
+          As despesas eliminadas ficam aqui {TRASH_RETENTION_DAYS} dias e depois sao removidas automaticamente.
+        </p>
+        <div className="divide-y divide-gray-50 overflow-y-auto flex-1">
+          {loadingItems && (
+            <div className="p-8 flex justify-center">
+              <FiLoader className="animate-spin text-primary-500" size={24} />
+            </div>
+          )}
+          {!loadingItems && items.length === 0 && (
+            <div className="p-8 text-center text-gray-400">
+              <FiTrash2 size={32} className="mx-auto mb-2 opacity-50" />
+              <p className="text-sm">O lixo esta vazio.</p>
+            </div>
+          )}
+          {items.map((expense) => {
+            const category = getCategoryInfo(expense.category);
+            return (
+              <div key={expense.id} className="flex items-center gap-3 p-4">
+                <div
+                  className="w-10 h-10 rounded-lg flex items-center justify-center text-lg flex-shrink-0"
+                  style={{ backgroundColor: category.color }}
+                >
+                  {category.icon}
+                </div>
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium text-gray-900 text-sm truncate">{expense.description}</p>
+                  <p className="text-xs text-gray-500">
+                    {new Date(expense.date).toLocaleDateString('pt-PT')} • removida a{' '}
+                    {new Date(expense.purge_at).toLocaleDateString('pt-PT')}
+                  </p>
+                </div>
+                <p className="font-semibold text-gray-900 text-sm">{formatCurrency(expense.amount, expense.currency)}</p>
+                <button
+                  onClick={() => restoreItem(expense.id)}
+                  className="p-2 text-gray-400 hover:text-primary-500 hover:bg-primary-50 rounded-lg transition-colors flex-shrink-0"
+                  title="Restaurar"
+                >
+                  <FiRotateCcw size={16} />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+        {items.length > 0 && (
+          <div className="p-4 border-t flex-shrink-0">
+            <button
+              onClick={emptyTrash}
+              className="w-full flex items-center justify-center gap-2 px-4 py-2.5 border border-red-200 text-red-600 rounded-lg hover:bg-red-50"
+            >
+              <FiTrash2 size={16} />
+              Esvaziar lixo
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Read a text file, falling back to Windows-1252 (common in Portuguese bank exports)
+const readTextFile = async (file) => {
+  const buffer = await file.arrayBuffer();
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+};
+
+// Index of the first header matching a pattern ('' when none does)
+const guessColumn = (headers, pattern) => {
+  const index = headers.findIndex((header) => pattern.test(header.toLowerCase()));
+  return index === -1 ? '' : String(index);
+};
+
+// Bank statement import wizard: upload, map columns, preview and confirm
+const ImportModal = ({ categories, onClose, onImported, showToast }) => {
+  const [step, setStep] = useState('upload');
+  const [content, setContent] = useState('');
+  const [fileInfo, setFileInfo] = useState(null);
+  const [options, setOptions] = useState({
+    hasHeader: true,
+    debitsOnly: true,
+    defaultCategory: categories.find((c) => c.id === 'outros')?.id ?? categories[0]?.id,
+  });
+  const [mapping, setMapping] = useState({ description: '', amount: '', date: '', category: '' });
+  const [rows, setRows] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  // Send the file to the import endpoint with the current options
+  const postImport = async (body) => {
+    setBusy(true);
+    try {
+      const response = await apiFetch('/import/csv', {
+        method: 'POST',
+        body: JSON.stringify({ content, ...options, ...body }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Erro ao importar');
+      return data;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Describe the file and guess which column is which
+  const describeFile = async (text, hasHeader) => {
+    try {
+      const response = await apiFetch('/import/csv', {
+        method: 'POST',
+        body: JSON.stringify({ content: text, hasHeader }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Erro ao ler ficheiro');
+
+      setFileInfo(data);
+      setMapping({
+        description: guessColumn(data.headers, /desc|movimento|nome/),
+        amount: guessColumn(data.headers, /valor|montante|quantia|amount/),
+        date: guessColumn(data.headers, /data|date/),
+        category: guessColumn(data.headers, /categ/),
+      });
+      setStep('mapping');
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const text = await readTextFile(file);
+    setContent(text);
+    describeFile(text, options.hasHeader);
+  };
+
+  const toMappingBody = () => ({
+    description: Number(mapping.description),
+    amount: Number(mapping.amount),
+    date: Number(mapping.date),
+    category: mapping.category === '' ? null : Number(mapping.category),
+  });
+
+  const handlePreview = async () => {
+    if (mapping.description === '' || mapping.amount === '' || mapping.date === '') {
+      showToast('Indique as colunas de descricao, valor e data', 'error');
+      return;
+    }
+
+    try {
+      const data = await postImport({ mapping: toMappingBody() });
+      setRows(data.rows);
+      setSelected(data.rows
+        .filter((row) => row.errors.length === 0 && !row.skipped && !row.duplicate)
+        .map((row) => row.index));
+      setStep('preview');
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
 
-// Format currency
-const formatCurrency = (value) => {
-  return new Intl.NumberFormat('pt-PT', {
-    style: 'currency',
-    currency: 'EUR',
-  }).format(value);
-};
+  const handleCommit = async () => {
+    try {
+      const data = await postImport({ mapping: toMappingBody(), commit: true, include: selected });
+      showToast(`${data.imported} despesas importadas`);
+      onImported();
+      onClose();
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
 
-// Get month name
-const getMonthName = (date) => {
-  return new Date(date).toLocaleDateString('pt-PT', { month: 'long', year: 'numeric' });
-};
+  const toggleRow = (index) => {
+    setSelected(selected.includes(index) ? selected.filter((i) => i !== index) : [...selected, index]);
+  };
 
-// Toast notification component
-const Toast = ({ message, type, onClose }) => {
-  useEffect(() => {
-    const timer = setTimeout(onClose, 3000);
-    return () => clearTimeout(timer);
-  }, [onClose]);
+  const selectClass = 'w-full px-3 py-2 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-primary-500';
+  const columnOptions = fileInfo?.headers.map((header, index) => (
+    <option key={index} value={String(index)}>{header || `Coluna ${index + 1}`}</option>
+  ));
 
   return (
-    <div className={`fixed bottom-4 right-4 z-50 flex items-center gap-3 px-4 py-3 rounded-xl shadow-lg animate-slide-up ${
-      type === 'success' ? 'bg-green-500 text-white' :
-      type === 'error' ? 'bg-red-500 text-white' :
-      'bg-gray-800 text-white'
-    }`}>
-      {type === 'success' && <FiCheck size={20} />}
-      {type === 'error' && <FiAlertCircle size={20} />}
-      <span className="font-medium">{message}</span>
+    <div className="fixed inset-0 bg-black/50 flex items-start sm:items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-white rounded-2xl shadow-xl max-w-2xl w-full my-4 max-h-[calc(100vh-2rem)] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b flex-shrink-0">
+          <h2 className="text-lg font-semibold">Importar Extrato (CSV)</h2>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+            <FiX size={20} />
+          </button>
+        </div>
+
+        {step === 'upload' && (
+          <div className="p-4 space-y-4">
+            <label className="flex flex-col items-center gap-2 p-8 border-2 border-dashed border-gray-200 rounded-xl cursor-pointer hover:border-primary-500 text-gray-500">
+              <FiUpload size={32} />
+              <span className="text-sm">Escolha o ficheiro CSV exportado do banco</span>
+              <input type="file" accept=".csv,.txt,text/csv" onChange={handleFile} className="hidden" />
+            </label>
+          </div>
+        )}
+
+        {step === 'mapping' && fileInfo && (
+          <div className="p-4 space-y-4 overflow-y-auto flex-1">
+            <p className="text-sm text-gray-600">
+              {fileInfo.total} linhas encontradas. Indique o que contem cada coluna.
+            </p>
+            <div className="grid grid-cols-2 gap-3">
+              {[
+                ['description', 'Descricao *'],
+                ['amount', 'Valor *'],
+                ['date', 'Data *'],
+                ['category', 'Categoria'],
+              ].map(([field, label]) => (
+                <div key={field}>
+                  <label className="block text-xs text-gray-500 mb-1">{label}</label>
+                  <select
+                    value={mapping[field]}
+                    onChange={(e) => setMapping({ ...mapping, [field]: e.target.value })}
+                    className={selectClass}
+                  >
+                    <option value="">-</option>
+                    {columnOptions}
+                  </select>
+                </div>
+              ))}
+            </div>
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Categoria quando nenhuma regra se aplica</label>
+              <select
+                value={options.defaultCategory}
+                onChange={(e) => setOptions({ ...options, defaultCategory: e.target.value })}
+                className={selectClass}
+              >
+                {categories.map((cat) => (
+                  <option key={cat.id} value={cat.id}>{cat.icon} {cat.name}</option>
+                ))}
+              </select>
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={options.hasHeader}
+                onChange={(e) => {
+                  setOptions({ ...options, hasHeader: e.target.checked });
+                  describeFile(content, e.target.checked);
+                }}
+                className="rounded text-primary-500 focus:ring-primary-500"
+              />
+              A primeira linha tem os nomes das colunas
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={options.debitsOnly}
+                onChange={(e) => setOptions({ ...options, debitsOnly: e.target.checked })}
+                className="rounded text-primary-500 focus:ring-primary-500"
+              />
+              Importar apenas debitos (ignorar valores positivos)
+            </label>
+            <div className="overflow-x-auto border border-gray-100 rounded-lg">
+              <table className="w-full text-xs">
+                <thead className="bg-gray-50 text-gray-500">
+                  <tr>
+                    {fileInfo.headers.map((header, index) => <th key={index} className="px-2 py-1 text-left">{header}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {fileInfo.sample.map((cells, rowIndex) => (
+                    <tr key={rowIndex} className="border-t border-gray-50">
+                      {cells.map((cell, index) => <td key={index} className="px-2 py-1 whitespace-nowrap">{cell}</td>)}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="flex gap-3">
+              <button
+                onClick={() => setStep('upload')}
+                className="flex-1 px-4 py-2.5 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50"
+              >
+                Voltar
+              </button>
+              <button
+                onClick={handlePreview}
+                disabled={busy}
+                className="flex-1 px-4 py-2.5 bg-primary-500 text-white rounded-lg hover:bg-primary-600 disabled:opacity-50"
+              >
+                Pre-visualizar
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 'preview' && (
+          <>
+            <div className="overflow-y-auto flex-1">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-gray-500 text-xs sticky top-0">
+                  <tr>
+                    <th className="px-3 py-2" />
+                    <th className="px-3 py-2 text-left">Data</th>
+                    <th className="px-3 py-2 text-left">Descricao</th>
+                    <th className="px-3 py-2 text-right">Valor</th>
+                    <th className="px-3 py-2 text-left">Estado</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-50">
+                  {rows.map((row) => {
+                    const importable = row.errors.length === 0 && !row.skipped;
+                    return (
+                      <tr key={row.index} className={importable ? '' : 'text-gray-400'}>
+                        <td className="px-3 py-2">
+                          <input
+                            type="checkbox"
+                            checked={selected.includes(row.index)}
+                            onChange={() => toggleRow(row.index)}
+                            disabled={!importable}
+                            className="rounded text-primary-500 focus:ring-primary-500"
+                          />
+                        </td>
+                        <td className="px-3 py-2 whitespace-nowrap">
+                          {row.date ? new Date(row.date).toLocaleDateString('pt-PT') : '-'}
+                        </td>
+                        <td className="px-3 py-2 truncate max-w-[12rem]">{row.description || '-'}</td>
+                        <td className="px-3 py-2 text-right whitespace-nowrap">
+                          {row.amount !== null ? formatCurrency(row.amount) : '-'}
+                        </td>
+                        <td className="px-3 py-2 text-xs">
+                          {row.errors.length > 0 && <span className="text-red-600">{row.errors.join(', ')}</span>}
+                          {row.skipped && <span>Credito ignorado</span>}
+                          {importable && row.duplicate && (
+                            <span className="text-yellow-700" title={row.duplicate.description}>Possivel duplicado</span>
+                          )}
+                          {importable && !row.duplicate && <span className="text-green-600">Nova</span>}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <div className="flex gap-3 p-4 border-t flex-shrink-0">
+              <button
+                onClick={() => setStep('mapping')}
+                className="flex-1 px-4 py-2.5 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50"
+              >
+                Voltar
+              </button>
+              <button
+                onClick={handleCommit}
+                disabled={busy || selected.length === 0}
+                className="flex-1 px-4 py-2.5 bg-primary-500 text-white rounded-lg hover:bg-primary-600 disabled:opacity-50"
+              >
+                Importar {selected.length} despesas
+              </button>
+            </div>
+          </>
+        )}
+      </div>
     </div>
   );
 };
 
 function App() {
   const [expenses, setExpenses] = useState([]);
+  const [incomes, setIncomes] = useState([]);
+  const [categories, setCategories] = useState(storage.getCategories);
   const [budget, setBudget] = useState(0);
+  // Online: the month's own amount, the base budget, what carried over and where the base comes from
+  const [budgetDetails, setBudgetDetails] = useState(null);
+  const [budgetPolicy, setBudgetPolicy] = useState(null);
+  const [categoryBudgets, setCategoryBudgets] = useState({});
+  const [settings, setSettings] = useState(storage.getSettings);
   const [loading, setLoading] = useState(true);
   const [useApi, setUseApi] = useState(true);
+  const [user, setUser] = useState(null);
+  const [sessionChecked, setSessionChecked] = useState(false);
   const [showModal, setShowModal] = useState(false);
   const [showBudgetModal, setShowBudgetModal] = useState(false);
+  const [showRecurringModal, setShowRecurringModal] = useState(false);
+  const [showCategoriesModal, setShowCategoriesModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [showReportsModal, setShowReportsModal] = useState(false);
+  const [showCurrencyModal, setShowCurrencyModal] = useState(false);
+  const [showIrsModal, setShowIrsModal] = useState(false);
+  const [showHouseholdModal, setShowHouseholdModal] = useState(false);
+  const [showRulesModal, setShowRulesModal] = useState(false);
+  // Household members, who owes whom, and the payer and split of the expense being edited
+  const [members, setMembers] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [showTemplatesModal, setShowTemplatesModal] = useState(false);
+  const [showQuickAdd, setShowQuickAdd] = useState(false);
+  const [descriptionSuggestions, setDescriptionSuggestions] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [balances, setBalances] = useState(null);
+  const [splitForm, setSplitForm] = useState({ payer_id: '', enabled: false, type: 'equal', selected: [], values: {} });
+  // Receipts of the expense being edited, and files picked to upload when it is saved
+  const [formAttachments, setFormAttachments] = useState([]);
+  const [pendingFiles, setPendingFiles] = useState([]);
+  const [showBackupModal, setShowBackupModal] = useState(false);
+  const [showTrashModal, setShowTrashModal] = useState(false);
+  const [showToolsMenu, setShowToolsMenu] = useState(false);
   const [editingId, setEditingId] = useState(null);
+  const [formType, setFormType] = useState('expense');
+  const [incomeSource, setIncomeSource] = useState('salario');
   const [selectedMonth, setSelectedMonth] = useState(new Date().toISOString().slice(0, 7));
   const [filterCategory, setFilterCategory] = useState('');
   const [currentPage, setCurrentPage] = useState(1);
+  const [searchInput, setSearchInput] = useState('');
+  const [listQuery, setListQuery] = useState({ q: '', sort: 'date', order: 'desc', allMonths: false });
+  const [expensePage, setExpensePage] = useState({ items: [], total: 0 });
+  // Expenses ticked in the list for a bulk change, and the date they can be moved to
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkDate, setBulkDate] = useState('');
   const [toast, setToast] = useState(null);
   const [formData, setFormData] = useState({
     description: '',
     amount: '',
+    currency: settings.baseCurrency,
     category: 'alimentacao',
     date: new Date().toISOString().split('T')[0],
+    irs_class: '',
+    nif: '',
+    invoice_number: '',
+  });
+  const [recurringForm, setRecurringForm] = useState({
+    enabled: false,
+    frequency: 'monthly',
+    end_date: '',
   });
   const [budgetInput, setBudgetInput] = useState('');
+  const [policyInput, setPolicyInput] = useState({ default_amount: '', rollover: 'none' });
+  const [categoryBudgetInputs, setCategoryBudgetInputs] = useState({});
+  const [settingsInput, setSettingsInput] = useState(settings);
+  const [formErrors, setFormErrors] = useState({});
+  const [budgetErrors, setBudgetErrors] = useState({});
 
-  // Show toast notification
-  const showToast = (message, type = 'success') => {
-    setToast({ message, type });
+  // Show toast notification, optionally with an action such as "Desfazer"
+  const showToast = (message, type = 'success', action = null) => {
+    setToast({ message, type, action });
   };
 
   // Fetch expenses (API or localStorage)
@@ -126,12 +3074,14 @@ function App() {
         if (selectedMonth) params.append('month', selectedMonth);
         if (filterCategory) params.append('category', filterCategory);
 
-        const response = await fetch(`${API_URL}/expenses?${params}`);
+        const response = await apiFetch(`/expenses?${params}`);
+        if (!response.ok) return;
         const data = await response.json();
         setExpenses(data);
       } else {
-        // Use localStorage
-        let data = storage.getExpenses();
+        // Use localStorage, clearing out what has been in the trash too long
+        purgeLocalTrash();
+        let data = activeExpenses();
         if (selectedMonth) {
           data = data.filter((e) => e.date.startsWith(selectedMonth));
         }
@@ -146,53 +3096,310 @@ function App() {
     }
   }, [selectedMonth, filterCategory, useApi]);
 
+  // Fetch the month's incomes (online only)
+  const fetchIncomes = useCallback(async (apiAvailable = useApi) => {
+    if (!apiAvailable) {
+      setIncomes([]);
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`/incomes?month=${selectedMonth}`);
+      if (!response.ok) return;
+      setIncomes(await response.json());
+    } catch (error) {
+      console.error('Erro ao carregar receitas:', error);
+    }
+  }, [selectedMonth, useApi]);
+
+  // Fetch household members (online only)
+  const fetchTemplates = useCallback(async (apiAvailable = useApi) => {
+    if (!apiAvailable) {
+      setTemplates([]);
+      return;
+    }
+
+    try {
+      const response = await apiFetch('/templates');
+      if (!response.ok) return;
+      setTemplates(await response.json());
+    } catch (error) {
+      console.error('Erro ao carregar modelos:', error);
+    }
+  }, [useApi]);
+
+  const fetchMembers = useCallback(async (apiAvailable = useApi) => {
+    if (!apiAvailable) {
+      setMembers([]);
+      return;
+    }
+
+    try {
+      const response = await apiFetch('/members');
+      if (!response.ok) return;
+      setMembers(await response.json());
+    } catch (error) {
+      console.error('Erro ao carregar membros:', error);
+    }
+  }, [useApi]);
+
+  const fetchBalances = useCallback(async () => {
+    try {
+      const response = await apiFetch('/balances');
+      if (!response.ok) return;
+      setBalances(await response.json());
+    } catch (error) {
+      console.error('Erro ao carregar saldos:', error);
+    }
+  }, []);
+
+  // Balances only mean something with more than one member; refresh them as expenses change
+  useEffect(() => {
+    if (members.length < 2) {
+      setBalances(null);
+      return;
+    }
+    fetchBalances();
+  }, [fetchBalances, members, expenses]);
+
+  // Fetch categories (kept in localStorage for offline use)
+  const fetchCategories = useCallback(async () => {
+    try {
+      const response = await apiFetch('/categories');
+      if (!response.ok) return;
+
+      const data = await response.json();
+      const list = data.map(({ slug, name, color, icon }) => ({ id: slug, name, color, icon }));
+      storage.setCategories(list);
+      setCategories(list);
+    } catch (error) {
+      console.error('Erro ao carregar categorias:', error);
+    }
+  }, []);
+
   // Fetch budget (API or localStorage)
   const fetchBudget = useCallback(async (apiAvailable = useApi) => {
     try {
       if (apiAvailable) {
-        const response = await fetch(`${API_URL}/budgets/${selectedMonth}`);
+        const response = await apiFetch(`/budgets/${selectedMonth}`);
+        if (!response.ok) return;
         const data = await response.json();
-        setBudget(data.amount || 0);
+        // Spending is measured against the effective budget (default budget and rollover included)
+        setBudget(Number(data.effective ?? data.amount ?? 0));
+        setBudgetDetails({ amount: data.amount, base: data.base, carried: data.carried, source: data.source });
+        setCategoryBudgets(Object.fromEntries(
+          Object.entries(data.categories || {}).map(([category, amount]) => [category, Number(amount)])
+        ));
       } else {
         // Use localStorage
         const budgets = storage.getBudgets();
         setBudget(budgets[selectedMonth] || 0);
+        setBudgetDetails(null);
+        setCategoryBudgets(storage.getCategoryBudgets()[selectedMonth] || {});
       }
     } catch (error) {
       console.error('Erro ao carregar orcamento:', error);
     }
   }, [selectedMonth, useApi]);
 
-  // Check API availability and load data
+  // Check API availability and restore the session
+  const connect = useCallback(async () => {
+    const apiAvailable = await checkApiAvailable();
+
+    if (apiAvailable && localStorage.getItem(STORAGE_KEYS.token)) {
+      const response = await apiFetch('/auth/me');
+      if (response.ok) setUser(await response.json());
+    }
+    setUseApi(apiAvailable);
+    setSessionChecked(true);
+  }, []);
+
+  useEffect(() => {
+    connect();
+  }, [connect]);
+
+  // While offline, keep checking whether the API is back
+  useEffect(() => {
+    if (useApi) return;
+    const interval = setInterval(connect, RECONNECT_INTERVAL);
+    return () => clearInterval(interval);
+  }, [useApi, connect]);
+
+  // Replay changes made offline once the API is reachable
+  const syncPending = useCallback(async () => {
+    if (storage.getSyncQueue().length === 0) return;
+
+    try {
+      const { applied, conflicts, rejected } = await flushSyncQueue();
+      const problems = [
+        conflicts > 0 && `${conflicts} em conflito (mantida a versao do servidor)`,
+        rejected.length > 0 && `${rejected.length} rejeitada(s) por dados invalidos (${rejected.join('; ')})`,
+      ].filter(Boolean);
+      setToast(problems.length > 0
+        ? { message: `${applied} alteracoes sincronizadas, ${problems.join(', ')}`, type: 'error' }
+        : { message: `${applied} alteracoes offline sincronizadas`, type: 'success' });
+    } catch (error) {
+      console.error('Erro ao sincronizar:', error);
+    }
+  }, []);
+
+  // Totals are shown in the account's base currency
+  useEffect(() => {
+    if (!user?.base_currency || user.base_currency === settings.baseCurrency) return;
+    const updated = { ...settings, baseCurrency: user.base_currency };
+    storage.setSettings(updated);
+    setSettings(updated);
+  }, [user, settings]);
+
+  // Return to the login screen when the API rejects the session
   useEffect(() => {
+    const handleExpired = () => setUser(null);
+    window.addEventListener('session-expired', handleExpired);
+    return () => window.removeEventListener('session-expired', handleExpired);
+  }, []);
+
+  // Load data once the session is known
+  useEffect(() => {
+    if (!sessionChecked) return;
+    if (useApi && !user) {
+      setLoading(false);
+      return;
+    }
+
     const loadData = async () => {
       setLoading(true);
-      const apiAvailable = await checkApiAvailable();
-      setUseApi(apiAvailable);
-      await Promise.all([fetchExpenses(apiAvailable), fetchBudget(apiAvailable)]);
+      if (useApi) await Promise.all([syncPending(), fetchCategories()]);
+      await Promise.all([fetchExpenses(), fetchBudget(), fetchIncomes(), fetchMembers(), fetchTemplates()]);
       setLoading(false);
     };
     loadData();
-  }, [fetchExpenses, fetchBudget]);
+  }, [
+    fetchExpenses, fetchBudget, fetchIncomes, fetchMembers, fetchTemplates, fetchCategories, syncPending,
+    sessionChecked, useApi, user,
+  ]);
+
+  // Fetch the page of the expense list being shown (API or localStorage)
+  const fetchExpensePage = useCallback(async () => {
+    const { q, sort, order, allMonths } = listQuery;
+    const month = allMonths ? '' : selectedMonth;
+    const offset = (currentPage - 1) * ITEMS_PER_PAGE;
+
+    if (useApi) {
+      const params = new URLSearchParams({ sort, order, limit: ITEMS_PER_PAGE, offset });
+      if (month) params.append('month', month);
+      if (filterCategory) params.append('category', filterCategory);
+      if (q) params.append('q', q);
+
+      const response = await apiFetch(`/expenses?${params}`);
+      if (!response.ok) return null;
+      const { items, total } = await response.json();
+      return { items, total };
+    }
+
+    const matches = searchExpenses(
+      activeExpenses().filter((e) => (!month || e.date.startsWith(month))
+        && (!filterCategory || e.category === filterCategory)),
+      listQuery
+    );
+    return { items: matches.slice(offset, offset + ITEMS_PER_PAGE), total: matches.length };
+  }, [listQuery, selectedMonth, filterCategory, currentPage, useApi]);
+
+  // Reload the list whenever its query or the month's expenses change
+  useEffect(() => {
+    if (loading || (useApi && !user)) return;
+
+    let active = true;
+    fetchExpensePage()
+      .then((page) => {
+        if (active && page) setExpensePage(page);
+      })
+      .catch((error) => console.error('Erro ao carregar despesas:', error));
+    return () => {
+      active = false;
+    };
+  }, [fetchExpensePage, expenses, loading, useApi, user]);
+
+  // Suggest past descriptions while a new expense's description is typed
+  useEffect(() => {
+    const q = formData.description.trim();
+    if (!showModal || !useApi || editingId || formType !== 'expense' || q.length < 2) {
+      setDescriptionSuggestions([]);
+      return;
+    }
+
+    let active = true;
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await apiFetch(`/expenses/suggestions?${new URLSearchParams({ q, limit: 6 })}`);
+        if (!response.ok || !active) return;
+        const suggestions = await response.json();
+        // Nothing to suggest once the description is typed in full
+        if (active) setDescriptionSuggestions(suggestions.filter((s) => s.description !== q));
+      } catch (error) {
+        console.error('Erro ao carregar sugestoes:', error);
+      }
+    }, SEARCH_DELAY);
+    return () => {
+      active = false;
+      clearTimeout(timeout);
+    };
+  }, [formData.description, showModal, useApi, editingId, formType]);
+
+  // Search once typing pauses
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      const q = searchInput.trim();
+      setListQuery((query) => (query.q === q ? query : { ...query, q }));
+    }, SEARCH_DELAY);
+    return () => clearTimeout(timeout);
+  }, [searchInput]);
 
   // Reset page when filters change
   useEffect(() => {
     setCurrentPage(1);
-  }, [selectedMonth, filterCategory]);
+  }, [selectedMonth, filterCategory, listQuery]);
+
+  // A selection covers the page it was made on
+  useEffect(() => {
+    setSelectedIds([]);
+  }, [selectedMonth, filterCategory, listQuery, currentPage]);
 
-  // Calculate totals
-  const monthlyTotal = expenses.reduce((sum, e) => sum + e.amount, 0);
-  const remainingBudget = budget - monthlyTotal;
+  // Calculate totals (added up in cents)
+  const monthlyTotal = sumCents(expenses) / 100;
+  const remainingBudget = (toCents(budget) - sumCents(expenses)) / 100;
   const budgetPercentage = budget > 0 ? Math.min((monthlyTotal / budget) * 100, 100) : 0;
+  const monthlyIncome = sumCents(incomes) / 100;
+  // Currencies with no exchange rate, left out of the totals
+  const missingRates = [...new Set([...expenses, ...incomes]
+    .filter((item) => item.converted_amount === null)
+    .map((item) => item.currency))];
+  const balance = (sumCents(incomes) - sumCents(expenses)) / 100;
+  const savingsRate = monthlyIncome > 0 ? (balance / monthlyIncome) * 100 : null;
+
+  // Colour for a budget usage percentage, following the configured thresholds
+  const getBudgetLevel = (percentage) => {
+    if (percentage > settings.alertAt) return { text: 'text-red-600', bar: 'bg-red-500' };
+    if (percentage > settings.warnAt) return { text: 'text-yellow-600', bar: 'bg-yellow-500' };
+    return { text: 'text-green-600', bar: 'bg-green-500' };
+  };
 
   // Calculate by category for chart
-  const categoryTotals = CATEGORIES.map((cat) => {
-    const total = expenses
-      .filter((e) => e.category === cat.id)
-      .reduce((sum, e) => sum + e.amount, 0);
+  const categoryTotals = categories.map((cat) => {
+    const total = sumCents(expenses.filter((e) => e.category === cat.id)) / 100;
     return { ...cat, total };
   }).filter((cat) => cat.total > 0);
 
+  // Spending against each category limit
+  const categoryProgress = categories
+    .filter((cat) => categoryBudgets[cat.id] > 0)
+    .map((cat) => {
+      const limit = categoryBudgets[cat.id];
+      const spentCents = sumCents(expenses.filter((e) => e.category === cat.id));
+      const spent = spentCents / 100;
+      return { ...cat, spent, limit, remaining: (toCents(limit) - spentCents) / 100, percentage: (spent / limit) * 100 };
+    });
+  const overspentCategories = categoryProgress.filter((cat) => cat.percentage > settings.alertAt);
+
   // Get available months (last 12 months)
   const getAvailableMonths = () => {
     const months = [];
@@ -237,52 +3444,152 @@ function App() {
   // Handle form submit
   const handleSubmit = async (e) => {
     e.preventDefault();
-    const amount = parseFloat(formData.amount);
-    if (!formData.description || !amount || amount <= 0) {
-      showToast('Preencha todos os campos correctamente', 'error');
+    const amount = parseAmount(formData.amount);
+    const fields = validateExpenseForm(formData);
+    setFormErrors(fields);
+    if (Object.keys(fields).length > 0) return;
+
+    if (formType === 'income') {
+      try {
+        const response = await apiFetch(editingId ? `/incomes/${editingId}` : '/incomes', {
+          method: editingId ? 'PUT' : 'POST',
+          body: JSON.stringify({
+            description: formData.description,
+            amount,
+            currency: formData.currency,
+            source: incomeSource,
+            date: formData.date,
+          }),
+        });
+        if (!response.ok) throw responseError(await response.json(), editingId ? 'Erro ao atualizar' : 'Erro ao criar');
+
+        showToast(editingId ? 'Receita atualizada com sucesso' : 'Receita adicionada com sucesso');
+        closeModal();
+        fetchIncomes();
+      } catch (error) {
+        setFormErrors(error.fields || {});
+        showToast(error.message, 'error');
+      }
+      return;
+    }
+
+    // New recurring expenses are created as a rule; the server generates the expenses
+    if (recurringForm.enabled && !editingId && useApi) {
+      try {
+        const response = await apiFetch('/recurring', {
+          method: 'POST',
+          body: JSON.stringify({
+            description: formData.description,
+            amount,
+            currency: formData.currency,
+            category: formData.category,
+            frequency: recurringForm.frequency,
+            start_date: formData.date,
+            end_date: recurringForm.end_date || null,
+          }),
+        });
+        const data = await response.json();
+        if (!response.ok) throw responseError(data, 'Erro ao criar');
+
+        showToast('Despesa recorrente criada com sucesso');
+        closeModal();
+        fetchExpenses();
+      } catch (error) {
+        // The rule's first occurrence is the form's date
+        const { start_date: date, ...fields } = error.fields || {};
+        setFormErrors({ ...fields, ...(date && { date }) });
+        showToast(error.message, 'error');
+      }
       return;
     }
 
+    // The expense as it was before this edit, so the edit can be undone
+    const previous = editingId ? [...expenses, ...paginatedExpenses].find((e) => e.id === editingId) : null;
+    // The expense is kept when only its receipts fail to upload
+    let uploadError = null;
+    // Offered by the server when similar expenses keep being moved to the same category
+    let suggestedRule = null;
+
     try {
       if (useApi) {
-        if (editingId) {
-          const response = await fetch(`${API_URL}/expenses/${editingId}`, {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ ...formData, amount }),
-          });
-          if (!response.ok) throw new Error('Erro ao atualizar');
-        } else {
-          const response = await fetch(`${API_URL}/expenses`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ ...formData, amount }),
+        const response = await apiFetch(editingId ? `/expenses/${editingId}` : '/expenses', {
+          method: editingId ? 'PUT' : 'POST',
+          body: JSON.stringify({ ...formData, amount, ...splitFields() }),
+        });
+        const saved = await response.json();
+        if (!response.ok) throw responseError(saved, editingId ? 'Erro ao atualizar' : 'Erro ao criar');
+        suggestedRule = saved.suggested_rule;
+
+        if (pendingFiles.length > 0) {
+          await uploadAttachments(saved.id, pendingFiles).catch((error) => {
+            uploadError = error;
           });
-          if (!response.ok) throw new Error('Erro ao criar');
         }
       } else {
-        // Use localStorage
+        // Use localStorage and queue the change for the server
         const allExpenses = storage.getExpenses();
         if (editingId) {
           const index = allExpenses.findIndex((e) => e.id === editingId);
           if (index !== -1) {
-            allExpenses[index] = { ...allExpenses[index], ...formData, amount };
+            const existing = allExpenses[index];
+            allExpenses[index] = { ...existing, ...formData, amount };
+            if (existing.synced || existing.client_id) {
+              queueChange({
+                op: 'update',
+                entity: 'expense',
+                id: existing.synced ? existing.id : undefined,
+                client_id: existing.client_id,
+                base_updated_at: existing.updated_at,
+                data: { ...formData, amount },
+              });
+            }
           }
         } else {
+          const clientId = `tmp-${crypto.randomUUID()}`;
           const newExpense = {
-            id: Date.now(),
+            id: clientId,
+            client_id: clientId,
             ...formData,
             amount,
             created_at: new Date().toISOString(),
           };
           allExpenses.push(newExpense);
+          queueChange({ op: 'create', entity: 'expense', client_id: clientId, data: { ...formData, amount } });
         }
         storage.setExpenses(allExpenses);
       }
 
-      showToast(editingId ? 'Despesa atualizada com sucesso' : 'Despesa adicionada com sucesso');
+      if (uploadError) {
+        showToast(`Despesa guardada, mas os recibos nao foram enviados: ${uploadError.message}`, 'error');
+      } else {
+        showToast(
+          editingId ? 'Despesa atualizada com sucesso' : 'Despesa adicionada com sucesso',
+          'success',
+          previous && { label: 'Desfazer', onClick: () => undoEdit(previous) }
+        );
+      }
       closeModal();
       fetchExpenses();
+      if (suggestedRule) offerRule(suggestedRule);
+    } catch (error) {
+      setFormErrors(error.fields || {});
+      showToast(error.message, 'error');
+    }
+  };
+
+  // Put an edited expense back the way it was (its receipts stay as they are)
+  const undoEdit = async (previous) => {
+    const fields = copyExpense(previous);
+    try {
+      if (useApi) {
+        const response = await apiFetch(`/expenses/${previous.id}`, { method: 'PUT', body: JSON.stringify(fields) });
+        if (!response.ok) throw responseError(await response.json(), 'Erro ao desfazer');
+      } else {
+        localBulk.update([previous.id], fields);
+      }
+
+      showToast('Alteracao desfeita');
+      fetchExpenses();
     } catch (error) {
       showToast(error.message, 'error');
     }
@@ -291,26 +3598,91 @@ function App() {
   // Handle budget save
   const handleBudgetSave = async () => {
     try {
-      const newBudget = parseFloat(budgetInput) || 0;
-
+      const newBudget = budgetInput.trim() === '' ? '0.00' : parseAmount(budgetInput);
+      if (newBudget === null) {
+        setBudgetErrors({ amount: 'Indique um valor positivo, ate duas casas decimais' });
+        return;
+      }
+      const categoryInputs = Object.entries(categoryBudgetInputs)
+        .filter(([, value]) => String(value).trim() !== '')
+        .map(([category, value]) => [category, parseAmount(value)]);
+      const invalidCategory = categoryInputs.find(([, amount]) => amount === null);
+      if (invalidCategory) {
+        setBudgetErrors({ [`categories.${invalidCategory[0]}`]: 'Indique um valor positivo, ate duas casas decimais' });
+        return;
+      }
+      const newCategoryBudgets = Object.fromEntries(categoryInputs.filter(([, amount]) => toCents(amount) > 0));
+      // Kept as numbers on the dashboard and on this device
+      const categoryAmounts = Object.fromEntries(
+        Object.entries(newCategoryBudgets).map(([category, amount]) => [category, Number(amount)])
+      );
+      const warnAt = parseFloat(settingsInput.warnAt) || DEFAULT_SETTINGS.warnAt;
+      const alertAt = parseFloat(settingsInput.alertAt) || DEFAULT_SETTINGS.alertAt;
+      if (warnAt >= alertAt) {
+        setBudgetErrors({ alertAt: 'O aviso deve ser inferior ao alerta' });
+        return;
+      }
       if (useApi) {
-        const response = await fetch(`${API_URL}/budgets`, {
+        const defaultAmount = policyInput.default_amount === ''
+          ? null
+          : parseAmount(policyInput.default_amount) ?? policyInput.default_amount;
+        if (budgetPolicy && (defaultAmount !== budgetPolicy.default_amount || policyInput.rollover !== budgetPolicy.rollover)) {
+          const response = await apiFetch('/budgets/settings', {
+            method: 'PUT',
+            body: JSON.stringify({
+              default_amount: defaultAmount,
+              rollover: policyInput.rollover,
+              // Rollover switched on now starts with the month being edited
+              ...(budgetPolicy.rollover === 'none' && { rollover_from: selectedMonth }),
+            }),
+          });
+          if (!response.ok) throw responseError(await response.json(), 'Erro ao guardar politica de orcamento');
+        }
+
+        // An empty amount puts the month back on the default budget
+        const ownBudget = budgetInput.trim() !== '';
+        if (!ownBudget && budgetDetails?.source === 'month') {
+          const response = await apiFetch(`/budgets/${selectedMonth}`, { method: 'DELETE' });
+          if (!response.ok) throw responseError(await response.json(), 'Erro ao guardar orcamento');
+        }
+
+        const response = await apiFetch('/budgets', {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ month: selectedMonth, amount: newBudget }),
+          body: JSON.stringify({
+            month: selectedMonth,
+            amount: ownBudget ? newBudget : null,
+            categories: newCategoryBudgets,
+          }),
         });
-        if (!response.ok) throw new Error('Erro ao guardar orcamento');
+        if (!response.ok) throw responseError(await response.json(), 'Erro ao guardar orcamento');
       } else {
         // Use localStorage
         const budgets = storage.getBudgets();
-        budgets[selectedMonth] = newBudget;
+        budgets[selectedMonth] = Number(newBudget);
         storage.setBudgets(budgets);
+        const allCategoryBudgets = storage.getCategoryBudgets();
+        allCategoryBudgets[selectedMonth] = categoryAmounts;
+        storage.setCategoryBudgets(allCategoryBudgets);
+        queueChange({
+          op: 'update',
+          entity: 'budget',
+          data: { month: selectedMonth, amount: newBudget, categories: newCategoryBudgets },
+        });
       }
 
-      setBudget(newBudget);
+      storage.setSettings({ ...settings, warnAt, alertAt });
+      setSettings({ ...settings, warnAt, alertAt });
+      if (useApi) {
+        // The effective budget depends on the policies and earlier months
+        await fetchBudget();
+      } else {
+        setBudget(Number(newBudget));
+        setCategoryBudgets(categoryAmounts);
+      }
       setShowBudgetModal(false);
       showToast('Orcamento definido com sucesso');
     } catch (error) {
+      setBudgetErrors(error.fields || {});
       showToast(error.message, 'error');
     }
   };
@@ -318,31 +3690,115 @@ function App() {
   // Open modal for new expense
   const openNewExpense = () => {
     setEditingId(null);
+    setFormType('expense');
+    setIncomeSource('salario');
     setFormData({
       description: '',
       amount: '',
-      category: 'alimentacao',
+      currency: settings.baseCurrency,
+      // Online, the server's categorization rules pick the category unless one is chosen
+      category: useApi ? '' : categories[0]?.id ?? 'outros',
       date: new Date().toISOString().split('T')[0],
+      irs_class: '',
+      nif: '',
+      invoice_number: '',
     });
+    setRecurringForm({ enabled: false, frequency: 'monthly', end_date: '' });
+    setSplitForm({ payer_id: '', enabled: false, type: 'equal', selected: [], values: {} });
+    setFormAttachments([]);
+    setPendingFiles([]);
+    setFormErrors({});
     setShowModal(true);
   };
 
+  // Payer and split of the expense being edited, in the API's format
+  const splitFields = () => {
+    const payer = { payer_id: Number(splitForm.payer_id) || null };
+    if (!splitForm.enabled) return { ...payer, split_type: null, splits: [] };
+
+    return {
+      ...payer,
+      split_type: splitForm.type,
+      splits: splitForm.selected.map((id) => ({
+        member_id: id,
+        ...(splitForm.type !== 'equal' && { value: parseAmount(splitForm.values[id]) ?? splitForm.values[id] ?? '' }),
+      })),
+    };
+  };
+
+  // Open modal for new income
+  const openNewIncome = () => {
+    openNewExpense();
+    setFormType('income');
+  };
+
   // Open modal for editing
   const openEditExpense = (expense) => {
     setEditingId(expense.id);
+    setFormType('expense');
     setFormData({
       description: expense.description,
       amount: expense.amount.toString(),
+      currency: expense.currency || settings.baseCurrency,
       category: expense.category,
       date: expense.date,
+      irs_class: expense.irs_class || '',
+      nif: expense.nif || '',
+      invoice_number: expense.invoice_number || '',
+    });
+    setSplitForm({
+      payer_id: expense.payer_id ?? '',
+      enabled: Boolean(expense.split_type),
+      type: expense.split_type || 'equal',
+      selected: (expense.splits || []).map((split) => split.member_id),
+      values: Object.fromEntries((expense.splits || []).map((split) => [split.member_id, split.value?.toString() ?? ''])),
+    });
+    setFormAttachments(expense.attachments || []);
+    setPendingFiles([]);
+    setFormErrors({});
+    setShowModal(true);
+  };
+
+  // Open modal for editing an income
+  const openEditIncome = (income) => {
+    setEditingId(income.id);
+    setFormType('income');
+    setIncomeSource(income.source);
+    setFormData({
+      description: income.description,
+      amount: income.amount.toString(),
+      currency: income.currency || settings.baseCurrency,
+      category: categories[0]?.id ?? 'outros',
+      date: income.date,
     });
+    setFormErrors({});
     setShowModal(true);
   };
 
   // Open budget modal
-  const openBudgetModal = () => {
-    setBudgetInput(budget.toString());
+  const openBudgetModal = async () => {
+    // Online, an empty amount leaves the month on the default budget
+    setBudgetInput(budgetDetails
+      ? (budgetDetails.source === 'month' ? budgetDetails.amount.toString() : '')
+      : budget.toString());
+    setCategoryBudgetInputs(Object.fromEntries(
+      Object.entries(categoryBudgets).map(([category, amount]) => [category, amount.toString()])
+    ));
+    setSettingsInput(settings);
+    setBudgetErrors({});
     setShowBudgetModal(true);
+
+    if (useApi) {
+      try {
+        const response = await apiFetch('/budgets/settings');
+        if (!response.ok) return;
+        const policy = await response.json();
+        setBudgetPolicy(policy);
+        setPolicyInput({ default_amount: policy.default_amount ?? '', rollover: policy.rollover });
+      } catch (error) {
+        console.error('Erro ao carregar politica de orcamento:', error);
+      }
+    }
   };
 
   // Close modal
@@ -351,42 +3807,253 @@ function App() {
     setEditingId(null);
   };
 
-  // Delete expense
+  // Fill the form from a past description: its usual category and typical amount
+  const pickSuggestion = (suggestion) => {
+    setFormData({
+      ...formData,
+      description: suggestion.description,
+      category: suggestion.category,
+      amount: String(suggestion.amount),
+      currency: suggestion.currency,
+    });
+    setShowSuggestions(false);
+  };
+
+  // Add an expense from a template, dated today
+  const addFromTemplate = async (template) => {
+    setShowQuickAdd(false);
+    try {
+      const response = await apiFetch(`/templates/${template.id}/use`, {
+        method: 'POST',
+        body: JSON.stringify({ date: new Date().toISOString().split('T')[0] }),
+      });
+      if (!response.ok) throw responseError(await response.json(), 'Erro ao adicionar despesa');
+
+      showToast(`${template.name} adicionado (${formatCurrency(template.amount, template.currency)})`);
+      fetchExpenses();
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  // Offer to create a categorization rule suggested by the server
+  const offerRule = async (rule) => {
+    const category = getCategoryInfo(rule.category);
+    if (!confirm(`Ja tem ${rule.matches} despesas com "${rule.pattern}" em ${category.name}. `
+      + `Criar uma regra para as proximas irem para ${category.name} automaticamente?`)) return;
+
+    try {
+      const response = await apiFetch('/categorization-rules', { method: 'POST', body: JSON.stringify(rule) });
+      if (!response.ok) throw responseError(await response.json(), 'Erro ao criar regra');
+      showToast('Regra criada');
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  // Record that a debt between members was paid back
+  const settleDebt = async (debt) => {
+    const memberName = (id) => members.find((m) => m.id === id)?.name;
+    const amount = formatCurrency(debt.amount, balances.baseCurrency);
+    if (!confirm(`Registar que ${memberName(debt.from_member_id)} pagou ${amount} a ${memberName(debt.to_member_id)}?`)) return;
+
+    try {
+      const response = await apiFetch('/settlements', {
+        method: 'POST',
+        body: JSON.stringify({
+          ...debt,
+          currency: balances.baseCurrency,
+          date: new Date().toISOString().split('T')[0],
+        }),
+      });
+      if (!response.ok) throw responseError(await response.json(), 'Erro ao registar acerto');
+
+      showToast('Acerto registado');
+      fetchBalances();
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  // Delete a receipt of the expense being edited (right away, not on save)
+  const deleteAttachment = async (attachment) => {
+    if (!confirm(`Eliminar o recibo "${attachment.filename}"?`)) return;
+
+    try {
+      const response = await apiFetch(`/attachments/${attachment.id}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error('Erro ao eliminar recibo');
+
+      setFormAttachments((current) => current.filter((a) => a.id !== attachment.id));
+      fetchExpenses();
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  // Take expenses out of the trash
+  const restoreExpenses = async (ids) => {
+    try {
+      if (useApi) {
+        await bulkRequest('POST', { ids }, 'Erro ao restaurar', '/restore');
+      } else {
+        localBulk.restore(ids);
+      }
+
+      showToast(`${ids.length} despesa(s) restaurada(s)`);
+      fetchExpenses();
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  // Delete expense. It goes to the trash, so there is no need to ask first: it can be undone.
   const deleteExpense = async (id) => {
-    if (!confirm('Tem certeza que deseja eliminar esta despesa?')) return;
-
     try {
       if (useApi) {
-        const response = await fetch(`${API_URL}/expenses/${id}`, {
+        const response = await apiFetch(`/expenses/${id}`, {
           method: 'DELETE',
         });
         if (!response.ok) throw new Error('Erro ao eliminar');
       } else {
-        // Use localStorage
-        const allExpenses = storage.getExpenses();
-        const filtered = allExpenses.filter((e) => e.id !== id);
-        storage.setExpenses(filtered);
+        // Use localStorage and queue the change for the server
+        localBulk.delete([id]);
       }
 
-      showToast('Despesa eliminada');
+      showToast('Despesa movida para o lixo', 'success', { label: 'Desfazer', onClick: () => restoreExpenses([id]) });
+      fetchExpenses();
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  // Tick or untick an expense in the list
+  const toggleSelected = (id) => {
+    setSelectedIds((ids) => (ids.includes(id) ? ids.filter((selected) => selected !== id) : [...ids, id]));
+  };
+
+  // Apply a bulk change to the selected expenses and report how it went
+  const runBulk = async (change, message, action = null) => {
+    try {
+      await change();
+      setSelectedIds([]);
+      showToast(message, 'success', action);
       fetchExpenses();
     } catch (error) {
       showToast(error.message, 'error');
     }
   };
 
+  // Move the selected expenses to another category
+  const bulkRecategorize = (category) => runBulk(
+    () => (useApi
+      ? bulkRequest('PATCH', { ids: selectedIds, category }, 'Erro ao mudar categoria')
+      : localBulk.update(selectedIds, { category })),
+    `${selectedIds.length} despesa(s) movida(s) para ${getCategoryInfo(category).name}`
+  );
+
+  // Move the selected expenses to another date
+  const bulkRedate = () => runBulk(
+    () => (useApi
+      ? bulkRequest('PATCH', { ids: selectedIds, date: bulkDate }, 'Erro ao mudar data')
+      : localBulk.update(selectedIds, { date: bulkDate })),
+    `${selectedIds.length} despesa(s) com a data ${new Date(bulkDate).toLocaleDateString('pt-PT')}`
+  );
+
+  // Add a copy of each selected expense
+  const bulkDuplicate = () => {
+    const copies = paginatedExpenses.filter((e) => selectedIds.includes(e.id)).map(copyExpense);
+    return runBulk(
+      () => (useApi
+        ? bulkRequest('POST', { expenses: copies }, 'Erro ao duplicar')
+        : localBulk.create(copies)),
+      `${copies.length} despesa(s) duplicada(s)`
+    );
+  };
+
+  // Move the selected expenses to the trash, offering to undo it
+  const bulkDelete = () => {
+    const ids = selectedIds;
+    return runBulk(
+      () => (useApi
+        ? bulkRequest('DELETE', { ids }, 'Erro ao eliminar')
+        : localBulk.delete(ids)),
+      `${ids.length} despesa(s) movida(s) para o lixo`,
+      { label: 'Desfazer', onClick: () => restoreExpenses(ids) }
+    );
+  };
+
+  // Delete income
+  const deleteIncome = async (id) => {
+    if (!confirm('Tem certeza que deseja eliminar esta receita?')) return;
+
+    try {
+      const response = await apiFetch(`/incomes/${id}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error('Erro ao eliminar');
+
+      showToast('Receita eliminada');
+      fetchIncomes();
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  // Log out and return to the login screen
+  const handleLogout = async () => {
+    await apiFetch('/auth/logout', { method: 'POST' }).catch(() => {});
+    localStorage.removeItem(STORAGE_KEYS.token);
+    setUser(null);
+    setExpenses([]);
+    setIncomes([]);
+    setMembers([]);
+    setTemplates([]);
+    setExpensePage({ items: [], total: 0 });
+    setBudget(0);
+  };
+
   // Get category info
   const getCategoryInfo = (categoryId) => {
-    return CATEGORIES.find((c) => c.id === categoryId) || CATEGORIES[7];
+    return categories.find((c) => c.id === categoryId)
+      || { id: categoryId, name: categoryId, color: '#6b7280', icon: '📦' };
+  };
+
+  // Get income source info
+  const getSourceInfo = (sourceId) => {
+    return INCOME_SOURCES.find((s) => s.id === sourceId) || INCOME_SOURCES[INCOME_SOURCES.length - 1];
   };
 
+  // Header tools menu (some tools need the API)
+  const toolsMenu = [
+    { label: 'Importar extrato', Icon: FiUpload, open: () => setShowImportModal(true), needsApi: true },
+    { label: 'Relatorios', Icon: FiBarChart2, open: () => setShowReportsModal(true), needsApi: true },
+    { label: 'Moedas e cambio', Icon: FiGlobe, open: () => setShowCurrencyModal(true), needsApi: true },
+    { label: 'Resumo IRS', Icon: FiFileText, open: () => setShowIrsModal(true), needsApi: true },
+    { label: 'Agregado familiar', Icon: FiUsers, open: () => setShowHouseholdModal(true), needsApi: true },
+    { label: 'Exportar despesas', Icon: FiDownload, open: () => setShowExportModal(true) },
+    { label: 'Copia de seguranca', Icon: FiDatabase, open: () => setShowBackupModal(true) },
+    { label: 'Lixo', Icon: FiTrash2, open: () => setShowTrashModal(true) },
+    { label: 'Categorias', Icon: FiTag, open: () => setShowCategoriesModal(true), needsApi: true },
+    { label: 'Regras de categorias', Icon: FiZap, open: () => setShowRulesModal(true), needsApi: true },
+    { label: 'Modelos rapidos', Icon: FiBookmark, open: () => setShowTemplatesModal(true), needsApi: true },
+    { label: 'Despesas recorrentes', Icon: FiRepeat, open: () => setShowRecurringModal(true), needsApi: true },
+  ].filter((item) => useApi || !item.needsApi);
+
+  // Changes waiting for the API to come back
+  const pendingChanges = useApi ? 0 : storage.getSyncQueue().length;
+
   // Get last 5 expenses for dashboard
   const recentExpenses = expenses.slice(0, 5);
 
-  // Pagination logic
-  const totalPages = Math.ceil(expenses.length / ITEMS_PER_PAGE);
+  // Pagination logic (the page itself comes from fetchExpensePage)
+  const totalPages = Math.ceil(expensePage.total / ITEMS_PER_PAGE);
   const startIndex = (currentPage - 1) * ITEMS_PER_PAGE;
-  const paginatedExpenses = expenses.slice(startIndex, startIndex + ITEMS_PER_PAGE);
+  const paginatedExpenses = expensePage.items;
+
+  // Sort by a column, or flip the order when it is already the sort column
+  const toggleSort = (sort) => {
+    setListQuery((query) => (query.sort === sort
+      ? { ...query, order: query.order === 'asc' ? 'desc' : 'asc' }
+      : { ...query, sort, order: EXPENSE_SORTS.find((s) => s.id === sort).order }));
+  };
 
   // Get page numbers to display
   const getPageNumbers = () => {
@@ -405,7 +4072,7 @@ function App() {
     return pages;
   };
 
-  if (loading) {
+  if (loading || !sessionChecked) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
         <FiLoader className="animate-spin text-primary-500" size={40} />
@@ -413,6 +4080,10 @@ function App() {
     );
   }
 
+  if (useApi && !user) {
+    return <AuthScreen onAuthenticated={setUser} />;
+  }
+
   return (
     <div className="min-h-screen bg-gray-50">
       {/* Toast */}
@@ -420,6 +4091,7 @@ function App() {
         <Toast
           message={toast.message}
           type={toast.type}
+          action={toast.action}
           onClose={() => setToast(null)}
         />
       )}
@@ -433,8 +4105,43 @@ function App() {
                 <FiDollarSign className="text-white" size={20} />
               </div>
               <h1 className="text-lg font-bold text-gray-900">Gestao de Gastos</h1>
+              {!useApi && (
+                <span
+                  className="flex items-center gap-1 text-xs text-yellow-700 bg-yellow-50 px-2 py-1 rounded-lg"
+                  title="As alteracoes serao sincronizadas quando o servidor voltar"
+                >
+                  <FiCloudOff size={14} />
+                  {pendingChanges > 0 ? `${pendingChanges} por sincronizar` : 'Offline'}
+                </span>
+              )}
             </div>
             <div className="flex items-center gap-2">
+              <div className="relative">
+                <button
+                  onClick={() => setShowToolsMenu(!showToolsMenu)}
+                  className="p-2 text-gray-500 hover:text-primary-500 hover:bg-primary-50 rounded-lg transition-colors"
+                  title="Ferramentas"
+                >
+                  <FiMenu size={20} />
+                </button>
+                {showToolsMenu && (
+                  <>
+                    <div className="fixed inset-0 z-10" onClick={() => setShowToolsMenu(false)} />
+                    <div className="absolute right-0 mt-2 w-56 bg-white rounded-xl shadow-lg border border-gray-100 py-1 z-20">
+                      {toolsMenu.map((item) => (
+                        <button
+                          key={item.label}
+                          onClick={() => { setShowToolsMenu(false); item.open(); }}
+                          className="w-full flex items-center gap-3 px-4 py-2.5 text-sm text-gray-700 hover:bg-gray-50"
+                        >
+                          <item.Icon size={16} className="text-gray-400" />
+                          {item.label}
+                        </button>
+                      ))}
+                    </div>
+                  </>
+                )}
+              </div>
               <button
                 onClick={openBudgetModal}
                 className="p-2 text-gray-500 hover:text-primary-500 hover:bg-primary-50 rounded-lg transition-colors"
@@ -442,6 +4149,41 @@ function App() {
               >
                 <FiSettings size={20} />
               </button>
+              {useApi && templates.length > 0 && (
+                <div className="relative">
+                  <button
+                    onClick={() => setShowQuickAdd(!showQuickAdd)}
+                    className="p-2 text-gray-500 hover:text-primary-500 hover:bg-primary-50 rounded-lg transition-colors"
+                    title="Adicionar a partir de um modelo"
+                  >
+                    <FiBookmark size={20} />
+                  </button>
+                  {showQuickAdd && (
+                    <>
+                      <div className="fixed inset-0 z-10" onClick={() => setShowQuickAdd(false)} />
+                      <div className="absolute right-0 mt-2 w-64 bg-white rounded-xl shadow-lg border border-gray-100 py-1 z-20">
+                        {templates.map((template) => (
+                          <button
+                            key={template.id}
+                            onClick={() => addFromTemplate(template)}
+                            className="w-full flex items-center gap-3 px-4 py-2.5 text-sm text-gray-700 hover:bg-gray-50"
+                          >
+                            <span>{getCategoryInfo(template.category).icon}</span>
+                            <span className="flex-1 text-left truncate">{template.name}</span>
+                            <span className="text-gray-500">{formatCurrency(template.amount, template.currency)}</span>
+                          </button>
+                        ))}
+                        <button
+                          onClick={() => { setShowQuickAdd(false); setShowTemplatesModal(true); }}
+                          className="w-full px-4 py-2 text-xs text-primary-500 hover:bg-gray-50 text-left border-t border-gray-100"
+                        >
+                          Gerir modelos
+                        </button>
+                      </div>
+                    </>
+                  )}
+                </div>
+              )}
               <button
                 onClick={openNewExpense}
                 className="flex items-center gap-2 px-3 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition-colors"
@@ -449,6 +4191,15 @@ function App() {
                 <FiPlus size={18} />
                 <span className="hidden sm:inline">Nova</span>
               </button>
+              {user && (
+                <button
+                  onClick={handleLogout}
+                  className="p-2 text-gray-500 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                  title={`Terminar sessao (${user.email})`}
+                >
+                  <FiLogOut size={20} />
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -479,7 +4230,7 @@ function App() {
               className="text-sm px-2 py-1 bg-white border border-gray-200 rounded-lg focus:ring-2 focus:ring-primary-500"
             >
               <option value="">Todas</option>
-              {CATEGORIES.map((cat) => (
+              {categories.map((cat) => (
                 <option key={cat.id} value={cat.id}>{cat.icon} {cat.name}</option>
               ))}
             </select>
@@ -487,7 +4238,7 @@ function App() {
         </div>
 
         {/* Dashboard Cards */}
-        <div className="grid grid-cols-2 lg:grid-cols-4 gap-3">
+        <div className={`grid grid-cols-2 gap-3 ${useApi ? 'lg:grid-cols-3' : 'lg:grid-cols-4'}`}>
           <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-4">
             <div className="flex items-center gap-2 text-gray-500 mb-1">
               <FiTrendingUp size={16} />
@@ -496,6 +4247,32 @@ function App() {
             <p className="text-xl font-bold text-gray-900">{formatCurrency(monthlyTotal)}</p>
           </div>
 
+          {/* Income is only tracked on the server */}
+          {useApi && (
+            <>
+              <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-4">
+                <div className="flex items-center gap-2 text-gray-500 mb-1">
+                  <FiBriefcase size={16} />
+                  <span className="text-xs font-medium">Receitas</span>
+                </div>
+                <p className="text-xl font-bold text-gray-900">{formatCurrency(monthlyIncome)}</p>
+              </div>
+
+              <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-4">
+                <div className="flex items-center gap-2 text-gray-500 mb-1">
+                  <FiActivity size={16} />
+                  <span className="text-xs font-medium">Saldo</span>
+                </div>
+                <p className={`text-xl font-bold ${balance >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                  {formatCurrency(balance)}
+                </p>
+                <p className="text-xs text-gray-500 mt-0.5">
+                  {savingsRate !== null ? `Poupanca: ${savingsRate.toFixed(0)}%` : 'Sem receitas'}
+                </p>
+              </div>
+            </>
+          )}
+
           <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-4">
             <div className="flex items-center gap-2 text-gray-500 mb-1">
               <FiTarget size={16} />
@@ -504,6 +4281,13 @@ function App() {
             <p className="text-xl font-bold text-gray-900">
               {budget > 0 ? formatCurrency(budget) : '-'}
             </p>
+            {budgetDetails?.carried ? (
+              <p className={`text-xs mt-0.5 ${budgetDetails.carried > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                {budgetDetails.carried > 0 ? '+' : ''}{formatCurrency(budgetDetails.carried)} do mes anterior
+              </p>
+            ) : budgetDetails?.source === 'default' && (
+              <p className="text-xs text-gray-500 mt-0.5">Orcamento por omissao</p>
+            )}
           </div>
 
           <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-4">
@@ -521,27 +4305,34 @@ function App() {
               <FiPieChart size={16} />
               <span className="text-xs font-medium">Utilizado</span>
             </div>
-            <p className={`text-xl font-bold ${budgetPercentage > 90 ? 'text-red-600' : budgetPercentage > 70 ? 'text-yellow-600' : 'text-green-600'}`}>
+            <p className={`text-xl font-bold ${getBudgetLevel(budgetPercentage).text}`}>
               {budget > 0 ? `${budgetPercentage.toFixed(0)}%` : '-'}
             </p>
           </div>
         </div>
 
+        {/* Items in currencies without an exchange rate are left out of the totals */}
+        {missingRates.length > 0 && (
+          <div className="flex items-center gap-2 text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-xl px-4 py-3 mb-6">
+            <FiAlertCircle size={16} className="flex-shrink-0" />
+            <span>
+              Sem taxa de cambio para {missingRates.join(', ')}: estes valores nao entram nos totais.
+            </span>
+          </div>
+        )}
+
         {/* Budget Progress Bar */}
         {budget > 0 && (
           <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-4">
             <div className="flex justify-between text-sm mb-2">
               <span className="text-gray-600">Progresso do orcamento</span>
-              <span className={`font-medium ${budgetPercentage > 90 ? 'text-red-600' : 'text-gray-900'}`}>
+              <span className={`font-medium ${budgetPercentage > settings.alertAt ? 'text-red-600' : 'text-gray-900'}`}>
                 {formatCurrency(monthlyTotal)} / {formatCurrency(budget)}
               </span>
             </div>
             <div className="h-3 bg-gray-100 rounded-full overflow-hidden">
               <div
-                className={`h-full rounded-full transition-all duration-500 ${
-                  budgetPercentage > 90 ? 'bg-red-500' :
-                  budgetPercentage > 70 ? 'bg-yellow-500' : 'bg-green-500'
-                }`}
+                className={`h-full rounded-full transition-all duration-500 ${getBudgetLevel(budgetPercentage).bar}`}
                 style={{ width: `${Math.min(budgetPercentage, 100)}%` }}
               />
             </div>
@@ -554,6 +4345,48 @@ function App() {
           </div>
         )}
 
+        {/* Category Budgets */}
+        {categoryProgress.length > 0 && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-4">
+            <h3 className="text-sm font-semibold text-gray-900 mb-4 flex items-center gap-2">
+              <FiTarget size={16} className="text-primary-500" />
+              Orcamento por Categoria
+            </h3>
+            {overspentCategories.length > 0 && (
+              <p className="text-xs text-red-600 bg-red-50 rounded-lg px-3 py-2 mb-4 flex items-center gap-1">
+                <FiAlertCircle size={14} className="flex-shrink-0" />
+                Acima de {settings.alertAt}% do limite: {overspentCategories.map((cat) => cat.name).join(', ')}
+              </p>
+            )}
+            <div className="space-y-3">
+              {categoryProgress.map((cat) => {
+                const level = getBudgetLevel(cat.percentage);
+                return (
+                  <div key={cat.id}>
+                    <div className="flex justify-between text-sm mb-1">
+                      <span className="text-gray-600">{cat.icon} {cat.name}</span>
+                      <span className={`font-medium ${level.text}`}>
+                        {formatCurrency(cat.spent)} / {formatCurrency(cat.limit)}
+                      </span>
+                    </div>
+                    <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                      <div
+                        className={`h-full rounded-full transition-all duration-500 ${level.bar}`}
+                        style={{ width: `${Math.min(cat.percentage, 100)}%` }}
+                      />
+                    </div>
+                    <p className={`text-xs mt-1 ${cat.remaining >= 0 ? 'text-gray-500' : 'text-red-600'}`}>
+                      {cat.remaining >= 0
+                        ? `Disponivel: ${formatCurrency(cat.remaining)}`
+                        : `Ultrapassado em ${formatCurrency(Math.abs(cat.remaining))}`}
+                    </p>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
         {/* Chart and Recent Expenses */}
         <div className="grid lg:grid-cols-2 gap-4">
           <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-4">
@@ -603,7 +4436,10 @@ function App() {
                   const category = getCategoryInfo(expense.category);
                   return (
                     <div key={expense.id} className="flex items-center gap-3">
-                      <div className={`w-10 h-10 ${category.bgColor} rounded-lg flex items-center justify-center text-lg flex-shrink-0`}>
+                      <div
+                        className="w-10 h-10 rounded-lg flex items-center justify-center text-lg flex-shrink-0"
+                        style={{ backgroundColor: category.color }}
+                      >
                         {category.icon}
                       </div>
                       <div className="flex-1 min-w-0">
@@ -612,7 +4448,7 @@ function App() {
                           {new Date(expense.date).toLocaleDateString('pt-PT')}
                         </p>
                       </div>
-                      <p className="font-semibold text-gray-900 text-sm">{formatCurrency(expense.amount)}</p>
+                      <MoneyAmount item={expense} className="font-semibold text-gray-900 text-sm" />
                     </div>
                   );
                 })}
@@ -628,34 +4464,262 @@ function App() {
           </div>
         </div>
 
+        {/* Household Balances */}
+        {balances && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-4 mb-6">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="font-semibold text-gray-900 flex items-center gap-2">
+                <FiUsers size={16} className="text-gray-400" />
+                Contas da Casa
+              </h3>
+              <button
+                onClick={() => setShowHouseholdModal(true)}
+                className="text-sm text-primary-500 hover:text-primary-600 font-medium"
+              >
+                Membros
+              </button>
+            </div>
+            {balances.debts.length > 0 ? (
+              <div className="space-y-2">
+                {balances.debts.map((debt) => (
+                  <div key={`${debt.from_member_id}-${debt.to_member_id}`} className="flex items-center gap-3 text-sm">
+                    <span className="flex-1 text-gray-700">
+                      <span className="font-medium">{members.find((m) => m.id === debt.from_member_id)?.name}</span>
+                      {' deve '}
+                      <span className="font-semibold text-gray-900">{formatCurrency(debt.amount, balances.baseCurrency)}</span>
+                      {' a '}
+                      <span className="font-medium">{members.find((m) => m.id === debt.to_member_id)?.name}</span>
+                    </span>
+                    <button
+                      onClick={() => settleDebt(debt)}
+                      className="px-3 py-1 text-xs border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50"
+                    >
+                      Acertar
+                    </button>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-400">Contas certas entre todos</p>
+            )}
+            {balances.missingRates.length > 0 && (
+              <p className="text-xs text-yellow-700 mt-2">
+                Sem taxa de cambio para {balances.missingRates.join(', ')}: estes valores nao entram nos saldos.
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Month Incomes */}
+        {useApi && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-100">
+            <div className="p-4 border-b border-gray-100 flex items-center justify-between">
+              <h3 className="font-semibold text-gray-900">
+                Receitas do Mes
+                <span className="text-gray-400 font-normal ml-2">({incomes.length})</span>
+              </h3>
+              <button
+                onClick={openNewIncome}
+                className="text-sm text-primary-500 hover:text-primary-600 font-medium flex items-center gap-1"
+              >
+                <FiPlus size={14} />
+                Nova Receita
+              </button>
+            </div>
+            {incomes.length > 0 ? (
+              <div className="divide-y divide-gray-50">
+                {incomes.map((income) => {
+                  const source = getSourceInfo(income.source);
+                  return (
+                    <div key={income.id} className="flex items-center gap-3 p-4 hover:bg-gray-50 transition-colors">
+                      <div
+                        className="w-11 h-11 rounded-xl flex items-center justify-center text-xl flex-shrink-0"
+                        style={{ backgroundColor: source.color }}
+                      >
+                        {source.icon}
+                      </div>
+                      <div className="flex-1 min-w-0">
+                        <h4 className="font-medium text-gray-900 truncate">{income.description}</h4>
+                        <p className="text-sm text-gray-500">
+                          {source.name} • {new Date(income.date).toLocaleDateString('pt-PT')}
+                        </p>
+                      </div>
+                      <MoneyAmount item={income} className="font-semibold text-green-600" prefix="+" />
+                      <div className="flex items-center gap-1 flex-shrink-0">
+                        <button
+                          onClick={() => openEditIncome(income)}
+                          className="p-2 text-gray-400 hover:text-primary-500 hover:bg-primary-50 rounded-lg transition-colors"
+                        >
+                          <FiEdit2 size={16} />
+                        </button>
+                        <button
+                          onClick={() => deleteIncome(income.id)}
+                          className="p-2 text-gray-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                        >
+                          <FiTrash2 size={16} />
+                        </button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            ) : (
+              <p className="p-6 text-center text-sm text-gray-400">Nenhuma receita registada neste mes</p>
+            )}
+          </div>
+        )}
+
         {/* All Expenses List */}
         <div className="bg-white rounded-xl shadow-sm border border-gray-100">
-          <div className="p-4 border-b border-gray-100">
-            <h3 className="font-semibold text-gray-900">
-              Todas as Despesas
-              <span className="text-gray-400 font-normal ml-2">({expenses.length})</span>
-            </h3>
+          <div className="p-4 border-b border-gray-100 space-y-3">
+            <div className="flex items-center gap-3">
+              {paginatedExpenses.length > 0 && (
+                <input
+                  type="checkbox"
+                  checked={paginatedExpenses.every((e) => selectedIds.includes(e.id))}
+                  onChange={(e) => setSelectedIds(e.target.checked ? paginatedExpenses.map((expense) => expense.id) : [])}
+                  title="Selecionar todas nesta pagina"
+                  className="rounded text-primary-500 focus:ring-primary-500"
+                />
+              )}
+              <h3 className="font-semibold text-gray-900">
+                Todas as Despesas
+                <span className="text-gray-400 font-normal ml-2">({expensePage.total})</span>
+              </h3>
+            </div>
+            <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+              <div className="relative flex-1">
+                <FiSearch size={14} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                <input
+                  type="search"
+                  value={searchInput}
+                  onChange={(e) => setSearchInput(e.target.value)}
+                  placeholder="Pesquisar descricao..."
+                  className="w-full pl-9 pr-3 py-2 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                />
+              </div>
+              <label className="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={listQuery.allMonths}
+                  onChange={(e) => setListQuery({ ...listQuery, allMonths: e.target.checked })}
+                  className="rounded text-primary-500 focus:ring-primary-500"
+                />
+                Todos os meses
+              </label>
+            </div>
+            <div className="flex items-center gap-1 text-xs">
+              <span className="text-gray-400 mr-1">Ordenar:</span>
+              {EXPENSE_SORTS.map((option) => {
+                const active = listQuery.sort === option.id;
+                return (
+                  <button
+                    key={option.id}
+                    onClick={() => toggleSort(option.id)}
+                    className={`flex items-center gap-0.5 px-2 py-1 rounded-md transition-colors ${
+                      active ? 'bg-primary-50 text-primary-600 font-medium' : 'text-gray-500 hover:bg-gray-100'
+                    }`}
+                  >
+                    {option.name}
+                    {active && (listQuery.order === 'asc' ? <FiArrowUp size={12} /> : <FiArrowDown size={12} />)}
+                  </button>
+                );
+              })}
+            </div>
           </div>
+          {selectedIds.length > 0 && (
+            <div className="px-4 py-2 bg-primary-50 border-b border-primary-100 flex flex-wrap items-center gap-2 text-sm">
+              <span className="font-medium text-primary-700 mr-auto">{selectedIds.length} selecionada(s)</span>
+              <select
+                value=""
+                onChange={(e) => e.target.value && bulkRecategorize(e.target.value)}
+                className="px-2 py-1 border border-gray-200 rounded-lg text-sm bg-white focus:ring-2 focus:ring-primary-500"
+              >
+                <option value="">Mudar categoria...</option>
+                {categories.map((cat) => (
+                  <option key={cat.id} value={cat.id}>{cat.icon} {cat.name}</option>
+                ))}
+              </select>
+              <div className="flex items-center gap-1">
+                <input
+                  type="date"
+                  value={bulkDate}
+                  onChange={(e) => setBulkDate(e.target.value)}
+                  className="px-2 py-1 border border-gray-200 rounded-lg text-sm bg-white focus:ring-2 focus:ring-primary-500"
+                />
+                <button
+                  onClick={bulkRedate}
+                  disabled={!bulkDate}
+                  className="flex items-center gap-1 px-2 py-1 text-gray-700 hover:bg-white rounded-lg disabled:opacity-50"
+                >
+                  <FiCalendar size={14} />
+                  Mudar data
+                </button>
+              </div>
+              <button
+                onClick={bulkDuplicate}
+                className="flex items-center gap-1 px-2 py-1 text-gray-700 hover:bg-white rounded-lg"
+              >
+                <FiCopy size={14} />
+                Duplicar
+              </button>
+              <button
+                onClick={bulkDelete}
+                className="flex items-center gap-1 px-2 py-1 text-red-600 hover:bg-red-50 rounded-lg"
+              >
+                <FiTrash2 size={14} />
+                Eliminar
+              </button>
+              <button
+                onClick={() => setSelectedIds([])}
+                title="Limpar selecao"
+                className="p-1 text-gray-400 hover:text-gray-600 rounded-lg"
+              >
+                <FiX size={16} />
+              </button>
+            </div>
+          )}
           <div className="divide-y divide-gray-50">
             {paginatedExpenses.map((expense) => {
               const category = getCategoryInfo(expense.category);
+              const selected = selectedIds.includes(expense.id);
               return (
                 <div
                   key={expense.id}
-                  className="flex items-center gap-3 p-4 hover:bg-gray-50 transition-colors"
+                  className={`flex items-center gap-3 p-4 transition-colors ${selected ? 'bg-primary-50/50' : 'hover:bg-gray-50'}`}
                 >
-                  <div className={`w-11 h-11 ${category.bgColor} rounded-xl flex items-center justify-center text-xl flex-shrink-0`}>
+                  <input
+                    type="checkbox"
+                    checked={selected}
+                    onChange={() => toggleSelected(expense.id)}
+                    aria-label={`Selecionar ${expense.description}`}
+                    className="rounded text-primary-500 focus:ring-primary-500 flex-shrink-0"
+                  />
+                  <div
+                    className="w-11 h-11 rounded-xl flex items-center justify-center text-xl flex-shrink-0"
+                    style={{ backgroundColor: category.color }}
+                  >
                     {category.icon}
                   </div>
                   <div className="flex-1 min-w-0">
-                    <h4 className="font-medium text-gray-900 truncate">{expense.description}</h4>
+                    <h4 className="font-medium text-gray-900 truncate flex items-center gap-1">
+                      {expense.recurring_id && <FiRepeat size={12} className="text-gray-400 flex-shrink-0" title="Recorrente" />}
+                      <span className="truncate">{expense.description}</span>
+                    </h4>
                     <p className="text-sm text-gray-500">
                       {category.name} • {new Date(expense.date).toLocaleDateString('pt-PT')}
+                      {expense.irs_class && ` • IRS: ${IRS_CLASSES.find((c) => c.id === expense.irs_class)?.name}`}
+                      {expense.split_type && ` • Dividida por ${expense.splits.length}`}
                     </p>
+                    {expense.attachments?.length > 0 && (
+                      <div className="flex gap-1.5 mt-1.5">
+                        {expense.attachments.map((attachment) => (
+                          <AttachmentThumb key={attachment.id} attachment={attachment} size="w-8 h-8" />
+                        ))}
+                      </div>
+                    )}
                   </div>
-                  <div className="text-right flex-shrink-0">
-                    <p className="font-semibold text-gray-900">{formatCurrency(expense.amount)}</p>
-                  </div>
+                  <MoneyAmount item={expense} />
                   <div className="flex items-center gap-1 flex-shrink-0">
                     <button
                       onClick={() => openEditExpense(expense)}
@@ -674,7 +4738,12 @@ function App() {
               );
             })}
           </div>
-          {expenses.length === 0 && (
+          {expensePage.total === 0 && (listQuery.q ? (
+            <div className="p-12 text-center text-gray-400">
+              <FiSearch size={40} className="mx-auto mb-2 opacity-50" />
+              <p>Nenhuma despesa corresponde a &quot;{listQuery.q}&quot;</p>
+            </div>
+          ) : (
             <div className="p-12 text-center text-gray-400">
               <FiDollarSign size={40} className="mx-auto mb-2 opacity-50" />
               <p>Nenhuma despesa encontrada</p>
@@ -685,13 +4754,13 @@ function App() {
                 Adicionar primeira despesa
               </button>
             </div>
-          )}
+          ))}
 
           {/* Pagination */}
           {totalPages > 1 && (
             <div className="flex items-center justify-between p-4 border-t border-gray-100">
               <p className="text-sm text-gray-500">
-                A mostrar {startIndex + 1}-{Math.min(startIndex + ITEMS_PER_PAGE, expenses.length)} de {expenses.length}
+                A mostrar {startIndex + 1}-{Math.min(startIndex + ITEMS_PER_PAGE, expensePage.total)} de {expensePage.total}
               </p>
               <div className="flex items-center gap-1">
                 <button
@@ -733,66 +4802,383 @@ function App() {
           <div className="bg-white rounded-2xl shadow-xl max-w-md w-full my-4 max-h-[calc(100vh-2rem)] flex flex-col">
             <div className="flex items-center justify-between p-4 border-b flex-shrink-0">
               <h2 className="text-lg font-semibold">
-                {editingId ? 'Editar Despesa' : 'Nova Despesa'}
+                {formType === 'income'
+                  ? (editingId ? 'Editar Receita' : 'Nova Receita')
+                  : (editingId ? 'Editar Despesa' : 'Nova Despesa')}
               </h2>
               <button onClick={closeModal} className="p-2 hover:bg-gray-100 rounded-lg">
                 <FiX size={20} />
               </button>
             </div>
             <form onSubmit={handleSubmit} className="p-4 space-y-4 overflow-y-auto flex-1">
-              <div>
+              {!editingId && useApi && (
+                <div className="grid grid-cols-2 gap-1 p-1 bg-gray-100 rounded-lg">
+                  {[{ id: 'expense', name: 'Despesa' }, { id: 'income', name: 'Receita' }].map((type) => (
+                    <button
+                      key={type.id}
+                      type="button"
+                      onClick={() => {
+                        setFormType(type.id);
+                        setFormErrors({});
+                      }}
+                      className={`py-1.5 rounded-md text-sm font-medium transition-colors ${
+                        formType === type.id ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-500 hover:text-gray-700'
+                      }`}
+                    >
+                      {type.name}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <div className="relative">
                 <label className="block text-sm font-medium text-gray-700 mb-1">Descricao *</label>
                 <input
                   type="text"
                   value={formData.description}
-                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
-                  placeholder="Ex: Almoco no restaurante"
-                  required
-                  className="w-full px-3 py-2.5 border border-gray-200 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
-                />
-              </div>
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Valor (EUR) *</label>
-                <input
-                  type="number"
-                  value={formData.amount}
-                  onChange={(e) => setFormData({ ...formData, amount: e.target.value })}
-                  placeholder="0.00"
-                  min="0"
-                  step="0.01"
+                  onChange={(e) => {
+                    setFormData({ ...formData, description: e.target.value });
+                    setShowSuggestions(true);
+                  }}
+                  onFocus={() => setShowSuggestions(true)}
+                  onBlur={() => setShowSuggestions(false)}
+                  placeholder={formType === 'income' ? 'Ex: Salario de outubro' : 'Ex: Almoco no restaurante'}
                   required
+                  autoComplete="off"
                   className="w-full px-3 py-2.5 border border-gray-200 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
                 />
+                {showSuggestions && descriptionSuggestions.length > 0 && (
+                  <div className="absolute left-0 right-0 mt-1 bg-white rounded-lg shadow-lg border border-gray-100 py-1 z-10">
+                    {descriptionSuggestions.map((suggestion) => (
+                      <button
+                        key={suggestion.description}
+                        type="button"
+                        // Keep the input focused so its blur does not hide the list first
+                        onMouseDown={(e) => e.preventDefault()}
+                        onClick={() => pickSuggestion(suggestion)}
+                        className="w-full flex items-center gap-2 px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                      >
+                        <span>{getCategoryInfo(suggestion.category).icon}</span>
+                        <span className="flex-1 text-left truncate">{suggestion.description}</span>
+                        <span className="text-gray-500">{formatCurrency(suggestion.amount, suggestion.currency)}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
+                <FieldError message={formErrors.description} />
               </div>
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Categoria</label>
-                <div className="grid grid-cols-4 gap-2">
-                  {CATEGORIES.map((cat) => (
-                    <button
-                      key={cat.id}
-                      type="button"
-                      onClick={() => setFormData({ ...formData, category: cat.id })}
-                      className={`flex flex-col items-center gap-1 p-2.5 rounded-xl border-2 transition-all ${
-                        formData.category === cat.id
-                          ? 'border-primary-500 bg-primary-50'
-                          : 'border-gray-100 hover:border-gray-200'
-                      }`}
+                <label className="block text-sm font-medium text-gray-700 mb-1">Valor ({formData.currency}) *</label>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    value={formData.amount}
+                    onChange={(e) => setFormData({ ...formData, amount: e.target.value })}
+                    placeholder="0,00"
+                    required
+                    className="w-full px-3 py-2.5 border border-gray-200 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                  />
+                  {/* Other currencies are converted with the server's exchange rates */}
+                  {useApi && (
+                    <select
+                      value={formData.currency}
+                      onChange={(e) => setFormData({ ...formData, currency: e.target.value })}
+                      className="px-2 py-2.5 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-primary-500"
                     >
-                      <span className="text-xl">{cat.icon}</span>
-                      <span className="text-[10px] text-gray-600 leading-tight">{cat.name}</span>
-                    </button>
-                  ))}
+                      {CURRENCIES.map((code) => (
+                        <option key={code} value={code}>{code}</option>
+                      ))}
+                    </select>
+                  )}
                 </div>
+                <FieldError message={formErrors.amount} />
+                <FieldError message={formErrors.currency} />
               </div>
+              {formType === 'income' ? (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Origem</label>
+                  <div className="grid grid-cols-4 gap-2">
+                    {INCOME_SOURCES.map((source) => (
+                      <button
+                        key={source.id}
+                        type="button"
+                        onClick={() => setIncomeSource(source.id)}
+                        className={`flex flex-col items-center gap-1 p-2.5 rounded-xl border-2 transition-all ${
+                          incomeSource === source.id
+                            ? 'border-primary-500 bg-primary-50'
+                            : 'border-gray-100 hover:border-gray-200'
+                        }`}
+                      >
+                        <span className="text-xl">{source.icon}</span>
+                        <span className="text-[10px] text-gray-600 leading-tight">{source.name}</span>
+                      </button>
+                    ))}
+                  </div>
+                  <FieldError message={formErrors.source} />
+                </div>
+              ) : (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Categoria</label>
+                  <div className="grid grid-cols-4 gap-2">
+                    {useApi && !editingId && !recurringForm.enabled && (
+                      <button
+                        type="button"
+                        onClick={() => setFormData({ ...formData, category: '' })}
+                        title="Escolhida pelas regras de categorias"
+                        className={`flex flex-col items-center gap-1 p-2.5 rounded-xl border-2 transition-all ${
+                          formData.category === ''
+                            ? 'border-primary-500 bg-primary-50'
+                            : 'border-gray-100 hover:border-gray-200'
+                        }`}
+                      >
+                        <FiZap size={20} className="text-primary-500 my-0.5" />
+                        <span className="text-[10px] text-gray-600 leading-tight">Automatica</span>
+                      </button>
+                    )}
+                    {categories.map((cat) => (
+                      <button
+                        key={cat.id}
+                        type="button"
+                        onClick={() => setFormData({ ...formData, category: cat.id })}
+                        className={`flex flex-col items-center gap-1 p-2.5 rounded-xl border-2 transition-all ${
+                          formData.category === cat.id
+                            ? 'border-primary-500 bg-primary-50'
+                            : 'border-gray-100 hover:border-gray-200'
+                        }`}
+                      >
+                        <span className="text-xl">{cat.icon}</span>
+                        <span className="text-[10px] text-gray-600 leading-tight">{cat.name}</span>
+                      </button>
+                    ))}
+                  </div>
+                  <FieldError message={formErrors.category} />
+                </div>
+              )}
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Data</label>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {recurringForm.enabled && formType === 'expense' ? 'Primeira ocorrencia' : 'Data'}
+                </label>
                 <input
                   type="date"
                   value={formData.date}
                   onChange={(e) => setFormData({ ...formData, date: e.target.value })}
                   className="w-full px-3 py-2.5 border border-gray-200 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
                 />
+                <FieldError message={formErrors.date} />
               </div>
+              {formType === 'expense' && (
+                <div className="space-y-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Deducao IRS</label>
+                  <select
+                    value={formData.irs_class}
+                    onChange={(e) => setFormData({ ...formData, irs_class: e.target.value })}
+                    className="w-full px-3 py-2.5 border border-gray-200 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                  >
+                    <option value="">Nao dedutivel</option>
+                    {IRS_CLASSES.map((irsClass) => (
+                      <option key={irsClass.id} value={irsClass.id}>{irsClass.name}</option>
+                    ))}
+                  </select>
+                  <FieldError message={formErrors.irs_class} />
+                  {formData.irs_class && (
+                    <div className="grid grid-cols-2 gap-2">
+                      <div>
+                        <input
+                          type="text"
+                          inputMode="numeric"
+                          value={formData.nif}
+                          onChange={(e) => setFormData({ ...formData, nif: e.target.value.replace(/\D/g, '') })}
+                          placeholder="NIF do emitente"
+                          maxLength={9}
+                          className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-primary-500"
+                        />
+                        <FieldError message={formErrors.nif} />
+                      </div>
+                      <div>
+                        <input
+                          type="text"
+                          value={formData.invoice_number}
+                          onChange={(e) => setFormData({ ...formData, invoice_number: e.target.value })}
+                          placeholder="Numero da fatura"
+                          className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-primary-500"
+                        />
+                        <FieldError message={formErrors.invoice_number} />
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
+              {useApi && formType === 'expense' && members.length > 1 && (
+                <div className="space-y-2">
+                  <div className="flex items-center gap-2">
+                    <label className="text-sm font-medium text-gray-700">Pago por</label>
+                    <select
+                      value={splitForm.payer_id}
+                      onChange={(e) => setSplitForm({ ...splitForm, payer_id: e.target.value })}
+                      className="flex-1 px-3 py-2 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-primary-500"
+                    >
+                      {members.map((member) => (
+                        <option key={member.id} value={member.is_owner ? '' : member.id}>{member.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <FieldError message={formErrors.payer_id} />
+                  <label className="flex items-center gap-2 text-sm font-medium text-gray-700 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={splitForm.enabled}
+                      onChange={(e) => setSplitForm({
+                        ...splitForm,
+                        enabled: e.target.checked,
+                        selected: splitForm.selected.length > 0 ? splitForm.selected : members.map((m) => m.id),
+                      })}
+                      className="rounded text-primary-500 focus:ring-primary-500"
+                    />
+                    <FiUsers size={14} />
+                    Dividir com
+                  </label>
+                  {splitForm.enabled && (
+                    <div className="space-y-2 pl-6">
+                      <div className="flex gap-1">
+                        {SPLIT_TYPES.map((type) => (
+                          <button
+                            key={type.id}
+                            type="button"
+                            onClick={() => setSplitForm({ ...splitForm, type: type.id })}
+                            className={`flex-1 px-2 py-1 rounded-lg text-xs border transition-colors ${
+                              splitForm.type === type.id
+                                ? 'border-primary-500 bg-primary-50 text-primary-600'
+                                : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+                            }`}
+                          >
+                            {type.name}
+                          </button>
+                        ))}
+                      </div>
+                      {members.map((member) => {
+                        const selected = splitForm.selected.includes(member.id);
+                        return (
+                          <div key={member.id} className="flex items-center gap-2">
+                            <label className="flex-1 flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                              <input
+                                type="checkbox"
+                                checked={selected}
+                                onChange={(e) => setSplitForm({
+                                  ...splitForm,
+                                  selected: e.target.checked
+                                    ? [...splitForm.selected, member.id]
+                                    : splitForm.selected.filter((id) => id !== member.id),
+                                })}
+                                className="rounded text-primary-500 focus:ring-primary-500"
+                              />
+                              {member.name}
+                            </label>
+                            {selected && splitForm.type !== 'equal' && (
+                              <input
+                                type="text"
+                                inputMode="decimal"
+                                value={splitForm.values[member.id] ?? ''}
+                                onChange={(e) => setSplitForm({
+                                  ...splitForm,
+                                  values: { ...splitForm.values, [member.id]: e.target.value },
+                                })}
+                                placeholder={splitForm.type === 'percentage' ? '%' : '0,00'}
+                                className="w-24 px-2 py-1 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-primary-500"
+                              />
+                            )}
+                          </div>
+                        );
+                      })}
+                      <FieldError message={formErrors.splits || formErrors.split_type} />
+                    </div>
+                  )}
+                </div>
+              )}
+              {!editingId && useApi && formType === 'expense' && (
+                <div className="space-y-3">
+                  <label className="flex items-center gap-2 text-sm font-medium text-gray-700 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={recurringForm.enabled}
+                      onChange={(e) => {
+                        setRecurringForm({ ...recurringForm, enabled: e.target.checked });
+                        // Recurring rules need a category of their own
+                        if (e.target.checked && !formData.category) {
+                          setFormData({ ...formData, category: categories[0]?.id ?? 'outros' });
+                        }
+                      }}
+                      className="rounded text-primary-500 focus:ring-primary-500"
+                    />
+                    <FiRepeat size={14} />
+                    Recorrente
+                  </label>
+                  {recurringForm.enabled && (
+                    <div className="grid grid-cols-2 gap-2">
+                      <div>
+                        <label className="block text-xs text-gray-500 mb-1">Frequencia</label>
+                        <select
+                          value={recurringForm.frequency}
+                          onChange={(e) => setRecurringForm({ ...recurringForm, frequency: e.target.value })}
+                          className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-primary-500"
+                        >
+                          {FREQUENCIES.map((f) => (
+                            <option key={f.id} value={f.id}>{f.name}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-xs text-gray-500 mb-1">Data de fim (opcional)</label>
+                        <input
+                          type="date"
+                          value={recurringForm.end_date}
+                          onChange={(e) => setRecurringForm({ ...recurringForm, end_date: e.target.value })}
+                          className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-primary-500"
+                        />
+                        <FieldError message={formErrors.end_date} />
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
+              {useApi && formType === 'expense' && !(recurringForm.enabled && !editingId) && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Recibos</label>
+                  <div className="flex flex-wrap items-center gap-2">
+                    {formAttachments.map((attachment) => (
+                      <AttachmentThumb key={attachment.id} attachment={attachment} onDelete={deleteAttachment} />
+                    ))}
+                    {pendingFiles.map((file, index) => (
+                      <span
+                        key={`${file.name}-${index}`}
+                        className="flex items-center gap-1 pl-2 pr-1 py-1 bg-gray-100 rounded-lg text-xs text-gray-600 max-w-[10rem]"
+                      >
+                        <span className="truncate">{file.name}</span>
+                        <button
+                          type="button"
+                          onClick={() => setPendingFiles(pendingFiles.filter((_, i) => i !== index))}
+                          className="p-0.5 text-gray-400 hover:text-red-500"
+                        >
+                          <FiX size={12} />
+                        </button>
+                      </span>
+                    ))}
+                    <label className="flex items-center gap-1.5 px-3 py-2 border-2 border-dashed border-gray-200 rounded-lg text-sm text-gray-600 cursor-pointer hover:border-primary-300">
+                      <FiPaperclip size={14} />
+                      Adicionar
+                      <input
+                        type="file"
+                        accept="image/*,application/pdf"
+                        multiple
+                        onChange={(e) => {
+                          setPendingFiles([...pendingFiles, ...e.target.files]);
+                          e.target.value = '';
+                        }}
+                        className="hidden"
+                      />
+                    </label>
+                  </div>
+                </div>
+              )}
               <div className="flex gap-3 pt-2">
                 <button
                   type="button"
@@ -813,31 +5199,254 @@ function App() {
         </div>
       )}
 
+      {/* Recurring Expenses Modal */}
+      {showRecurringModal && (
+        <RecurringModal
+          getCategoryInfo={getCategoryInfo}
+          onClose={() => setShowRecurringModal(false)}
+          onChanged={() => fetchExpenses()}
+          showToast={showToast}
+        />
+      )}
+
+      {/* Export Modal */}
+      {showExportModal && (
+        <ExportModal
+          categories={categories}
+          useApi={useApi}
+          selectedMonth={selectedMonth}
+          getCategoryInfo={getCategoryInfo}
+          onClose={() => setShowExportModal(false)}
+          showToast={showToast}
+        />
+      )}
+
+      {/* Reports Modal */}
+      {showReportsModal && (
+        <ReportsModal
+          selectedMonth={selectedMonth}
+          getCategoryInfo={getCategoryInfo}
+          onClose={() => setShowReportsModal(false)}
+        />
+      )}
+
+      {/* Templates Modal */}
+      {showTemplatesModal && (
+        <TemplatesModal
+          categories={categories}
+          getCategoryInfo={getCategoryInfo}
+          templates={templates}
+          onClose={() => setShowTemplatesModal(false)}
+          onChanged={() => fetchTemplates()}
+          showToast={showToast}
+        />
+      )}
+
+      {/* Categorization Rules Modal */}
+      {showRulesModal && (
+        <CategorizationRulesModal
+          categories={categories}
+          getCategoryInfo={getCategoryInfo}
+          onClose={() => setShowRulesModal(false)}
+          onApplied={() => fetchExpenses()}
+          showToast={showToast}
+        />
+      )}
+
+      {/* Household Modal */}
+      {showHouseholdModal && (
+        <HouseholdModal
+          members={members}
+          onClose={() => setShowHouseholdModal(false)}
+          onChanged={() => {
+            fetchMembers();
+            fetchBalances();
+          }}
+          showToast={showToast}
+        />
+      )}
+
+      {/* IRS Summary Modal */}
+      {showIrsModal && (
+        <IrsReportModal onClose={() => setShowIrsModal(false)} showToast={showToast} />
+      )}
+
+      {/* Currency Modal */}
+      {showCurrencyModal && (
+        <ExchangeRatesModal
+          baseCurrency={settings.baseCurrency}
+          onClose={() => setShowCurrencyModal(false)}
+          onBaseChanged={(base) => {
+            setUser({ ...user, base_currency: base });
+            fetchExpenses();
+            fetchIncomes();
+          }}
+          onRatesChanged={() => {
+            fetchExpenses();
+            fetchIncomes();
+          }}
+          showToast={showToast}
+        />
+      )}
+
+      {/* Trash Modal */}
+      {showTrashModal && (
+        <TrashModal
+          useApi={useApi}
+          getCategoryInfo={getCategoryInfo}
+          onClose={() => setShowTrashModal(false)}
+          onChanged={fetchExpenses}
+          showToast={showToast}
+        />
+      )}
+
+      {/* Backup Modal */}
+      {showBackupModal && (
+        <BackupModal
+          useApi={useApi}
+          onClose={() => setShowBackupModal(false)}
+          onRestored={() => {
+            fetchCategories();
+            fetchExpenses();
+            fetchBudget();
+          }}
+          showToast={showToast}
+        />
+      )}
+
+      {/* Import Modal */}
+      {showImportModal && (
+        <ImportModal
+          categories={categories}
+          onClose={() => setShowImportModal(false)}
+          onImported={() => fetchExpenses()}
+          showToast={showToast}
+        />
+      )}
+
+      {/* Categories Modal */}
+      {showCategoriesModal && (
+        <CategoriesModal
+          categories={categories}
+          onClose={() => setShowCategoriesModal(false)}
+          onChanged={() => { fetchCategories(); fetchExpenses(); }}
+          showToast={showToast}
+        />
+      )}
+
       {/* Budget Modal */}
       {showBudgetModal && (
-        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
-          <div className="bg-white rounded-2xl shadow-xl max-w-sm w-full">
-            <div className="flex items-center justify-between p-4 border-b">
+        <div className="fixed inset-0 bg-black/50 flex items-start sm:items-center justify-center z-50 p-4 overflow-y-auto">
+          <div className="bg-white rounded-2xl shadow-xl max-w-sm w-full my-4 max-h-[calc(100vh-2rem)] flex flex-col">
+            <div className="flex items-center justify-between p-4 border-b flex-shrink-0">
               <h2 className="text-lg font-semibold">Definir Orcamento</h2>
               <button onClick={() => setShowBudgetModal(false)} className="p-2 hover:bg-gray-100 rounded-lg">
                 <FiX size={20} />
               </button>
             </div>
-            <div className="p-4 space-y-4">
+            <div className="p-4 space-y-4 overflow-y-auto flex-1">
               <p className="text-sm text-gray-600">
                 Defina o orcamento para <span className="font-medium capitalize">{getMonthName(selectedMonth + '-01')}</span>
               </p>
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Valor (EUR)</label>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Valor ({settings.baseCurrency})</label>
                 <input
-                  type="number"
+                  type="text"
+                  inputMode="decimal"
                   value={budgetInput}
                   onChange={(e) => setBudgetInput(e.target.value)}
-                  placeholder="0.00"
-                  min="0"
-                  step="0.01"
+                  placeholder={useApi && policyInput.default_amount !== '' ? `Por omissao: ${policyInput.default_amount}` : '0,00'}
                   className="w-full px-3 py-2.5 border border-gray-200 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
                 />
+                <FieldError message={budgetErrors.amount} />
+                {budgetDetails?.carried ? (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Mais {formatCurrency(budgetDetails.carried)} transitados do mes anterior
+                  </p>
+                ) : null}
+              </div>
+              {useApi && (
+                <div className="space-y-2">
+                  <label className="block text-sm font-medium text-gray-700">Todos os meses</label>
+                  <label className="block text-xs text-gray-500">
+                    Orcamento por omissao (meses sem valor proprio)
+                    <input
+                      type="text"
+                      inputMode="decimal"
+                      value={policyInput.default_amount}
+                      onChange={(e) => setPolicyInput({ ...policyInput, default_amount: e.target.value })}
+                      placeholder="Sem orcamento por omissao"
+                      className="w-full mt-1 px-3 py-1.5 border border-gray-200 rounded-lg text-sm text-gray-900 focus:ring-2 focus:ring-primary-500"
+                    />
+                  </label>
+                  <FieldError message={budgetErrors.default_amount} />
+                  <label className="block text-xs text-gray-500">
+                    Saldo no fim do mes
+                    <select
+                      value={policyInput.rollover}
+                      onChange={(e) => setPolicyInput({ ...policyInput, rollover: e.target.value })}
+                      className="w-full mt-1 px-3 py-1.5 border border-gray-200 rounded-lg text-sm text-gray-900 focus:ring-2 focus:ring-primary-500"
+                    >
+                      {ROLLOVER_MODES.map((mode) => (
+                        <option key={mode.id} value={mode.id}>{mode.name}</option>
+                      ))}
+                    </select>
+                  </label>
+                  {policyInput.rollover !== 'none' && budgetPolicy?.rollover_from && budgetPolicy.rollover !== 'none' && (
+                    <p className="text-xs text-gray-500">
+                      A transitar desde <span className="capitalize">{getMonthName(budgetPolicy.rollover_from + '-01')}</span>
+                    </p>
+                  )}
+                </div>
+              )}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Limites por categoria (opcional)</label>
+                <div className="space-y-2">
+                  {categories.map((cat) => (
+                    <div key={cat.id}>
+                      <div className="flex items-center gap-2">
+                        <span className="flex-1 text-sm text-gray-600 truncate">{cat.icon} {cat.name}</span>
+                        <input
+                          type="text"
+                          inputMode="decimal"
+                          value={categoryBudgetInputs[cat.id] ?? ''}
+                          onChange={(e) => setCategoryBudgetInputs({ ...categoryBudgetInputs, [cat.id]: e.target.value })}
+                          placeholder="-"
+                          className="w-28 px-3 py-1.5 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                        />
+                      </div>
+                      <FieldError message={budgetErrors[`categories.${cat.id}`]} />
+                    </div>
+                  ))}
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Alertas de utilizacao (%)</label>
+                <div className="grid grid-cols-2 gap-2">
+                  <label className="text-xs text-yellow-700">
+                    Aviso acima de
+                    <input
+                      type="number"
+                      value={settingsInput.warnAt}
+                      onChange={(e) => setSettingsInput({ ...settingsInput, warnAt: e.target.value })}
+                      min="1"
+                      max="100"
+                      className="w-full mt-1 px-3 py-1.5 border border-gray-200 rounded-lg text-sm text-gray-900 focus:ring-2 focus:ring-primary-500"
+                    />
+                  </label>
+                  <label className="text-xs text-red-700">
+                    Alerta acima de
+                    <input
+                      type="number"
+                      value={settingsInput.alertAt}
+                      onChange={(e) => setSettingsInput({ ...settingsInput, alertAt: e.target.value })}
+                      min="1"
+                      max="200"
+                      className="w-full mt-1 px-3 py-1.5 border border-gray-200 rounded-lg text-sm text-gray-900 focus:ring-2 focus:ring-primary-500"
+                    />
+                  </label>
+                </div>
+                <FieldError message={budgetErrors.alertAt} />
               </div>
               <div className="flex gap-3">
                 <button